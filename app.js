@@ -1,104 +1,396 @@
 require("dotenv").config();
-const { App } = require("@slack/bolt");
-const axios = require("axios");
+const { App, webApi } = require("@slack/bolt");
 const { v4: uuidv4 } = require('uuid');
 const slackifyMarkdown = require('slackify-markdown');
+const {
+  SECTION_TEXT_LIMIT,
+  MAX_BLOCKS_PER_MESSAGE,
+  MESSAGE_TEXT_LIMIT,
+  splitMarkdownIntoChunks,
+  groupChunksIntoMessages,
+} = require('./lib/message-chunking');
+const { createConversationStore } = require('./lib/conversation-store');
+const {
+  createThreadReplyTarget,
+  createEphemeralReplyTarget,
+  createUserEphemeralReplyTarget,
+  restoreReplyTarget,
+} = require('./lib/reply-targets');
+const { createRequestSchedulerFromEnv } = require('./lib/request-scheduler');
+const { eventDedupKeys, createEventDeduplicator } = require('./lib/event-dedup');
+const { createJobQueueFromEnv } = require('./lib/job-queue');
+const { createUsageLedgerFromEnv, normalizeTokens } = require('./lib/usage-ledger');
+const { createSlackDirectory, expandSlackTokens, buildSlackContext, fetchThreadMessages } = require('./lib/thread-context');
+const { processAttachments } = require('./lib/attachments');
+const { createWorkspaceRegistryFromEnv } = require('./lib/workspaces');
+const { createInstallationStore } = require('./lib/installation-store');
+const { classifyError, createCircuitOpenError, createCircuitBreakerFromEnv } = require('./lib/circuit-breaker');
+const { createLoggerFromEnv, runWithTrace, getTraceId, getTraceContext } = require('./lib/logger');
+const { createUserSettingsStoreFromEnv } = require('./lib/user-settings');
+const { createAuditLogFromEnv } = require('./lib/audit-log');
+const { createPauseSwitchFromEnv } = require('./lib/pause-switch');
+const { parseCron, isValidTimezone, nextCronRun } = require('./lib/cron');
+const {
+  parseScheduleAddArgs,
+  shortestInterval,
+  createScheduler,
+  createScheduleStoreFromEnv,
+} = require('./lib/schedules');
+const { createMessageRulesFromEnv } = require('./lib/message-rules');
+const {
+  HOME_CONVERSATION_LIMIT,
+  HOME_SETTING_ACTION_PATTERN,
+  readSettingChange,
+  buildHomeView,
+} = require('./lib/app-home');
+const {
+  FEEDBACK_ACTIONS,
+  FEEDBACK_MODAL_CALLBACK_ID,
+  createFeedbackActionsBlock,
+  parseFeedbackValue,
+  createNegativeFeedbackModal,
+  readNegativeFeedbackModal,
+  recordFeedback,
+} = require('./lib/feedback');
+const {
+  ASK_SHORTCUT_CALLBACK_ID,
+  ASK_MODAL_CALLBACK_ID,
+  buildAskModal,
+  readAskModal,
+  composeShortcutQuestion,
+} = require('./lib/message-shortcut');
+const {
+  ANSWER_METADATA_MAX_BLOCKS,
+  SOURCES_ACTIONS,
+  summarizeAnswer,
+  decodeSources,
+  createAnswerMetadataBlocks,
+  toggleSourcesInBlocks,
+  createSourcesListBlock,
+} = require('./lib/answer-metadata');
+const {
+  parseWindow,
+  formatWindow,
+  parseSummarizeArgs,
+  parseSummarizeMention,
+  fetchConversationMessages,
+  buildTranscript,
+  summarizeTranscript,
+  citedReferences,
+  linkReferences,
+} = require('./lib/summarize');
 
-// Initialize Slack Bolt app with Events API for production deployment
+// JSON-lines logger with redaction and per-request trace IDs (see lib/logger.js)
+const rootLogger = createLoggerFromEnv();
+
+// How Slack delivers events: 'http' (Events API - Slack POSTs to a public URL) or
+// 'socket' (Socket Mode - the bot opens a WebSocket to Slack, no public URL needed)
+const SLACK_MODE = (process.env.SLACK_MODE || 'http').toLowerCase();
+const SOCKET_MODE = SLACK_MODE === 'socket';
+// HTTP port: Events API requests, /healthz and the OAuth install pages
+const PORT = parseInt(process.env.PORT, 10) || 3000;
+
+// Multi-workspace mode: with SLACK_CLIENT_ID set, workspaces install the bot through Bolt's
+// OAuth flow (/slack/install) and each installation's token is loaded from the installation
+// store. Otherwise the bot runs in the single workspace of SLACK_BOT_TOKEN.
+const OAUTH_ENABLED = Boolean(process.env.SLACK_CLIENT_ID);
+// Bot scopes requested when a workspace installs the app
+const SLACK_SCOPES = (process.env.SLACK_SCOPES || [
+  'app_mentions:read', 'channels:history', 'channels:join', 'channels:read', 'chat:write', 'commands',
+  'files:read', 'groups:history', 'groups:read', 'im:history', 'im:read', 'mpim:history', 'mpim:read',
+  'reactions:read', 'users:read',
+].join(',')).split(',').map(scope => scope.trim()).filter(Boolean);
+
+// Bolt rejects missing credentials with a stack trace - check them first when run directly
+if (require.main === module && !validateSlackConfiguration()) {
+  process.exit(1);
+}
+
+// Where OAuth installations (one bot token per workspace) are kept - see lib/installation-store.js
+const installationStore = OAUTH_ENABLED ? createInstallationStore() : null;
+
+// Initialize Slack Bolt app with the Events API (HTTP) or Socket Mode receiver
 const app = new App({
-  token: process.env.SLACK_BOT_TOKEN,
-  signingSecret: process.env.SLACK_SIGNING_SECRET,
-  socketMode: false, // Using Events API for production
+  logger: rootLogger,
+  logLevel: rootLogger.getLevel(),
+  ...(OAUTH_ENABLED
+    ? {
+      clientId: process.env.SLACK_CLIENT_ID,
+      clientSecret: process.env.SLACK_CLIENT_SECRET,
+      stateSecret: process.env.SLACK_STATE_SECRET,
+      scopes: SLACK_SCOPES,
+      installationStore: installationStore,
+      ...(process.env.SLACK_REDIRECT_URI && { redirectUri: process.env.SLACK_REDIRECT_URI }),
+    }
+    : { token: process.env.SLACK_BOT_TOKEN }),
+  ...(SOCKET_MODE
+    ? { socketMode: true, appToken: process.env.SLACK_APP_TOKEN }
+    : { signingSecret: process.env.SLACK_SIGNING_SECRET }),
+  installerOptions: {
+    // Send /slack/install straight to Slack's consent screen
+    directInstall: true,
+    // Socket Mode still runs a small HTTP server for the custom routes and install pages
+    ...(SOCKET_MODE && { port: PORT }),
+    ...(process.env.SLACK_REDIRECT_URI && { redirectUriPath: new URL(process.env.SLACK_REDIRECT_URI).pathname }),
+  },
+  // Error handlers get the request's context and body (installation details for reports)
+  extendedErrorHandler: true,
+  // SLACK_API_URL points the Web API client somewhere else (the test suite's fake Slack)
+  ...(process.env.SLACK_API_URL && { clientOptions: { slackApiUrl: process.env.SLACK_API_URL } }),
+  customRoutes: [
+    { path: '/healthz', method: ['GET'], handler: (req, res) => handleHealthz(req, res) },
+  ],
+});
+
+// Give every incoming Slack request a trace ID. Everything logged while handling it - the event,
+// the thinking message, API attempts and the final update - carries the same trace_id.
+// The workspace's team_id rides along too, which is how handlers find its configuration
+// (and how queued jobs find the installation to reply with after a restart).
+app.use(async ({ body, context, logger, next }) => {
+  const teamId = context.teamId || body.team_id || body.team?.id;
+  const trace = {
+    event_id: body.event_id,
+    team_id: teamId,
+    enterprise_id: context.enterpriseId || undefined,
+    ...(context.isEnterpriseInstall && { enterprise_install: true })
+  };
+  await runWithTrace(trace, async () => {
+    logger.debug(`📨 Slack request received`, {
+      type: body.event?.type || body.type || (body.command && 'slash_command'),
+      subtype: body.event?.subtype,
+      retry_num: context.retryNum,
+      retry_reason: context.retryReason
+    });
+
+    // Slack retries events it didn't see acknowledged in time (X-Slack-Retry-Num) and Socket
+    // Mode can replay them after a reconnect - handle each event only once
+    if (eventDeduplicator.checkAndRemember(eventDedupKeys(body))) {
+      const retry = context.retryNum ? ` (retry #${context.retryNum}${context.retryReason ? `, ${context.retryReason}` : ''})` : '';
+      logger.info(`♻️ Ignoring duplicate delivery of event ${body.event_id}${retry}`);
+      return;
+    }
+    await next();
+  });
 });
 
 // Configuration
-const MONITORED_CHANNEL = process.env.SLACK_CHANNEL_ID;
+// Per-workspace channel policy (which channels and DMs the bot responds in) and backends,
+// with overrides per team_id from workspaces.json - see lib/workspaces.js
+const workspaces = createWorkspaceRegistryFromEnv(process.env, { logger: rootLogger });
+
+// Helper function to get the configuration of the workspace handling the current request
+function currentWorkspace() {
+  return workspaces.get(getTraceContext()?.team_id);
+}
+
+// Skip patterns, trigger keywords and reaction triggers - see lib/message-rules.js
+const messageRules = createMessageRulesFromEnv();
 const MATT_GPT_API_URL = process.env.MATT_GPT_API_URL || "http://localhost:8000";
 const MATT_GPT_BEARER_TOKEN = process.env.MATT_GPT_BEARER_TOKEN;
 const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
+const MATT_GPT_STREAMING = process.env.MATT_GPT_STREAMING === 'true';
+// Public base URL of the bot (e.g. https://bot.example.com), only used in the startup output
+const PUBLIC_URL = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+const FEEDBACK_BUTTONS_ENABLED = process.env.FEEDBACK_BUTTONS !== 'false';
+const THREAD_CONTEXT_CHAR_BUDGET = parseInt(process.env.THREAD_CONTEXT_CHAR_BUDGET, 10) || 4000;
 
-// Matt-GPT API integration with retry logic
-async function callMattGPTWithRetry(message, context = {}, maxRetries = 3, logger) {
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      logger.info(`🔄 Matt-GPT API attempt ${attempt}/${maxRetries}`);
-      
-      const requestPayload = {
-        message: message,
-        openrouter_api_key: OPENROUTER_API_KEY
-      };
-      
-      // Add conversation_id for thread replies (continuing conversations)
-      if (context.conversation_id) {
-        requestPayload.conversation_id = context.conversation_id;
-      }
+// Summaries (see lib/summarize.js): the default and longest channel windows, how many messages
+// are read and how much transcript goes into one request before it's summarized in chunks
+const SUMMARIZE_DEFAULT_WINDOW_MS = parseWindow(process.env.SUMMARIZE_DEFAULT_WINDOW) || 24 * 60 * 60 * 1000;
+const SUMMARIZE_MAX_WINDOW_MS = parseWindow(process.env.SUMMARIZE_MAX_WINDOW) || 7 * 24 * 60 * 60 * 1000;
+const SUMMARIZE_MAX_MESSAGES = parseInt(process.env.SUMMARIZE_MAX_MESSAGES, 10) || 1000;
+const SUMMARIZE_CHUNK_CHARS = parseInt(process.env.SUMMARIZE_CHUNK_CHARS, 10) || 12000;
+// Most message links looked up for one digest (one chat.getPermalink call each)
+const SUMMARIZE_MAX_LINKS = 30;
 
-      const requestConfig = {
-        headers: {
-          Authorization: `Bearer ${MATT_GPT_BEARER_TOKEN}`,
-          "Content-Type": "application/json",
-        },
-        timeout: 180000, // 180 second (3 minute) timeout for Matt-GPT
-      };
+// Edited questions are re-answered within this window after the answer was posted
+const EDIT_RESPONSE_WINDOW_MS = (parseInt(process.env.EDIT_RESPONSE_WINDOW_MINUTES, 10) || 10) * 60 * 1000;
+// What to do with the answer when a question is deleted: none, collapse or delete
+const DELETED_QUESTION_ACTIONS = ['none', 'collapse', 'delete'];
+const DELETED_QUESTION_ACTION = (process.env.DELETED_QUESTION_ACTION || 'none').toLowerCase();
 
-      // Log the exact request being made
-      logger.info(`📤 Request to ${MATT_GPT_API_URL}/chat:`, {
-        payload: JSON.stringify({
-          ...requestPayload,
-          openrouter_api_key: OPENROUTER_API_KEY ? `${OPENROUTER_API_KEY.substring(0, 12)}...` : 'NOT_SET'
-        }, null, 2),
-        headers: {
-          'Authorization': `Bearer ${MATT_GPT_BEARER_TOKEN?.substring(0, 8)}...`,
-          'Content-Type': requestConfig.headers['Content-Type']
-        }
-      });
-      
-      const response = await axios.post(
-        `${MATT_GPT_API_URL}/chat`,
-        requestPayload,
-        requestConfig
-      );
+// Question sent along with attachments when the user didn't type one
+const DEFAULT_ATTACHMENT_QUESTION = "Please take a look at the attached file(s).";
 
-      logger.info(`📥 Matt-GPT API success:`, {
-        status: response.status,
-        data: response.data
-      });
+// One circuit breaker per backend adapter, shared by every request (see lib/circuit-breaker.js).
+// Keyed by adapter, since workspaces with their own credentials get their own adapters.
+const circuitBreakers = new Map();
+function getCircuitBreaker(backend) {
+  if (!circuitBreakers.has(backend)) {
+    circuitBreakers.set(backend, createCircuitBreakerFromEnv(backend, app.logger));
+  }
+  return circuitBreakers.get(backend);
+}
+
+// Rate limits and concurrency queue in front of every Matt-GPT call
+const requestScheduler = createRequestSchedulerFromEnv();
+
+// Recently seen events, so Slack's retries and replays are only answered once
+const eventDeduplicator = createEventDeduplicator({
+  ttlMs: parseInt(process.env.EVENT_DEDUP_TTL_MS, 10) || 10 * 60 * 1000
+});
 
-      return response.data;
+// Durable queue of message requests waiting for (or in the middle of) an answer - see runMessageJob
+const jobQueue = createJobQueueFromEnv({ worker: runMessageJob, logger: rootLogger });
+// After a restart, jobs older than this or already started JOB_MAX_ATTEMPTS times are failed
+// instead of resumed
+const JOB_RESUME_MAX_AGE_MS = parseInt(process.env.JOB_RESUME_MAX_AGE_MS, 10) || 10 * 60 * 1000;
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 2;
+// How long SIGTERM waits for running answers before stopping anyway
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 25000;
+
+// Cached user/channel name lookups for the thread context builder
+const slackDirectory = createSlackDirectory();
+
+// Token usage ledger with daily/monthly budgets
+const usageLedger = createUsageLedgerFromEnv();
+
+// Persistent thread -> conversation_id mapping (block_id scraping is kept as a fallback)
+const conversationStore = createConversationStore();
+
+// Personal settings chosen on the App Home tab (INCLUDE_THREAD_CONTEXT is the default)
+const userSettings = createUserSettingsStoreFromEnv();
+
+// Who asked what, kept for AUDIT_RETENTION_DAYS (see lib/audit-log.js)
+const auditLog = createAuditLogFromEnv({ logger: rootLogger });
+
+// The admins' pause switch (/mattgpt pause and /mattgpt resume), per workspace
+const pauseSwitch = createPauseSwitchFromEnv();
+
+// Scheduled prompts and digests (/mattgpt schedule), run by an in-process scheduler - see runSchedule
+const scheduleStore = createScheduleStoreFromEnv();
+const scheduler = createScheduler({
+  store: scheduleStore,
+  run: runSchedule,
+  logger: rootLogger,
+  tickMs: parseInt(process.env.SCHEDULE_TICK_MS, 10) || 30000,
+  catchUpMs: parseInt(process.env.SCHEDULE_CATCH_UP_MS, 10) || 60 * 60 * 1000
+});
+// Schedules may not run more often than this, so a typo can't post every minute
+const SCHEDULE_MIN_INTERVAL_MS = (parseInt(process.env.SCHEDULE_MIN_INTERVAL_MINUTES, 10) || 60) * 60 * 1000;
+const SCHEDULES_MAX_PER_CHANNEL = parseInt(process.env.SCHEDULES_MAX_PER_CHANNEL, 10) || 10;
+
+// Longest first question kept per conversation for the App Home tab
+const FIRST_QUESTION_MAX_CHARS = 150;
+
+// The bot's own identity in a workspace, discovered with auth.test using that workspace's
+// client (SLACK_BOT_USER_ID overrides the user ID in single-workspace mode).
+// Cached per token after the first successful lookup; a failed lookup is retried next time.
+const botIdentities = new Map();
+function getBotIdentity(client) {
+  const key = client.token;
+  if (!botIdentities.has(key)) {
+    botIdentities.set(key, client.auth.test()
+      .then((result) => ({
+        userId: (!OAUTH_ENABLED && process.env.SLACK_BOT_USER_ID) || result.user_id,
+        botId: result.bot_id
+      }))
+      .catch((error) => {
+        botIdentities.delete(key);
+        throw error;
+      }));
+  }
+  return botIdentities.get(key);
+}
+
+// Longest Retry-After we're willing to wait between attempts; longer waits fail the request
+const MAX_RETRY_AFTER_MS = parseInt(process.env.MAX_RETRY_AFTER_MS, 10) || 30000;
+// Base of the exponential backoff between attempts (2^attempt * base)
+const RETRY_BASE_DELAY_MS = parseInt(process.env.RETRY_BASE_DELAY_MS, 10) || 1000;
+
+// Backend API integration with retry logic (the backend adapters live in lib/backends)
+// context.backend picks the adapter; the default backend is used when it's not set.
+// Every attempt goes through the backend's circuit breaker; only retryable errors are retried.
+// When onPartialResponse is provided and streaming is enabled, partial text is reported as it arrives
+async function callMattGPTWithRetry(message, context = {}, maxRetries = 3, logger, onPartialResponse = null) {
+  const backend = context.backend || currentWorkspace().backendRegistry.get();
+  const breaker = getCircuitBreaker(backend);
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    // Fail fast while the backend is known to be down
+    const breakerCheck = breaker.check();
+    if (!breakerCheck.allowed) {
+      logger.warn(`🔌 ${backend.label} circuit is ${breaker.state} - not calling the API`);
+      throw createCircuitOpenError(backend.label, breakerCheck.retryAfterMs);
+    }
+
+    try {
+      logger.info(`🔄 ${backend.label} API attempt ${attempt}/${maxRetries}`);
+      const result = await backend.chat({ message, context, logger, onPartialResponse, traceId: getTraceId() });
+      breaker.recordSuccess();
+      return result;
     } catch (error) {
-      // Log detailed error information
+      // Log the failure without response headers or bodies (they can echo credentials or content)
       if (error.response) {
-        logger.error(`❌ Matt-GPT API Error (attempt ${attempt}):`, {
+        logger.error(`❌ Matt-GPT API Error (attempt ${attempt})`, {
           status: error.response.status,
           statusText: error.response.statusText,
-          data: error.response.data,
-          headers: error.response.headers
+          retryAfter: error.response.headers?.['retry-after'],
+          error: error.message
         });
       } else if (error.request) {
-        logger.error(`❌ Matt-GPT Network Error (attempt ${attempt}):`, {
-          message: error.message,
+        logger.error(`❌ Matt-GPT Network Error (attempt ${attempt})`, {
+          error: error.message,
           code: error.code,
           url: error.config?.url
         });
       } else {
-        logger.error(`❌ Matt-GPT Unknown Error (attempt ${attempt}):`, {
-          message: error.message,
-          stack: error.stack
-        });
+        logger.error(`❌ Matt-GPT Unknown Error (attempt ${attempt})`, error);
+      }
+
+      // Client errors (401, 404, 422, ...) will fail the same way on every attempt
+      const { retryable, status, retryAfterMs } = classifyError(error);
+      if (!retryable) {
+        breaker.recordNeutral();
+        const fatalError = new Error(`Matt-GPT API request failed${status ? ` with HTTP ${status}` : ''} (not retried): ${error.message}`);
+        fatalError.status = status;
+        throw fatalError;
       }
+      breaker.recordFailure(error);
 
       if (attempt === maxRetries) {
         throw new Error(`Matt-GPT API failed after ${maxRetries} attempts: ${error.message}`);
       }
 
-      // Exponential backoff: 2^attempt seconds
-      const delay = Math.pow(2, attempt) * 1000;
-      logger.info(`⏳ Retrying in ${delay}ms...`);
+      // Honor Retry-After when the API sends one, otherwise exponential backoff: 2^attempt seconds
+      const delay = retryAfterMs ?? Math.pow(2, attempt) * RETRY_BASE_DELAY_MS;
+      if (delay > MAX_RETRY_AFTER_MS) {
+        throw new Error(`Matt-GPT API asked to retry after ${Math.ceil(delay / 1000)}s: ${error.message}`);
+      }
+      logger.info(`⏳ Retrying in ${delay}ms${retryAfterMs !== null ? ' (Retry-After)' : ''}...`);
       await new Promise((resolve) => setTimeout(resolve, delay));
     }
   }
 }
 
+// GET /healthz - process and circuit breaker status for the deployment platform.
+// Always 200 while the process is up (so an open circuit doesn't get the bot restarted);
+// ?strict=true returns 503 when any backend circuit is not closed.
+// Workspaces with their own backend configuration are reported under `workspaces`.
+function handleHealthz(req, res) {
+  const describeBackends = ({ backendRegistry }) => Object.fromEntries(
+    backendRegistry.names.map(name => [name, getCircuitBreaker(backendRegistry.get(name)).getStatus()])
+  );
+
+  const backends = describeBackends(workspaces.default);
+  const workspaceBackends = Object.fromEntries(
+    workspaces.teamIds.map(teamId => [teamId, { backends: describeBackends(workspaces.get(teamId)) }])
+  );
+  const degraded = [backends, ...Object.values(workspaceBackends).map(workspace => workspace.backends)]
+    .some(statuses => Object.values(statuses).some(({ state }) => state !== 'closed'));
+  const strict = new URL(req.url, 'http://localhost').searchParams.get('strict') === 'true';
+
+  res.writeHead(strict && degraded ? 503 : 200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({
+    status: degraded ? 'degraded' : 'ok',
+    uptime_s: Math.round(process.uptime()),
+    default_backend: workspaces.default.backendRegistry.defaultName,
+    backends,
+    ...(workspaces.teamIds.length > 0 && { workspaces: workspaceBackends }),
+    queue: { running: requestScheduler.running, queued: requestScheduler.queued },
+    jobs: { running: jobQueue.running, saved: jobQueue.size },
+  }));
+}
+
 // Helper functions for conversation tracking using Slack message metadata
 function extractConversationId(message) {
   // Look for conversation ID in various places where we might have stored it
@@ -114,34 +406,123 @@ function extractConversationId(message) {
   return null;
 }
 
-function createMessageWithConversationId(text, conversationId, threadTs) {
-  // Store conversation ID in a hidden block that doesn't display to users
+// Look up the conversation for a thread: persistent store first, then scan the thread's
+// bot messages for a conv_ block_id (threads created before the store existed)
+async function lookupThreadConversation(client, channel, threadTs, logger) {
+  const record = await conversationStore.get(channel, threadTs);
+  if (record?.conversationId) {
+    logger.info(`🗂️ Found conversation ID in ${conversationStore.type} store: ${record.conversationId}`);
+    return { conversationId: record.conversationId, hasBotMessages: true, source: 'store' };
+  }
+
+  // A reset thread starts fresh - don't fall back to the old conv_ block_ids
+  if (record?.resetAt) {
+    logger.info(`🔄 Thread was reset at ${record.resetAt} - starting a new conversation`);
+    return { conversationId: null, hasBotMessages: true, source: 'store' };
+  }
+
+  logger.info(`🔍 Fetching thread history for thread_ts: ${threadTs}`);
+  const threadHistory = await client.conversations.replies({
+    channel: channel,
+    ts: threadTs,
+    limit: 50  // Get recent messages to find conversation ID
+  });
+  logger.info(`📝 Thread history retrieved: ${threadHistory.messages.length} messages`);
+
+  // Look through bot messages (newest first) for an existing conversation ID
+  const botMessages = threadHistory.messages.filter(msg => msg.bot_id);
+  let conversationId = null;
+  for (const msg of [...botMessages].reverse()) {
+    const existingConvId = extractConversationId(msg);
+    if (existingConvId) {
+      conversationId = existingConvId;
+      break;
+    }
+  }
+
+  // Backfill the store so the next reply in this thread skips the Slack API call
+  if (conversationId) {
+    await conversationStore.save(channel, threadTs, { conversationId });
+  }
+
+  return { conversationId, hasBotMessages: botMessages.length > 0, source: 'thread_history' };
+}
+
+// options.metadata ({ summary, level }) adds the footer and citations (see lib/answer-metadata.js)
+// options.feedback adds the 👍 / 👎 / Regenerate actions block (see lib/feedback.js)
+function createMessageWithConversationId(text, conversationId, threadTs, options = {}) {
+  // Split the text into section-sized chunks so no block exceeds Slack's 3000-char limit
+  const chunks = splitMarkdownIntoChunks(text, SECTION_TEXT_LIMIT);
+  if (chunks.length === 0) {
+    chunks.push("_(empty response)_");
+  }
+
+  // Store conversation ID in a hidden block_id that doesn't display to users.
+  // It always goes on the first block so extractConversationId finds it first.
+  const blocks = chunks.map((chunk, index) => ({
+    type: "section",
+    ...(index === 0 && { block_id: `conv_${conversationId}` }), // Store conversation ID in block_id
+    text: {
+      type: "mrkdwn",
+      text: chunk
+    }
+  }));
+
+  if (options.metadata) {
+    blocks.push(...createAnswerMetadataBlocks(options.metadata.summary, options.metadata.level));
+  }
+
+  const actionsBlock = options.feedback && createFeedbackActionsBlock({ conversationId, threadTs, ...options.feedback });
+  if (actionsBlock) {
+    blocks.push(actionsBlock);
+  }
+
   return {
     text: text,
     thread_ts: threadTs,
-    blocks: [
-      {
-        type: "section",
-        block_id: `conv_${conversationId}`, // Store conversation ID in block_id
-        text: {
-          type: "mrkdwn",
-          text: text
-        }
-      }
-    ],
+    blocks: blocks,
     unfurl_links: false,
     unfurl_media: false,
   };
 }
 
+// Split a long response into one or more message payloads, each carrying the conversation ID.
+// The metadata footer and feedback buttons go on the last message, right below the end of the answer.
+function createMessagesWithConversationId(text, conversationId, threadTs, options = {}) {
+  const chunks = splitMarkdownIntoChunks(text, SECTION_TEXT_LIMIT);
+  // Leave room for the metadata blocks (with the citations expanded) and the actions block
+  const groups = groupChunksIntoMessages(chunks, MAX_BLOCKS_PER_MESSAGE - 1 - ANSWER_METADATA_MAX_BLOCKS, MESSAGE_TEXT_LIMIT);
+
+  if (groups.length <= 1) {
+    return [createMessageWithConversationId(text, conversationId, threadTs, options)];
+  }
+
+  return groups.map((group, index) => createMessageWithConversationId(
+    group.join('\n\n'),
+    conversationId,
+    threadTs,
+    index === groups.length - 1 ? options : {}
+  ));
+}
+
 // Global error handler with comprehensive Slack API error handling
 app.error(async ({ error, logger, context, body }) => {
+  const teamId = context?.teamId || body?.team_id || body?.team?.id;
   const errorContext = {
-    message: error.message,
+    error: error.message,
     code: error.code,
-    teamId: context?.teamId,
-    userId: body?.user?.id,
-    channelId: body?.event?.channel,
+    // Which installation (workspace or Enterprise Grid org) the failing request came from
+    installation: {
+      teamId: teamId,
+      enterpriseId: context?.enterpriseId || body?.enterprise_id || body?.enterprise?.id,
+      isEnterpriseInstall: Boolean(context?.isEnterpriseInstall),
+      botUserId: context?.botUserId,
+      workspace: workspaces.get(teamId).name,
+      mode: OAUTH_ENABLED ? 'oauth' : 'single_workspace',
+    },
+    requestType: body?.event?.type || body?.type || (body?.command && 'slash_command'),
+    userId: body?.user?.id || body?.user_id || body?.event?.user,
+    channelId: body?.event?.channel || body?.channel?.id || body?.channel_id,
     timestamp: new Date().toISOString(),
   };
 
@@ -178,7 +559,10 @@ app.error(async ({ error, logger, context, body }) => {
         logger.error("Message not found - message may have been deleted");
         break;
       case "invalid_auth":
-        logger.error("Invalid authentication - check bot token");
+      case "token_revoked":
+        logger.error(OAUTH_ENABLED
+          ? `Invalid authentication - the installation for ${teamId} may have been revoked; reinstall via /slack/install`
+          : "Invalid authentication - check bot token");
         break;
       case "account_inactive":
         logger.error("Slack account is inactive");
@@ -203,14 +587,31 @@ app.error(async ({ error, logger, context, body }) => {
   }
 });
 
-// Helper function to detect if channel is a DM
-function isDMChannel(channelId) {
-  return channelId.startsWith('D'); // Direct messages (1:1) start with 'D'
+// Forget a workspace's installation when the app is uninstalled or its tokens are revoked
+if (OAUTH_ENABLED) {
+  const removeInstallation = async ({ context, logger }) => {
+    try {
+      await installationStore.deleteInstallation({
+        teamId: context.teamId,
+        enterpriseId: context.enterpriseId,
+        isEnterpriseInstall: context.isEnterpriseInstall
+      });
+      logger.info(`🗑️ Removed installation for ${context.isEnterpriseInstall ? context.enterpriseId : context.teamId}`);
+    } catch (error) {
+      logger.error("❌ Could not remove installation:", error.message);
+    }
+  };
+  app.event('app_uninstalled', removeInstallation);
+  app.event('tokens_revoked', async (args) => {
+    if (args.event.tokens?.bot?.length) {
+      await removeInstallation(args);
+    }
+  });
 }
 
-// Helper function to detect if channel is likely a group DM or private channel
-function isProbablyGroupDMOrPrivateChannel(channelId) {
-  return channelId.startsWith('G'); // Both group DMs and private channels start with 'G'
+// Helper function to format a workspace's allowed channels as Slack channel links
+function formatAllowedChannels(channelPolicy) {
+  return channelPolicy.allowedChannels.map(channelId => `<#${channelId}>`).join(', ');
 }
 
 // Helper function to clean @mentions from message text
@@ -224,6 +625,115 @@ function cleanMessageText(text) {
   return cleanedText;
 }
 
+// Helper function to delete the follow-up messages of a multi-message answer
+async function clearFollowUpMessages(client, channel, answer, logger) {
+  for (const followUpTs of answer?.followUpTs || []) {
+    try {
+      await client.chat.delete({ channel: channel, ts: followUpTs });
+    } catch (error) {
+      logger.warn(`⚠️ Could not delete follow-up message ${followUpTs}:`, error.message);
+    }
+  }
+}
+
+// A user edited a message - if the bot answered it recently, re-answer in place
+async function handleEditedMessage(event, say, client, logger) {
+  const edited = event.message;
+  const previous = event.previous_message;
+  const { channel } = event;
+
+  // Ignore our own edits (chat.update) and other bots
+  if (!edited || edited.bot_id || !edited.user) return;
+
+  // Deleting a thread parent leaves a tombstone instead of a message_deleted event
+  if (edited.subtype === "tombstone") {
+    await handleDeletedMessage({ channel, deleted_ts: edited.ts, previous_message: previous }, client, logger);
+    return;
+  }
+
+  // Reply counts, unfurls and reactions also fire message_changed - only react to text edits
+  if (edited.text === previous?.text) return;
+
+  const threadTs = edited.thread_ts || edited.ts;
+  const record = await conversationStore.get(channel, threadTs);
+  const answer = record?.answers?.[edited.ts];
+  if (!answer) {
+    logger.debug(`Ignoring edit of ${edited.ts} - not a question the bot answered`);
+    return;
+  }
+
+  const answerAgeMs = Date.now() - Date.parse(answer.answeredAt);
+  if (answerAgeMs > EDIT_RESPONSE_WINDOW_MS) {
+    logger.info(`✏️ Ignoring edit of ${edited.ts} - answered ${Math.round(answerAgeMs / 60000)} minutes ago (outside the edit window)`);
+    return;
+  }
+
+  logger.info(`✏️ Question ${edited.ts} was edited by ${edited.user} - re-answering in place (answer ts: ${answer.answerTs})`);
+  await clearFollowUpMessages(client, channel, answer, logger);
+
+  await processMessageRequest(
+    {
+      channel: channel,
+      user: edited.user,
+      text: edited.text,
+      ts: edited.ts,
+      thread_ts: edited.thread_ts,
+      files: edited.files,
+      type: 'message'
+    },
+    say,
+    client,
+    logger,
+    {
+      conversationId: record.conversationId,
+      replyTarget: createThreadReplyTarget({
+        say,
+        client,
+        channel,
+        threadTs,
+        logger,
+        messageTs: answer.answerTs
+      })
+    }
+  );
+}
+
+// A user deleted a message - optionally collapse or delete the bot's answer to it
+async function handleDeletedMessage(event, client, logger) {
+  const { channel, deleted_ts: questionTs, previous_message: previous } = event;
+  if (DELETED_QUESTION_ACTION === 'none' || !previous || previous.bot_id) return;
+
+  const threadTs = previous.thread_ts || questionTs;
+  const record = await conversationStore.get(channel, threadTs);
+  const answer = record?.answers?.[questionTs];
+  if (!answer) return;
+
+  logger.info(`🗑️ Question ${questionTs} was deleted - ${DELETED_QUESTION_ACTION === 'delete' ? 'deleting' : 'collapsing'} answer ${answer.answerTs}`);
+
+  try {
+    await clearFollowUpMessages(client, channel, answer, logger);
+
+    if (DELETED_QUESTION_ACTION === 'delete') {
+      await client.chat.delete({ channel: channel, ts: answer.answerTs });
+    } else {
+      // Keep the conv_ block_id so the thread can still continue the conversation
+      await client.chat.update({
+        channel: channel,
+        ts: answer.answerTs,
+        ...createMessageWithConversationId(
+          "🗑️ _The question was deleted, so I've hidden my answer._",
+          record.conversationId,
+          threadTs
+        )
+      });
+    }
+
+    await conversationStore.save(channel, threadTs, { answers: { [questionTs]: null } });
+  } catch (error) {
+    logger.error(`❌ Could not clean up answer to deleted question ${questionTs}:`, error.message);
+  }
+}
+
 // Main message handler with channel filtering
 app.message(async ({ message, say, client, logger }) => {
   const { channel } = message;
@@ -235,11 +745,22 @@ app.message(async ({ message, say, client, logger }) => {
     return;
   }
   
+  // Edited and deleted questions - update or clean up the bot's answer
+  if (message.subtype === "message_changed") {
+    await handleEditedMessage(message, say, client, logger);
+    return;
+  }
+  if (message.subtype === "message_deleted") {
+    await handleDeletedMessage(message, client, logger);
+    return;
+  }
+  
   // Method 2: Check for specific subtypes that indicate automated messages
   if (message.subtype) {
     // Allow thread_broadcast (when user broadcasts thread reply to channel)
+    // Allow file_share (when user attaches files to their question)
     // Block all other subtypes which are typically automated/bot messages
-    if (message.subtype !== "thread_broadcast") {
+    if (message.subtype !== "thread_broadcast" && message.subtype !== "file_share") {
       logger.debug(`Ignoring message with subtype: ${message.subtype}`);
       return;
     }
@@ -257,32 +778,28 @@ app.message(async ({ message, say, client, logger }) => {
     return;
   }
 
-  // Handle DM messages - redirect to monitored channel
-  if (isDMChannel(channel)) {
-    if (MONITORED_CHANNEL) {
-      await say({
-        text: `👋 Hi there! I only respond to messages in <#${MONITORED_CHANNEL}>. Please write your message there and I'll respond in the thread!`,
-      });
+  // Resolve the channel policy (channel type comes from the event or a cached conversations.info)
+  const { channelPolicy } = currentWorkspace();
+  const policy = await channelPolicy.resolve(client, channel, message.channel_type);
+
+  if (!policy.allowed) {
+    // Handle DM messages when DMs are disabled - redirect to the allowed channels
+    if (policy.channelType === 'im') {
+      if (channelPolicy.hasChannelRestrictions) {
+        await say({
+          text: `👋 Hi there! I only respond to messages in ${formatAllowedChannels(channelPolicy)}. Please write your message there and I'll respond in the thread!`,
+        });
+      } else {
+        await say({
+          text: `👋 Hi there! I only respond to messages in channels, not DMs. Please write your message in a channel where I'm present and I'll respond in the thread!`,
+        });
+      }
     } else {
-      await say({
-        text: `👋 Hi there! I only respond to messages in channels, not DMs. Please write your message in a channel where I'm present and I'll respond in the thread!`,
-      });
+      logger.debug(`Ignoring message in ${policy.channelType} channel ${channel} - not allowed by channel policy`);
     }
     return;
   }
 
-  // Handle Group DMs - also redirect (but allow private channels to pass through)
-  if (isProbablyGroupDMOrPrivateChannel(channel) && MONITORED_CHANNEL && channel !== MONITORED_CHANNEL) {
-    // For now, treat all 'G' channels the same - redirect if not the monitored channel
-    // Private channels will be allowed if they're the monitored channel
-    return; // Silently ignore group DMs and non-monitored private channels
-  }
-
-  // Filter by channel - only process messages from monitored channel
-  if (MONITORED_CHANNEL && channel !== MONITORED_CHANNEL) {
-    return;
-  }
-
   const { text, user, ts, thread_ts, reply_count, reply_users_count } = message;
   
   // Detect message context for better thread handling
@@ -290,7 +807,8 @@ app.message(async ({ message, say, client, logger }) => {
   const isParentMessage = thread_ts === ts;
   const isThreadReply = thread_ts && thread_ts !== ts;
   
-  logger.info(`Message from ${user} in ${channel}: ${text}`, {
+  logger.info(`Message from ${user} in ${channel}`, {
+    text,
     isInThread,
     isParentMessage,
     isThreadReply,
@@ -298,28 +816,35 @@ app.message(async ({ message, say, client, logger }) => {
   });
   
   // Check if this message should trigger a response
-  // Rule 1: If it contains @mention, let app_mention handler process it (avoid duplicates)
-  // Rule 2: If it's a thread reply WITHOUT @mention in an existing conversation, respond
+  // Rule 1: In DMs, every message is for the bot (app_mention isn't sent for DMs)
+  // Rule 2: If it contains @mention, let app_mention handler process it (avoid duplicates)
+  // Rule 3: If it's a thread reply WITHOUT @mention in an existing conversation, respond
+  // Rule 4: In channels configured with mode "all", respond to every top-level message
+  // Rule 5: A trigger keyword from the message rules invokes the bot without a mention
   let shouldRespond = false;
   
   // Check if message contains @mention to this bot
-  const containsMention = text && text.includes(`<@${process.env.SLACK_BOT_USER_ID || 'U09BR46BEV8'}>`);
+  let botUserId = null;
+  try {
+    botUserId = (await getBotIdentity(client)).userId;
+  } catch (error) {
+    logger.warn("Could not look up the bot user ID with auth.test:", error.message);
+  }
+  // Without the bot user ID, any mention defers to the app_mention handler (avoids double answers)
+  const containsMention = Boolean(text) && (botUserId ? text.includes(`<@${botUserId}>`) : /<@[UW][A-Z0-9]+/.test(text));
   
-  if (containsMention) {
+  if (policy.channelType === 'im') {
+    shouldRespond = true;
+    logger.info(`Responding to direct message`);
+  } else if (containsMention) {
     // This message @mentions the bot - let app_mention handler process it
     shouldRespond = false;
     logger.debug(`Message contains @mention - letting app_mention handler process it`);
   } else if (isThreadReply) {
     // This is a thread reply WITHOUT @mention - check if we have a conversation going
     try {
-      const threadHistory = await client.conversations.replies({
-        channel: channel,
-        ts: thread_ts,
-        limit: 50
-      });
-      
-      // Look for any bot messages in this thread to determine if we're in a conversation
-      const hasBotMessages = threadHistory.messages.some(msg => msg.bot_id);
+      // Look for a tracked conversation (or any bot messages) in this thread
+      const { hasBotMessages } = await lookupThreadConversation(client, channel, thread_ts, logger);
       if (hasBotMessages) {
         shouldRespond = true;
         logger.info(`Responding to thread reply - existing conversation found`);
@@ -327,11 +852,23 @@ app.message(async ({ message, say, client, logger }) => {
     } catch (error) {
       logger.warn("Could not check thread history for bot messages:", error.message);
     }
+  } else if (policy.mode === 'all') {
+    // This channel answers every top-level message
+    shouldRespond = true;
+    logger.info(`Responding to top-level message - channel mode is "all"`);
   } else {
     // This is a new message without @mention - ignore
     shouldRespond = false;
     logger.debug(`New message without mention - ignored`);
   }
+
+  if (!shouldRespond && !containsMention) {
+    const trigger = messageRules.findTrigger(channel, text);
+    if (trigger) {
+      shouldRespond = true;
+      logger.info(`Responding to message - matched trigger ${trigger.description}`);
+    }
+  }
   
   // If we shouldn't respond, ignore the message
   if (!shouldRespond) {
@@ -339,23 +876,62 @@ app.message(async ({ message, say, client, logger }) => {
     return;
   }
   
+  // "summarize this thread" asks for a digest rather than an answer
+  if (await handleSummarizeMention(message, say, client, logger)) {
+    return;
+  }
+
   // Use the extracted processing function
   await processMessageRequest(message, say, client, logger);
 });
 
+// "@Matt-GPT summarize this thread" (or "summarize this channel 3d", or just "summarize") -
+// queue a summary, posted in the thread, instead of asking a question.
+// Resolves to true when the message was a summary request.
+async function handleSummarizeMention(message, say, client, logger) {
+  const keyword = parseSummarizeMention(cleanMessageText(message.text));
+  if (!keyword) return false;
+
+  const { channel, user, ts, thread_ts } = message;
+  const inThread = Boolean(thread_ts && thread_ts !== ts);
+  const scope = keyword.scope || (inThread ? 'thread' : 'channel');
+  const replyTarget = createThreadReplyTarget({ say, client, channel, threadTs: thread_ts || ts, logger });
+
+  if (scope === 'thread' && !inThread) {
+    await replyTarget.postMessage("🧵 Ask me to summarize a thread from inside it - or say `summarize this channel` for the channel's recent messages.");
+    return true;
+  }
+
+  const windowMs = Math.min(keyword.windowMs || SUMMARIZE_DEFAULT_WINDOW_MS, SUMMARIZE_MAX_WINDOW_MS);
+  logger.info(`🗞️ Summary of ${scope === 'thread' ? `thread ${thread_ts}` : `the last ${formatWindow(windowMs)}`} in ${channel} requested by ${user}`);
+  await queueSummary(
+    {
+      user,
+      channel,
+      threadTs: scope === 'thread' ? thread_ts : null,
+      oldest: scope === 'thread' ? null : windowStartTs(windowMs),
+      windowMs
+    },
+    { client, logger, replyTarget }
+  );
+  return true;
+}
+
 // Handle app mentions specifically (when bot is @mentioned)
 app.event('app_mention', async ({ event, say, client, logger }) => {
-  const { channel, user, text, ts, thread_ts } = event;
+  const { channel, user, text, ts, thread_ts, files } = event;
   
-  logger.info(`🔔 App mentioned by ${user} in ${channel}: ${text}`);
+  logger.info(`🔔 App mentioned by ${user} in ${channel}`, { text });
   
-  // Only respond if in monitored channel (or no channel restriction)
-  if (MONITORED_CHANNEL && channel !== MONITORED_CHANNEL) {
-    logger.info(`❌ Ignoring mention - not in monitored channel. Expected: ${MONITORED_CHANNEL}, Got: ${channel}`);
+  // Only respond if the channel policy allows this channel
+  const { channelPolicy } = currentWorkspace();
+  const policy = await channelPolicy.resolve(client, channel);
+  if (!policy.allowed) {
+    logger.info(`❌ Ignoring mention - channel ${channel} (${policy.channelType}) not allowed. Allowed: ${channelPolicy.describe()}`);
     return;
   }
   
-  logger.info(`✅ Processing mention in correct channel`);
+  logger.info(`✅ Processing mention in allowed channel`);
   
   // Process this as a regular message by calling the same logic
   // Create a mock message object to reuse our existing logic
@@ -365,146 +941,1709 @@ app.event('app_mention', async ({ event, say, client, logger }) => {
     text,
     ts,
     thread_ts,
+    files,
     type: 'message'
   };
   
-  logger.info(`📨 Created mock message object for processing:`, mockMessage);
+  logger.debug(`📨 Created mock message object for processing:`, mockMessage);
+
+  // "summarize this thread" asks for a digest rather than an answer
+  if (await handleSummarizeMention(mockMessage, say, client, logger)) {
+    return;
+  }
   
   // Call the same processing logic
   await processMessageRequest(mockMessage, say, client, logger);
 });
 
-// Extract the main message processing logic into a separate function
-async function processMessageRequest(message, say, client, logger) {
-  const { text, user, ts, thread_ts, channel } = message;
-  
-  // Clean the message text (remove @mentions)
-  const cleanedText = cleanMessageText(text);
-  
-  // Check for "side note" variations - skip processing if message starts with any of these
-  if (cleanedText) {
-    const lowerText = cleanedText.toLowerCase();
-    if (lowerText.startsWith('side note') || 
-        lowerText.startsWith('sidenote') || 
-        lowerText.startsWith('side-note') ||
-        lowerText.startsWith('*side note') ||
-        lowerText.startsWith('*sidenote') ||
-        lowerText.startsWith('*side-note')) {
-      logger.info(`💭 Skipping message - starts with side note variation:`, {
-        user,
-        text: cleanedText?.substring(0, 100) + (cleanedText?.length > 100 ? '...' : '')
-      });
-      return;
-    }
-  }
-  
-  logger.info(`🚀 Starting message processing:`, {
-    user,
-    channel,
-    originalText: text?.substring(0, 100) + (text?.length > 100 ? '...' : ''),
-    cleanedText: cleanedText?.substring(0, 100) + (cleanedText?.length > 100 ? '...' : ''),
-    ts,
-    thread_ts,
-    messageType: thread_ts && thread_ts !== ts ? 'thread_reply' : 'new_message'
+// Helper function to fetch a single message by ts (works for thread parents and replies alike).
+// Slack always returns the thread's parent first, so the window is left without a limit and
+// the message is picked by its ts.
+async function fetchMessage(client, channel, ts, threadTs = ts) {
+  const history = await client.conversations.replies({
+    channel: channel,
+    ts: threadTs,
+    oldest: ts,
+    latest: ts,
+    inclusive: true
   });
-  
+  return history.messages?.find(msg => msg.ts === ts) || null;
+}
+
+// Messages currently being answered because of a reaction (so several reactions ask once)
+const reactionRequestsInFlight = new Set();
+
+// Reaction trigger - reacting with a configured emoji (e.g. :robot_face:) asks Matt-GPT
+// about that message; the answer goes into the message's thread
+app.event('reaction_added', async ({ event, say, client, logger }) => {
+  const { reaction, user, item } = event;
+  if (item.type !== 'message' || !messageRules.isTriggerReaction(item.channel, reaction)) {
+    return;
+  }
+
+  const policy = await currentWorkspace().channelPolicy.resolve(client, item.channel);
+  if (!policy.allowed) {
+    logger.info(`❌ Ignoring :${reaction}: reaction - channel ${item.channel} (${policy.channelType}) not allowed`);
+    return;
+  }
+
+  const key = `${item.channel}:${item.ts}`;
+  if (reactionRequestsInFlight.has(key)) {
+    logger.debug(`Already answering ${key} - ignoring the extra reaction`);
+    return;
+  }
+  reactionRequestsInFlight.add(key);
+
   try {
-    // Check if Matt-GPT API is configured
-    logger.info(`🔧 Checking Matt-GPT API configuration...`);
-    if (!MATT_GPT_BEARER_TOKEN) {
-      logger.error(`❌ MATT_GPT_BEARER_TOKEN not configured`);
-      await say({
-        text: "❌ Matt-GPT API is not configured. Please set MATT_GPT_BEARER_TOKEN environment variable.",
-        thread_ts: thread_ts || ts,
-      });
+    logger.info(`🤖 :${reaction}: reaction from ${user} on ${item.ts} in ${item.channel}`);
+
+    // The event doesn't say which thread the message is in, but conversations.replies accepts
+    // the ts of a reply as well as a parent's
+    const message = await fetchMessage(client, item.channel, item.ts);
+    if (!message) {
+      logger.warn(`⚠️ Could not find the reacted message ${item.ts}`);
       return;
     }
-    
-    if (!OPENROUTER_API_KEY) {
-      logger.error(`❌ OPENROUTER_API_KEY not configured`);
-      await say({
-        text: "❌ OpenRouter API key is not configured. Please set OPENROUTER_API_KEY environment variable.",
-        thread_ts: thread_ts || ts,
+
+    // Never ask Matt-GPT about the bot's own answers
+    const botIdentity = await getBotIdentity(client).catch(() => null);
+    if (botIdentity && (message.user === botIdentity.userId || (message.bot_id && message.bot_id === botIdentity.botId))) {
+      logger.debug(`Ignoring reaction on the bot's own message`);
+      return;
+    }
+
+    // The message is the question, so messages of people who opted out can't be asked about
+    if ((await getOptedOutUsers(user)).has(message.user)) {
+      logger.info(`🙈 Ignoring reaction - ${message.user} opted out of Matt-GPT context`);
+      await client.chat.postEphemeral({
+        channel: item.channel,
+        user: user,
+        text: `🙈 <@${message.user}> keeps their messages out of Matt-GPT, so I can't answer questions about that message.`
       });
       return;
     }
-    
-    logger.info(`✅ Matt-GPT API configuration OK`);
-    logger.info(`✅ OpenRouter API key configured`);
 
-    // Get conversation ID for this thread (only for thread replies)
-    logger.info(`🔍 Getting conversation ID for thread...`);
-    let conversationId = null;
-    
-    // If this is a thread reply, try to get conversation ID from previous bot messages
-    if (thread_ts && thread_ts !== ts) {
-      logger.info(`📜 This is a thread reply - searching for existing conversation ID`);
-      try {
-        // Get the thread history to find conversation ID
-        logger.info(`🔍 Fetching thread history for thread_ts: ${thread_ts}`);
-        const threadHistory = await client.conversations.replies({
-          channel: channel,
-          ts: thread_ts,
-          limit: 50  // Get recent messages to find conversation ID
-        });
-        
-        logger.info(`📝 Thread history retrieved: ${threadHistory.messages.length} messages`);
-        
-        // Look through messages for existing conversation ID
-        for (const msg of threadHistory.messages.reverse()) {
-          if (msg.bot_id) { // Only check bot messages
-            logger.info(`🤖 Checking bot message for conversation ID...`);
-            const existingConvId = extractConversationId(msg);
-            if (existingConvId) {
-              conversationId = existingConvId;
-              logger.info(`✅ Found existing conversation ID: ${conversationId}`);
-              break;
-            }
-          }
-        }
-        
-        if (!conversationId) {
-          logger.info(`🔍 No existing conversation ID found in thread history`);
-        }
-      } catch (error) {
-        logger.error("❌ Could not retrieve thread history:", error.message);
-      }
-    } else {
-      logger.info(`💬 This is a new message - will get conversation ID from API response`);
+    // Answer each message only once, however many people react
+    const threadTs = message.thread_ts || message.ts;
+    const record = await conversationStore.get(item.channel, threadTs);
+    if (record?.answers?.[message.ts]) {
+      logger.info(`💬 Message ${message.ts} was already answered - ignoring reaction`);
+      return;
     }
 
-    // Show thinking indicator
-    logger.info(`💭 Posting thinking indicator...`);
-    const thinkingMsg = await say({
-      text: "🤔 Thinking...",
-      thread_ts: thread_ts || ts,
-    });
-    logger.info(`✅ Thinking message posted with ts: ${thinkingMsg.ts}`);
+    // Keep the message marked in flight until it's answered
+    const request = await processMessageRequest(
+      {
+        channel: item.channel,
+        user: user,
+        text: message.text,
+        ts: message.ts,
+        thread_ts: threadTs,
+        files: message.files,
+        type: 'message'
+      },
+      say,
+      client,
+      logger
+    );
+    await request?.finished;
+  } catch (error) {
+    logger.error("❌ Could not answer reaction trigger:", error.message);
+  } finally {
+    reactionRequestsInFlight.delete(key);
+  }
+});
 
-    // Build context for Matt-GPT API
-    logger.info(`📋 Building API context...`);
-    const apiContext = {
-      thread_ts: thread_ts || ts,
-      channel: channel,
-      user_id: user
-    };
-    
-    // Only include conversation_id for thread replies (continuing conversations)
-    if (conversationId) {
-      apiContext.conversation_id = conversationId;
-      logger.info(`📋 API context built with conversation ID:`, apiContext);
-    } else {
-      logger.info(`📋 API context built for new conversation:`, apiContext);
-    }
+// Message shortcut "Ask Matt-GPT about this message" - open a modal prefilled with the message
+app.shortcut(ASK_SHORTCUT_CALLBACK_ID, async ({ shortcut, ack, client, logger }) => {
+  await ack();
 
-    // Call Matt-GPT with retry logic
-    logger.info("🔄 Calling Matt-GPT API...");
-    const mattGPTResponse = await callMattGPTWithRetry(cleanedText, apiContext, 3, logger);
-    
-    // Log response details
-    logger.info("📥 Matt-GPT response received:", {
-      query_id: mattGPTResponse.query_id,
-      tokens_used: mattGPTResponse.tokens_used,
+  const { message, channel, user } = shortcut;
+  logger.info(`💬 Ask-about-message shortcut from ${user.id} on ${message.ts} in ${channel.id}`);
+
+  try {
+    // Preselect where to answer from the user's App Home setting
+    const settings = await userSettings.get(user.id).catch(() => userSettings.defaults);
+    await client.views.open({
+      trigger_id: shortcut.trigger_id,
+      view: buildAskModal({
+        channel: channel.id,
+        messageTs: message.ts,
+        threadTs: message.thread_ts,
+        userId: message.user,
+        text: message.text,
+        replyMode: settings.replyMode
+      })
+    });
+  } catch (error) {
+    logger.error("❌ Could not open the ask-about-message modal:", error.message);
+  }
+});
+
+// Helper function to turn Slack messages into { ts, author, text } with readable names
+function toReadableMessages(client, messages) {
+  return Promise.all(messages.map(async (msg) => ({
+    ts: msg.ts,
+    author: msg.user ? `@${await slackDirectory.getUserName(client, msg.user)}` : (msg.bot_profile?.name || 'a bot'),
+    text: await expandSlackTokens(msg.text || '', client, slackDirectory),
+  })));
+}
+
+// Ask-about-message modal submitted - ask the question with the message (or its whole thread)
+// attached, starting a new conversation in the message's thread
+app.view(ASK_MODAL_CALLBACK_ID, async ({ ack, body, view, client, logger }) => {
+  const submission = readAskModal(view);
+  const { channel, messageTs, question } = submission;
+  const user = body.user.id;
+
+  if (!question) {
+    await ack({ response_action: 'errors', errors: { question: "Please enter a question." } });
+    return;
+  }
+
+  // People without access (and everyone, while paused) are told in the modal
+  const denied = await checkAccess(client, { user, channel, logger });
+  if (denied) {
+    await ack({ response_action: 'errors', errors: { question: denied } });
+    return;
+  }
+
+  // Public answers follow the same channel policy as mentions
+  if (submission.replyMode === 'thread') {
+    const { channelPolicy } = currentWorkspace();
+    const policy = await channelPolicy.resolve(client, channel);
+    if (!policy.allowed) {
+      const allowedText = channelPolicy.hasChannelRestrictions ? formatAllowedChannels(channelPolicy) : 'channels';
+      await ack({
+        response_action: 'errors',
+        errors: { reply_mode: `I only answer publicly in ${allowedText} - choose "Only visible to me" to ask here.` }
+      });
+      return;
+    }
+  }
+
+  await ack();
+  logger.info(`💬 Question about message ${messageTs} in ${channel} from ${user} (${submission.replyMode}${submission.includeThread ? ', whole thread' : ''})`);
+
+  const threadTs = submission.threadTs || messageTs;
+  const say = (payload) => client.chat.postMessage({ channel: channel, ...payload });
+
+  try {
+    // Fetch the message again - it may have been edited (or deleted) since the modal opened
+    const selected = await fetchMessage(client, channel, messageTs, threadTs);
+    if (!selected) {
+      await client.chat.postEphemeral({
+        channel: channel,
+        user: user,
+        text: "🤷 I couldn't find that message anymore - it may have been deleted."
+      });
+      return;
+    }
+
+    // Messages of people who opted out stay out of the question
+    const optedOut = await getOptedOutUsers(user);
+    if (optedOut.has(selected.user)) {
+      await client.chat.postEphemeral({
+        channel: channel,
+        user: user,
+        text: `🙈 <@${selected.user}> keeps their messages out of Matt-GPT, so I can't answer questions about that message.`
+      });
+      return;
+    }
+
+    let messages = [selected];
+    if (submission.includeThread && submission.threadTs) {
+      const threadMessages = await fetchThreadMessages(client, { channel, threadTs });
+      messages = threadMessages.filter(msg => msg.ts === messageTs || (msg.text && !msg.subtype && !optedOut.has(msg.user)));
+    }
+
+    const message = {
+      channel: channel,
+      user: user,
+      text: composeShortcutQuestion({
+        question,
+        messages: await toReadableMessages(client, messages),
+        selectedTs: messageTs,
+        charBudget: THREAD_CONTEXT_CHAR_BUDGET
+      }),
+      thread_ts: threadTs,
+      files: selected.files,
+      type: 'message'
+    };
+
+    if (submission.replyMode === 'ephemeral') {
+      await processMessageRequest(message, say, client, logger, {
+        newConversation: true,
+        replyTarget: createUserEphemeralReplyTarget({ client, channel, user, threadTs, logger })
+      });
+      return;
+    }
+
+    // Post the question in the thread so everyone can see what the answer is about
+    // (keep the format in sync with ASKED_QUESTION_PREFIX, used when regenerating)
+    const questionMsg = await client.chat.postMessage({
+      channel: channel,
+      thread_ts: threadTs,
+      text: `❓ <@${user}> asked: ${question}`,
+      unfurl_links: false,
+      unfurl_media: false,
+    });
+    logger.info(`🧵 Posted shortcut question with ts: ${questionMsg.ts}`);
+
+    await processMessageRequest({ ...message, ts: questionMsg.ts }, say, client, logger, {
+      newConversation: true,
+      replyTarget: createThreadReplyTarget({ say, client, channel, threadTs, logger })
+    });
+  } catch (error) {
+    logger.error("❌ Could not answer ask-about-message question:", error.message);
+  }
+});
+
+// Helper function to build the friendly reply for requests rejected by the scheduler
+function formatRateLimitMessage({ reason, retryAfterMs }) {
+  const seconds = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  switch (reason) {
+    case 'user':
+      return `🚦 You're asking questions faster than I can keep up - please wait ${seconds}s and try again.`;
+    case 'channel':
+      return `🚦 This channel has hit its question limit for now - please try again in ${seconds}s.`;
+    default:
+      return "🚦 I'm answering a lot of questions right now and my queue is full - please try again in a minute.";
+  }
+}
+
+// Helper function to tell users the backend is down (circuit breaker open).
+// Without a wait time the circuit is half open and a trial request is checking on the backend.
+function formatCircuitOpenMessage(retryAfterMs) {
+  if (!(retryAfterMs > 0)) {
+    return "🔌 Matt-GPT is recovering from repeated failures and I'm checking whether it's back - please ask again in a moment.";
+  }
+  return `🔌 Matt-GPT is currently unavailable after repeated failures. I'll try again in about ${Math.ceil(retryAfterMs / 1000)}s - please ask again after that.`;
+}
+
+// Helper function to build the reply for requests blocked by an exhausted token budget
+function formatBudgetExceededMessage({ budget, used, limit }) {
+  const usage = `${used.toLocaleString()} of ${limit.toLocaleString()} tokens`;
+  switch (budget) {
+    case 'user_daily':
+      return `💸 You've used your daily Matt-GPT budget (${usage}). It resets at midnight UTC.`;
+    case 'user_monthly':
+      return `💸 You've used your monthly Matt-GPT budget (${usage}). It resets on the 1st (UTC).`;
+    case 'global_daily':
+      return `💸 The team's daily Matt-GPT budget is used up (${usage}). It resets at midnight UTC.`;
+    default:
+      return `💸 The team's monthly Matt-GPT budget is used up (${usage}). It resets on the 1st (UTC).`;
+  }
+}
+
+// Helper function to format token counts (and estimated cost) for usage summaries
+function formatTokenUsage({ tokens, requests, cost }, limit) {
+  const limitText = limit ? ` / ${limit.toLocaleString()}` : '';
+  const costText = cost !== null ? ` (~$${cost.toFixed(cost < 1 ? 4 : 2)})` : '';
+  return `${tokens.toLocaleString()}${limitText} tokens in ${requests} request${requests === 1 ? '' : 's'}${costText}`;
+}
+
+// Build the personal usage lines shown by /mattgpt usage and the App Home tab
+function formatUserUsage(summary) {
+  return [
+    `*Your usage*`,
+    `• Today (${summary.today}): ${formatTokenUsage(summary.user.today, summary.budgets.userDaily)}`,
+    `• This month (${summary.month}): ${formatTokenUsage(summary.user.month, summary.budgets.userMonthly)}`,
+  ];
+}
+
+// Build the usage summary lines shown by /mattgpt usage (the per-user breakdown is for admins)
+function formatUsageSummary(summary, { includeTopUsers = false } = {}) {
+  const lines = [
+    ...formatUserUsage(summary),
+    `*Team usage*`,
+    `• Today: ${formatTokenUsage(summary.global.today, summary.budgets.globalDaily)}`,
+    `• This month: ${formatTokenUsage(summary.global.month, summary.budgets.globalMonthly)}`,
+  ];
+
+  if (includeTopUsers && summary.topUsers.length > 0) {
+    lines.push(`*Top users this month*`);
+    summary.topUsers.forEach(({ userId, tokens }, index) => {
+      lines.push(`${index + 1}. <@${userId}> - ${tokens.toLocaleString()} tokens`);
+    });
+  }
+
+  return lines;
+}
+
+// Help text for the /mattgpt slash command
+const MATTGPT_COMMAND_HELP = [
+  "*Matt-GPT commands*",
+  "• `/mattgpt ask <question>` - ask privately (only you see the answer)",
+  "• `/mattgpt ask --thread <question>` - ask publicly in a new thread in this channel",
+  "• `/mattgpt summarize [24h] [--thread]` - summarize this channel's recent messages (privately, or in a new thread)",
+  "• `/mattgpt summarize [--thread] <message link>` - summarize that message's thread (privately, or in the thread)",
+  "• `/mattgpt reset <message link>` - start a fresh conversation in a thread you took part in",
+  "• `/mattgpt status` - show Matt-GPT API reachability and bot configuration",
+  "• `/mattgpt usage` - show your and the team's token usage and budgets",
+  "• `/mattgpt opt-out` / `opt-in` - keep your messages out of threads and summaries others send to Matt-GPT (or allow them again)",
+  "• `/mattgpt schedule add <cron> [--tz Europe/Berlin] <prompt>` - post a prompt in this channel on a schedule (`summarize 24h` as the prompt posts a digest)",
+  "• `/mattgpt schedule list` / `remove <id>` - show or delete this channel's schedules",
+  "*Admins*",
+  "• `/mattgpt pause [reason]` / `resume` - stop answering in this workspace, and start again",
+  "• `/mattgpt activity [count]` - show who asked what recently, from the audit log",
+  "• `/mattgpt purge [@user]` - remove audit log entries past the retention period (or all about a user)",
+].join("\n");
+
+// Helper function to parse a Slack message permalink into channel + thread ts
+// e.g. https://team.slack.com/archives/C123ABC/p1712345678123456?thread_ts=1712345678.123456
+function parseMessagePermalink(link) {
+  if (!link) return null;
+
+  // Slack may wrap links in <...> (optionally with a |label)
+  const url = link.replace(/^<|>$/g, '').split('|')[0];
+  const match = url.match(/\/archives\/([A-Z0-9]+)\/p(\d{7,})(\d{6})/);
+  if (!match) return null;
+
+  const threadTsMatch = url.match(/[?&]thread_ts=(\d+\.\d+)/);
+  return {
+    channel: match[1],
+    threadTs: threadTsMatch ? threadTsMatch[1] : `${match[2]}.${match[3]}`,
+  };
+}
+
+// Helper function to check whether a user wrote in a thread (or asked in it through the bot)
+async function isThreadParticipant(client, { channel, threadTs }, userId) {
+  const messages = await fetchThreadMessages(client, { channel, threadTs });
+  return messages.some(msg => msg.user === userId || ASKED_QUESTION_PREFIX.exec(msg.text || '')?.[1] === userId);
+}
+
+// Helper function to refuse a slash command request up front (before anything is posted)
+// when the user has no access or the bot is paused
+async function admitCommandUser(command, { respond, client, logger }) {
+  const denied = await checkAccess(client, { user: command.user_id, channel: command.channel_id, logger });
+  if (denied) {
+    await respond({ response_type: 'ephemeral', text: denied });
+  }
+  return !denied;
+}
+
+// Helper function to let only admins use the admin commands
+async function requireAdmin(command, { respond, client }) {
+  const { accessPolicy } = currentWorkspace();
+  if (await accessPolicy.isAdmin(client, command.user_id)) {
+    return true;
+  }
+  await respond({
+    response_type: 'ephemeral',
+    text: `🔒 Only Matt-GPT admins can do that${accessPolicy.hasAdmins ? '' : ' - none are set up yet (ADMIN_USERS)'}.`
+  });
+  return false;
+}
+
+// /mattgpt ask - answer privately, or publicly in a new thread with --thread
+async function handleAskCommand(command, argText, { respond, say, client, logger }) {
+  if (!(await admitCommandUser(command, { respond, client, logger }))) return;
+
+  const inThread = argText.startsWith('--thread');
+  const question = inThread ? argText.slice('--thread'.length).trim() : argText;
+
+  if (!question) {
+    await respond({ response_type: 'ephemeral', text: "❓ Usage: `/mattgpt ask [--thread] <question>`" });
+    return;
+  }
+
+  const message = {
+    channel: command.channel_id,
+    user: command.user_id,
+    text: question,
+    type: 'message'
+  };
+
+  if (!inThread) {
+    logger.info(`🔒 Answering /mattgpt ask privately for ${command.user_id}`);
+    await processMessageRequest(message, say, client, logger, {
+      replyTarget: createEphemeralReplyTarget({ respond, channel: command.channel_id, logger, responseUrl: command.response_url })
+    });
+    return;
+  }
+
+  // Public answers follow the same channel policy as mentions
+  const { channelPolicy } = currentWorkspace();
+  const policy = await channelPolicy.resolve(client, command.channel_id);
+  if (!policy.allowed) {
+    const allowedText = channelPolicy.hasChannelRestrictions ? formatAllowedChannels(channelPolicy) : 'channels';
+    await respond({
+      response_type: 'ephemeral',
+      text: `👋 I only answer publicly in ${allowedText}. Use \`/mattgpt ask <question>\` to ask privately here.`
+    });
+    return;
+  }
+
+  // Post the question as a new top-level message and answer in its thread
+  // (keep the format in sync with ASKED_QUESTION_PREFIX, used when regenerating)
+  const questionMsg = await client.chat.postMessage({
+    channel: command.channel_id,
+    text: `❓ <@${command.user_id}> asked: ${question}`,
+    unfurl_links: false,
+    unfurl_media: false,
+  });
+  logger.info(`🧵 Posted /mattgpt question with ts: ${questionMsg.ts}`);
+
+  await processMessageRequest({ ...message, ts: questionMsg.ts }, say, client, logger);
+}
+
+const SUMMARIZE_USAGE = "❓ Usage: `/mattgpt summarize [24h] [--thread]` for this channel, or `/mattgpt summarize [--thread] <message link>` for a thread.";
+
+// Helper function to turn a summary window into the oldest message ts to read
+function windowStartTs(windowMs) {
+  return ((Date.now() - windowMs) / 1000).toFixed(6);
+}
+
+// /mattgpt summarize - a digest of this channel's recent messages, or of a linked thread.
+// Private by default; --thread posts it in the linked thread (or a new thread in this channel).
+async function handleSummarizeCommand(command, argText, { respond, client, logger }) {
+  if (!(await admitCommandUser(command, { respond, client, logger }))) return;
+
+  const args = parseSummarizeArgs(argText);
+  const target = args.link ? parseMessagePermalink(args.link) : null;
+  if (args.unknown.length > 0 || (args.link && !target)) {
+    await respond({ response_type: 'ephemeral', text: SUMMARIZE_USAGE });
+    return;
+  }
+
+  const windowMs = args.windowMs || SUMMARIZE_DEFAULT_WINDOW_MS;
+  if (windowMs > SUMMARIZE_MAX_WINDOW_MS) {
+    await respond({ response_type: 'ephemeral', text: `⏳ I can summarize at most the last ${formatWindow(SUMMARIZE_MAX_WINDOW_MS)} of a channel.` });
+    return;
+  }
+
+  // Threads from other channels only when those are public, so nothing leaks to non-members
+  const channel = target?.channel || command.channel_id;
+  const { channelPolicy } = currentWorkspace();
+  const policy = channel === command.channel_id && !args.post ? null : await channelPolicy.resolve(client, channel);
+  if (channel !== command.channel_id && policy.channelType !== 'public') {
+    await respond({ response_type: 'ephemeral', text: "🔒 I can only summarize threads from other channels when they're public - run the command in that channel instead." });
+    return;
+  }
+
+  let replyTarget;
+  let threadTs = target?.threadTs || null;
+  if (!args.post) {
+    replyTarget = createEphemeralReplyTarget({ respond, channel: command.channel_id, logger, responseUrl: command.response_url });
+  } else {
+    // Public digests follow the same channel policy as mentions
+    if (!policy.allowed) {
+      const allowedText = channelPolicy.hasChannelRestrictions ? formatAllowedChannels(channelPolicy) : 'channels';
+      await respond({
+        response_type: 'ephemeral',
+        text: `👋 I only post in ${allowedText}. Leave out \`--thread\` to get the summary privately.`
+      });
+      return;
+    }
+
+    // A channel digest goes in the thread of a new message saying who asked for it
+    let postThreadTs = threadTs;
+    if (!postThreadTs) {
+      const requestMsg = await client.chat.postMessage({
+        channel: channel,
+        text: `🗞️ <@${command.user_id}> asked for a summary of the last ${formatWindow(windowMs)} in this channel`,
+      });
+      postThreadTs = requestMsg.ts;
+    }
+    replyTarget = createThreadReplyTarget({
+      say: (message) => client.chat.postMessage({ channel: channel, ...message }),
+      client,
+      channel,
+      threadTs: postThreadTs,
+      logger
+    });
+  }
+
+  logger.info(`🗞️ Summary of ${threadTs ? `thread ${threadTs}` : `the last ${formatWindow(windowMs)}`} in ${channel} requested by ${command.user_id}`);
+  await queueSummary(
+    { user: command.user_id, channel, threadTs, oldest: threadTs ? null : windowStartTs(windowMs), windowMs },
+    { client, logger, replyTarget }
+  );
+}
+
+// /mattgpt reset - start a fresh conversation_id in a thread instead of continuing the old one
+async function handleResetCommand(command, argText, { respond, client, logger }) {
+  // Slash commands don't normally carry thread_ts, so a message link identifies the thread
+  const target = command.thread_ts
+    ? { channel: command.channel_id, threadTs: command.thread_ts }
+    : parseMessagePermalink(argText);
+
+  if (!target) {
+    await respond({
+      response_type: 'ephemeral',
+      text: "❓ Usage: `/mattgpt reset <message link>` - use \"Copy link\" on any message in the thread you want to reset."
+    });
+    return;
+  }
+
+  // Only people who took part in the thread (and admins) can reset its conversation
+  const { accessPolicy } = currentWorkspace();
+  if (!(await accessPolicy.isAdmin(client, command.user_id)) && !(await isThreadParticipant(client, target, command.user_id))) {
+    logger.info(`🔒 Refused reset by ${command.user_id} for thread ${target.channel}:${target.threadTs} - not in the thread`);
+    await respond({
+      response_type: 'ephemeral',
+      text: "🔒 You can only reset conversations in threads you've taken part in."
+    });
+    return;
+  }
+
+  await conversationStore.save(target.channel, target.threadTs, {
+    conversationId: null,
+    resetAt: new Date().toISOString()
+  });
+  logger.info(`🔄 Conversation reset by ${command.user_id} for thread ${target.channel}:${target.threadTs}`);
+
+  await client.chat.postMessage({
+    channel: target.channel,
+    thread_ts: target.threadTs,
+    text: `🔄 <@${command.user_id}> reset this conversation - my next reply in this thread starts fresh.`,
+  });
+
+  await respond({ response_type: 'ephemeral', text: "✅ Conversation reset." });
+}
+
+// Helper function to describe a circuit breaker for status output
+function formatCircuitStatus({ state, consecutive_failures: failures, retry_after_ms: retryAfterMs }) {
+  if (state === 'open') {
+    return retryAfterMs > 0
+      ? `🔴 Open - failing fast, next try in ${Math.ceil(retryAfterMs / 1000)}s`
+      : '🔴 Open - the next request will be a trial';
+  }
+  if (state === 'half_open') {
+    return `🟡 Half-open - waiting for a trial request`;
+  }
+  return `🟢 Closed${failures > 0 ? ` (${failures} recent failure${failures === 1 ? '' : 's'})` : ''}`;
+}
+
+// /mattgpt status - report API reachability, circuit breakers and configuration
+async function handleStatusCommand(command, argText, { respond }) {
+  const workspace = currentWorkspace();
+  const { channelPolicy, backendRegistry, answerMetadata, accessPolicy, env: workspaceEnv } = workspace;
+  const pause = await pauseSwitch.get(pauseKey());
+  const defaultBackend = backendRegistry.get();
+  const health = await getCircuitBreaker(defaultBackend).probe();
+  const apiStatus = health.reachable
+    ? `${health.healthy ? '✅' : '⚠️'} Reachable (HTTP ${health.status}, ${health.latencyMs}ms)`
+    : `❌ Unreachable (${health.error})`;
+
+  const circuitLines = backendRegistry.names.map(name =>
+    `• Circuit (${name}): ${formatCircuitStatus(getCircuitBreaker(backendRegistry.get(name)).getStatus())}`
+  );
+
+  await respond({
+    response_type: 'ephemeral',
+    text: [
+      "*Matt-GPT status*",
+      `• API (${defaultBackend.name}): ${apiStatus}`,
+      ...circuitLines,
+      `• API URL: \`${workspaceEnv.MATT_GPT_API_URL || MATT_GPT_API_URL}\``,
+      `• Bearer token: ${workspaceEnv.MATT_GPT_BEARER_TOKEN ? '✅ Configured' : '❌ Not set'}`,
+      `• OpenRouter key: ${workspaceEnv.OPENROUTER_API_KEY ? '✅ Configured' : '❌ Not set'}`,
+      `• Channels: ${channelPolicy.describe()}`,
+      `• Message rules: ${messageRules.describe()}`,
+      `• Answer metadata: ${answerMetadata.describe()}`,
+      `• Access: ${accessPolicy.describe()}`,
+      `• Paused: ${pause ? `⏸️ Yes, by <@${pause.by}>${pause.reason ? ` (${pause.reason})` : ''}` : 'No'}`,
+      `• Audit log: ${auditLog.enabled ? `On, ${auditLog.retentionDays > 0 ? `kept ${auditLog.retentionDays} days` : 'kept forever'}` : 'Off'}`,
+      `• Backends: ${backendRegistry.names.join(', ')} (default: ${backendRegistry.defaultName})`,
+      `• Slack connection: ${SOCKET_MODE ? 'Socket Mode' : 'Events API (HTTP)'}${OAUTH_ENABLED ? ', multi-workspace OAuth' : ''}`,
+      `• Workspace settings: ${workspace.teamId ? `${workspace.name} overrides` : 'default'}`,
+      `• Streaming: ${MATT_GPT_STREAMING ? 'Enabled' : 'Disabled'}`,
+      `• Conversation store: ${conversationStore.type}`,
+      `• Queue: ${requestScheduler.running} running, ${requestScheduler.queued} waiting`,
+      `• Jobs: ${jobQueue.running} running, ${jobQueue.size} saved`,
+    ].join("\n")
+  });
+}
+
+// /mattgpt usage - report token usage against the budgets; admins also see the top users
+async function handleUsageCommand(command, argText, { respond, client }) {
+  const summary = await usageLedger.getSummary(command.user_id);
+  const includeTopUsers = await currentWorkspace().accessPolicy.isAdmin(client, command.user_id);
+  await respond({
+    response_type: 'ephemeral',
+    text: formatUsageSummary(summary, { includeTopUsers }).join("\n")
+  });
+}
+
+// /mattgpt opt-out and opt-in - keep (or stop keeping) your messages out of what others send to Matt-GPT
+async function handleOptOutCommand(command, optOut, { respond, logger }) {
+  await userSettings.update(command.user_id, { contextOptOut: optOut });
+  logger.info(`🙈 ${command.user_id} ${optOut ? 'opted out of' : 'opted back in to'} Matt-GPT context`);
+  await respond({
+    response_type: 'ephemeral',
+    text: optOut
+      ? "🙈 Done - your messages are no longer sent to Matt-GPT when others include a thread, ask about your messages or summarize a conversation. Your own questions still are. `/mattgpt opt-in` undoes this."
+      : "👍 Done - your messages can be included again when others ask Matt-GPT about a thread or conversation."
+  });
+}
+
+// /mattgpt pause [reason] and /mattgpt resume (admins) - stop or restart answering in this workspace
+async function handlePauseCommand(command, argText, paused, { respond, client, logger }) {
+  if (!(await requireAdmin(command, { respond, client }))) return;
+
+  if (paused) {
+    await pauseSwitch.pause(pauseKey(), { by: command.user_id, reason: argText || null });
+    logger.warn(`⏸️ Matt-GPT paused by ${command.user_id}${argText ? ` (${argText})` : ''}`);
+    await recordAudit('admin', { user: command.user_id, channel: command.channel_id, action: 'pause', reason: argText || null });
+    await respond({ response_type: 'ephemeral', text: "⏸️ Matt-GPT is paused - everyone who asks is told so until an admin runs `/mattgpt resume`." });
+    return;
+  }
+
+  if (!(await pauseSwitch.resume(pauseKey()))) {
+    await respond({ response_type: 'ephemeral', text: "▶️ Matt-GPT isn't paused." });
+    return;
+  }
+  logger.info(`▶️ Matt-GPT resumed by ${command.user_id}`);
+  await recordAudit('admin', { user: command.user_id, channel: command.channel_id, action: 'resume' });
+  await respond({ response_type: 'ephemeral', text: "▶️ Matt-GPT is answering again." });
+}
+
+// Longest question shown per /mattgpt activity line
+const ACTIVITY_QUESTION_MAX_CHARS = 100;
+
+// Helper function to describe one audit log entry for /mattgpt activity
+function formatAuditEntry(entry) {
+  const seconds = Math.floor(Date.parse(entry.time) / 1000);
+  const where = entry.channel ? ` in <#${entry.channel}>` : '';
+  const prefix = `• <!date^${seconds}^{date_short} {time}|${entry.time}> <@${entry.user}>`;
+  switch (entry.event) {
+    case 'question': {
+      const question = entry.question || '';
+      const shortQuestion = question.length > ACTIVITY_QUESTION_MAX_CHARS ? question.substring(0, ACTIVITY_QUESTION_MAX_CHARS - 1) + '…' : question;
+      return `${prefix} asked${where}: "${shortQuestion.replace(/\s+/g, ' ')}"${entry.files ? ` (+${entry.files} file${entry.files === 1 ? '' : 's'})` : ''}`;
+    }
+    case 'summary':
+      return `${prefix} summarized ${entry.window ? `the last ${entry.window}` : 'a thread'}${where}`;
+    case 'denied':
+      return `${prefix} was refused${where} (${entry.reason})`;
+    case 'schedule':
+      return `${prefix} ${entry.action === 'add' ? 'scheduled' : 'removed schedule'} \`${entry.schedule_id}\`${where}${entry.cron ? ` (\`${entry.cron}\`)` : ''}`;
+    case 'admin':
+      return `${prefix} ran ${entry.action}${entry.target ? ` for <@${entry.target}>` : ''}${entry.reason ? ` (${entry.reason})` : ''}${entry.removed !== undefined ? ` - ${entry.removed} entries removed` : ''}`;
+    default:
+      return `${prefix} ${entry.event}${where}`;
+  }
+}
+
+// /mattgpt activity [count] (admins) - the newest audit log entries of this workspace
+async function handleActivityCommand(command, argText, { respond, client }) {
+  if (!(await requireAdmin(command, { respond, client }))) return;
+
+  if (!auditLog.enabled) {
+    await respond({ response_type: 'ephemeral', text: "📒 The audit log is turned off (`AUDIT_LOG=false`)." });
+    return;
+  }
+
+  const limit = Math.min(Math.max(parseInt(argText, 10) || 20, 1), 50);
+  const team = getTraceContext()?.team_id || null;
+  // Answers are only in the log for the token counts - the questions tell the story
+  const entries = await auditLog.recent({
+    limit,
+    filter: (entry) => entry.event !== 'answer' && (!team || !entry.team || entry.team === team)
+  });
+
+  await respond({
+    response_type: 'ephemeral',
+    text: entries.length > 0
+      ? [`*Recent Matt-GPT activity* (newest first)`, ...entries.map(formatAuditEntry)].join("\n")
+      : "📒 Nothing in the audit log yet."
+  });
+}
+
+// /mattgpt purge [@user] (admins) - drop expired audit log entries now, or all of one user's
+async function handlePurgeCommand(command, argText, { respond, client, logger }) {
+  if (!(await requireAdmin(command, { respond, client }))) return;
+
+  // Slack sends mentions as <@U123|name> when "escape users" is on for the command
+  const userMatch = /^<@([UW][A-Z0-9]+)(?:\|[^>]*)?>$|^([UW][A-Z0-9]+)$/.exec(argText);
+  if (argText && !userMatch) {
+    await respond({ response_type: 'ephemeral', text: "🧹 Usage: `/mattgpt purge` (entries past the retention period) or `/mattgpt purge @user` (everything about them)" });
+    return;
+  }
+  const user = userMatch ? userMatch[1] || userMatch[2] : null;
+  if (!user && auditLog.retentionDays <= 0) {
+    await respond({ response_type: 'ephemeral', text: "🧹 Audit log entries are kept forever (`AUDIT_RETENTION_DAYS=0`) - name a user to purge their entries." });
+    return;
+  }
+
+  const { removed } = await auditLog.purge({ user });
+  logger.info(`🧹 ${command.user_id} purged ${removed} audit log entries${user ? ` about ${user}` : ''}`);
+  await recordAudit('admin', { user: command.user_id, channel: command.channel_id, action: 'purge', target: user, removed });
+  await respond({
+    response_type: 'ephemeral',
+    text: `🧹 Removed ${removed} audit log entr${removed === 1 ? 'y' : 'ies'}${user ? ` about <@${user}>` : ` older than ${auditLog.retentionDays} days`}.`
+  });
+}
+
+const SCHEDULE_USAGE = [
+  "🗓️ Usage:",
+  "• `/mattgpt schedule add <cron> [--tz <timezone>] <prompt>` - e.g. `/mattgpt schedule add 0 9 * * MON --tz Europe/Berlin What should we plan this week?`",
+  "• `/mattgpt schedule add @daily summarize 24h` - a digest of this channel's last 24 hours",
+  "• `/mattgpt schedule list` - this channel's schedules",
+  "• `/mattgpt schedule remove <id>` - delete a schedule (yours, or any as an admin)",
+  "Cron fields are minute, hour, day of month, month and day of week. Times are in your Slack timezone unless you pass `--tz`.",
+].join("\n");
+
+// Helper function to describe a schedule on one line for /mattgpt schedule list
+function formatSchedule(schedule) {
+  const nextRun = schedule.nextRunAt
+    ? `next <!date^${Math.floor(Date.parse(schedule.nextRunAt) / 1000)}^{date_short_pretty} at {time}|${schedule.nextRunAt}>`
+    : 'no upcoming run';
+  const what = schedule.kind === 'summary' ? `summary of the last ${formatWindow(schedule.windowMs)}` : `"${schedule.prompt}"`;
+  return `• \`${schedule.id}\` \`${schedule.cron}\` (${schedule.timezone}) - ${what} - by <@${schedule.createdBy}>, ${nextRun}`;
+}
+
+// Helper function to get a user's Slack timezone (UTC when it's unknown)
+async function getUserTimezone(client, userId) {
+  try {
+    const result = await client.users.info({ user: userId });
+    return result.user?.tz && isValidTimezone(result.user.tz) ? result.user.tz : 'UTC';
+  } catch (error) {
+    return 'UTC';
+  }
+}
+
+// /mattgpt schedule add|list|remove - recurring prompts (and digests) posted in this channel
+async function handleScheduleCommand(command, argText, { respond, client, logger }) {
+  const [action = ''] = argText.split(/\s+/);
+  const actionArgs = argText.slice(action.length).trim();
+  const channel = command.channel_id;
+  const ephemeral = (text) => respond({ response_type: 'ephemeral', text });
+
+  if (action === 'list') {
+    const schedules = await scheduleStore.list((schedule) => schedule.channel === channel);
+    await ephemeral(schedules.length > 0
+      ? [`*Schedules in <#${channel}>*`, ...schedules.map(formatSchedule)].join("\n")
+      : "🗓️ No schedules in this channel yet - add one with `/mattgpt schedule add`.");
+    return;
+  }
+
+  if (action === 'remove') {
+    const schedule = await scheduleStore.get(actionArgs);
+    if (!schedule || (schedule.workspace?.team_id || null) !== (getTraceContext()?.team_id || null)) {
+      await ephemeral(`🤷 There's no schedule \`${actionArgs}\` - see \`/mattgpt schedule list\` in its channel.`);
+      return;
+    }
+    if (schedule.createdBy !== command.user_id && !(await currentWorkspace().accessPolicy.isAdmin(client, command.user_id))) {
+      await ephemeral(`🔒 Only <@${schedule.createdBy}> (who set it up) or an admin can remove that schedule.`);
+      return;
+    }
+    await scheduleStore.remove(schedule.id);
+    logger.info(`🗓️ Schedule ${schedule.id} removed by ${command.user_id}`);
+    await recordAudit('schedule', { user: command.user_id, channel: schedule.channel, action: 'remove', schedule_id: schedule.id });
+    await ephemeral(`🗑️ Removed schedule \`${schedule.id}\`.`);
+    return;
+  }
+
+  if (action !== 'add') {
+    await ephemeral(SCHEDULE_USAGE);
+    return;
+  }
+
+  if (!(await admitCommandUser(command, { respond, client, logger }))) return;
+
+  const args = parseScheduleAddArgs(actionArgs);
+  if (args.error) {
+    await ephemeral(SCHEDULE_USAGE);
+    return;
+  }
+
+  let cron;
+  try {
+    cron = parseCron(args.cron);
+  } catch (error) {
+    await ephemeral(`❌ ${error.message}`);
+    return;
+  }
+  const timezone = args.timezone || await getUserTimezone(client, command.user_id);
+  if (!isValidTimezone(timezone)) {
+    await ephemeral(`❌ Unknown timezone \`${timezone}\` - use a name like \`Europe/Berlin\` or \`America/New_York\`.`);
+    return;
+  }
+  const nextRunAt = nextCronRun(cron, { timezone });
+  if (!nextRunAt) {
+    await ephemeral(`❌ \`${cron.expression}\` never runs.`);
+    return;
+  }
+  if (shortestInterval(cron, { timezone }) < SCHEDULE_MIN_INTERVAL_MS) {
+    await ephemeral(`⏳ Schedules can run at most every ${formatWindow(SCHEDULE_MIN_INTERVAL_MS)}.`);
+    return;
+  }
+
+  // Posts go in this channel, so it has to be one the bot may post in
+  const { channelPolicy } = currentWorkspace();
+  const policy = await channelPolicy.resolve(client, channel);
+  if (!policy.allowed) {
+    const allowedText = channelPolicy.hasChannelRestrictions ? formatAllowedChannels(channelPolicy) : 'channels';
+    await ephemeral(`👋 I only post in ${allowedText}, so I can't schedule anything here.`);
+    return;
+  }
+  if ((await scheduleStore.list((schedule) => schedule.channel === channel)).length >= SCHEDULES_MAX_PER_CHANNEL) {
+    await ephemeral(`🗓️ This channel already has ${SCHEDULES_MAX_PER_CHANNEL} schedules - remove one first.`);
+    return;
+  }
+
+  // "summarize" or "summarize 24h" as the prompt schedules a digest of the channel
+  const summaryRequest = parseSummarizeMention(args.prompt);
+  const isSummary = Boolean(summaryRequest) && summaryRequest.scope !== 'thread';
+  const windowMs = isSummary ? Math.min(summaryRequest.windowMs || SUMMARIZE_DEFAULT_WINDOW_MS, SUMMARIZE_MAX_WINDOW_MS) : null;
+
+  // The workspace's trace fields, so the scheduler can find the installation to post with
+  const trace = getTraceContext() || {};
+  const workspace = {
+    team_id: trace.team_id,
+    enterprise_id: trace.enterprise_id,
+    ...(trace.enterprise_install && { enterprise_install: true })
+  };
+  const schedule = await scheduleStore.add({
+    channel,
+    createdBy: command.user_id,
+    cron: cron.expression,
+    timezone,
+    prompt: args.prompt,
+    kind: isSummary ? 'summary' : 'prompt',
+    windowMs,
+    workspace,
+    nextRunAt: nextRunAt.toISOString()
+  });
+  logger.info(`🗓️ Schedule ${schedule.id} (${schedule.cron}, ${timezone}) added by ${command.user_id} in ${channel}`);
+  await recordAudit('schedule', { user: command.user_id, channel, action: 'add', schedule_id: schedule.id, cron: schedule.cron, prompt: schedule.prompt });
+  await ephemeral(`🗓️ Scheduled! ${formatSchedule(schedule).slice(2)}`);
+}
+
+// Run a schedule (the scheduler's worker): post the prompt as a new message in the channel
+// and answer it in its thread through processMessageRequest, so people can keep the
+// conversation going there - or post a digest of the channel in the thread of a new message.
+// Runs as the person who set it up: their access, budget and rate limits apply.
+async function runSchedule(schedule) {
+  const { channel, createdBy } = schedule;
+  await runWithTrace({ ...schedule.workspace, schedule_id: schedule.id }, async () => {
+    const logger = rootLogger;
+    const client = await getClientForTeam(schedule.workspace);
+
+    const policy = await currentWorkspace().channelPolicy.resolve(client, channel);
+    if (!policy.allowed) {
+      logger.warn(`⏭️ Skipping schedule ${schedule.id} - channel ${channel} is no longer allowed`);
+      return;
+    }
+    const denied = await checkAccess(client, { user: createdBy, channel, logger });
+    if (denied) {
+      logger.warn(`⏭️ Skipping schedule ${schedule.id} - ${denied}`);
+      return;
+    }
+
+    logger.info(`🗓️ Running schedule ${schedule.id} in ${channel}`);
+    const say = (payload) => client.chat.postMessage({ channel: channel, ...payload });
+    const posted = await say({
+      text: schedule.kind === 'summary'
+        ? `🗓️ Scheduled summary of the last ${formatWindow(schedule.windowMs)} (set up by <@${createdBy}>)`
+        : `🗓️ *Scheduled prompt* (set up by <@${createdBy}>): ${schedule.prompt}`,
+      unfurl_links: false,
+      unfurl_media: false
+    });
+    const replyTarget = createThreadReplyTarget({ say, client, channel, threadTs: posted.ts, logger });
+
+    if (schedule.kind === 'summary') {
+      await queueSummary(
+        { user: createdBy, channel, threadTs: null, oldest: windowStartTs(schedule.windowMs), windowMs: schedule.windowMs },
+        { client, logger, replyTarget }
+      );
+      return;
+    }
+
+    await processMessageRequest(
+      { channel, user: createdBy, text: schedule.prompt, ts: posted.ts, thread_ts: posted.ts, type: 'message' },
+      say,
+      client,
+      logger,
+      { newConversation: true, replyTarget }
+    );
+  });
+}
+
+// Handle the /mattgpt slash command and dispatch to its subcommands
+app.command('/mattgpt', async ({ command, ack, respond, say, client, logger }) => {
+  await ack();
+
+  const commandText = (command.text || '').trim();
+  const [subcommand] = commandText.split(/\s+/);
+  const argText = commandText.slice(subcommand.length).trim();
+
+  logger.info(`⌨️ /mattgpt ${subcommand || '(no subcommand)'} from ${command.user_id} in ${command.channel_id}`);
+
+  try {
+    switch (subcommand.toLowerCase()) {
+      case 'ask':
+        await handleAskCommand(command, argText, { respond, say, client, logger });
+        break;
+      case 'summarize':
+      case 'summarise':
+        await handleSummarizeCommand(command, argText, { respond, say, client, logger });
+        break;
+      case 'reset':
+        await handleResetCommand(command, argText, { respond, client, logger });
+        break;
+      case 'status':
+        await handleStatusCommand(command, argText, { respond });
+        break;
+      case 'usage':
+        await handleUsageCommand(command, argText, { respond, client });
+        break;
+      case 'opt-out':
+      case 'optout':
+        await handleOptOutCommand(command, true, { respond, logger });
+        break;
+      case 'opt-in':
+      case 'optin':
+        await handleOptOutCommand(command, false, { respond, logger });
+        break;
+      case 'pause':
+        await handlePauseCommand(command, argText, true, { respond, client, logger });
+        break;
+      case 'resume':
+        await handlePauseCommand(command, argText, false, { respond, client, logger });
+        break;
+      case 'activity':
+        await handleActivityCommand(command, argText, { respond, client });
+        break;
+      case 'purge':
+        await handlePurgeCommand(command, argText, { respond, client, logger });
+        break;
+      case 'schedule':
+        await handleScheduleCommand(command, argText, { respond, client, logger });
+        break;
+      default:
+        await respond({ response_type: 'ephemeral', text: MATTGPT_COMMAND_HELP });
+    }
+  } catch (error) {
+    logger.error(`❌ /mattgpt ${subcommand} failed:`, error.message);
+    await respond({ response_type: 'ephemeral', text: "❌ Something went wrong. Please try again." });
+  }
+});
+
+// Bot-posted questions from `/mattgpt ask --thread` look like "❓ <@U123> asked: ..."
+const ASKED_QUESTION_PREFIX = /^❓ <@([UW][A-Z0-9]+)> asked: /;
+
+// The backend that produced an answer, named on its feedback buttons (answers from before
+// buttons named one came from the default backend). Null when it's no longer configured.
+function getAnswerBackend(feedbackValue) {
+  const { backendRegistry } = currentWorkspace();
+  if (feedbackValue.backend && !backendRegistry.has(feedbackValue.backend)) {
+    return null;
+  }
+  return backendRegistry.get(feedbackValue.backend);
+}
+
+// Helper function to build the feedback record shared by the 👍 / 👎 handlers
+function buildFeedbackRecord(feedbackValue, rating, { userId, channel, messageTs }) {
+  return {
+    query_id: feedbackValue.query_id,
+    conversation_id: feedbackValue.conversation_id,
+    rating: rating,
+    user_id: userId,
+    channel: channel,
+    message_ts: messageTs,
+  };
+}
+
+// 👍 - record positive feedback against the answer's query_id
+app.action(FEEDBACK_ACTIONS.THUMBS_UP, async ({ ack, body, action, respond, logger }) => {
+  await ack();
+
+  const feedbackValue = parseFeedbackValue(action.value);
+  try {
+    await recordFeedback(buildFeedbackRecord(feedbackValue, 'positive', {
+      userId: body.user.id,
+      channel: body.channel?.id,
+      messageTs: body.message?.ts || body.container?.message_ts,
+    }), getAnswerBackend(feedbackValue), logger);
+    await respond({ response_type: 'ephemeral', replace_original: false, text: "🙏 Thanks for the feedback!" });
+  } catch (error) {
+    logger.error("❌ Could not record positive feedback:", error.message);
+  }
+});
+
+// 👎 - ask what was wrong in a modal; the feedback is recorded when it's submitted or closed
+app.action(FEEDBACK_ACTIONS.THUMBS_DOWN, async ({ ack, body, action, client, logger }) => {
+  await ack();
+
+  const feedbackValue = parseFeedbackValue(action.value);
+  try {
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: createNegativeFeedbackModal({
+        ...feedbackValue,
+        channel: body.channel?.id,
+        message_ts: body.message?.ts || body.container?.message_ts,
+      }),
+    });
+  } catch (error) {
+    logger.error("❌ Could not open feedback modal - recording 👎 without details:", error.message);
+    await recordFeedback(buildFeedbackRecord(feedbackValue, 'negative', {
+      userId: body.user.id,
+      channel: body.channel?.id,
+      messageTs: body.message?.ts || body.container?.message_ts,
+    }), getAnswerBackend(feedbackValue), logger);
+  }
+});
+
+// Thumbs-down modal submitted - record negative feedback with the reason and comment
+app.view(FEEDBACK_MODAL_CALLBACK_ID, async ({ ack, body, view, logger }) => {
+  await ack();
+
+  const metadata = parseFeedbackValue(view.private_metadata);
+  const { reason, comment } = readNegativeFeedbackModal(view);
+  await recordFeedback({
+    ...buildFeedbackRecord(metadata, 'negative', {
+      userId: body.user.id,
+      channel: metadata.channel,
+      messageTs: metadata.message_ts,
+    }),
+    reason: reason,
+    comment: comment,
+  }, getAnswerBackend(metadata), logger);
+});
+
+// Thumbs-down modal dismissed - still record the 👎
+app.view({ callback_id: FEEDBACK_MODAL_CALLBACK_ID, type: 'view_closed' }, async ({ ack, body, view, logger }) => {
+  await ack();
+
+  const metadata = parseFeedbackValue(view.private_metadata);
+  await recordFeedback(buildFeedbackRecord(metadata, 'negative', {
+    userId: body.user.id,
+    channel: metadata.channel,
+    messageTs: metadata.message_ts,
+  }), getAnswerBackend(metadata), logger);
+});
+
+// Regenerate - re-ask the original question in the same conversation and replace the answer
+app.action(FEEDBACK_ACTIONS.REGENERATE, async ({ ack, body, action, say, client, logger }) => {
+  await ack();
+
+  const feedbackValue = parseFeedbackValue(action.value);
+  const channel = body.channel?.id;
+  const { question_ts: questionTs, thread_ts: threadTs, conversation_id: conversationId } = feedbackValue;
+
+  if (!channel || !questionTs || !threadTs || !body.message) {
+    logger.warn("⚠️ Regenerate clicked without enough context to find the question");
+    return;
+  }
+
+  logger.info(`🔄 Regenerate requested by ${body.user.id} for question ${questionTs} in ${channel}`);
+
+  try {
+    // Find the original question in the thread
+    const question = await fetchMessage(client, channel, questionTs, threadTs);
+    if (!question) {
+      await client.chat.postEphemeral({
+        channel: channel,
+        user: body.user.id,
+        thread_ts: threadTs,
+        text: "🤷 I couldn't find the original question anymore - it may have been deleted."
+      });
+      return;
+    }
+
+    // Shortcut questions are posted by the bot on the asker's behalf - the asker is in the prefix
+    const askedMatch = question.bot_id ? ASKED_QUESTION_PREFIX.exec(question.text) : null;
+    const questionText = askedMatch ? question.text.slice(askedMatch[0].length) : question.text;
+    const asker = askedMatch ? askedMatch[1] : (question.user || body.user.id);
+
+    // Anyone in the thread can regenerate, but only if they could have asked themselves
+    const clicker = body.user.id;
+    if (clicker !== asker) {
+      const clickerTarget = createUserEphemeralReplyTarget({ client, channel, user: clicker, threadTs, logger });
+      const denied = await checkAccess(client, { user: clicker, channel, logger });
+      if (denied) {
+        await clickerTarget.postMessage(denied);
+        return;
+      }
+      const { channelPolicy, backendRegistry } = currentWorkspace();
+      const backend = backendRegistry.get(channelPolicy.getBackendName(channel));
+      if (!(await admitRequest(backend, { user: clicker, channel, replyTarget: clickerTarget, logger }))) {
+        return;
+      }
+    }
+
+    // Rewrite the whole earlier answer: its first message in place, minus old follow-ups
+    const record = await conversationStore.get(channel, threadTs);
+    const answer = record?.answers?.[questionTs];
+    await clearFollowUpMessages(client, channel, answer, logger);
+
+    await processMessageRequest(
+      {
+        channel: channel,
+        // The asker's question, so their budget, usage and audit entries are the ones updated
+        user: asker,
+        text: questionText,
+        ts: questionTs,
+        thread_ts: threadTs,
+        type: 'message'
+      },
+      say,
+      client,
+      logger,
+      {
+        conversationId: conversationId,
+        replyTarget: createThreadReplyTarget({
+          say,
+          client,
+          channel,
+          threadTs,
+          logger,
+          messageTs: answer?.answerTs || body.message.ts
+        })
+      }
+    );
+  } catch (error) {
+    logger.error("❌ Could not regenerate answer:", error.message);
+  }
+});
+
+// 📚 Show / Hide sources - expand or collapse the citations under an answer, in place.
+// Slack doesn't always send the blocks of private answers; then the list is sent privately.
+async function toggleAnswerSources({ ack, body, action, client, respond, logger }, expand) {
+  await ack();
+
+  const sources = decodeSources(action.value);
+  try {
+    if (body.message?.blocks) {
+      const update = {
+        text: body.message.text,
+        blocks: toggleSourcesInBlocks(body.message.blocks, sources, expand),
+      };
+      if (body.container?.is_ephemeral) {
+        await respond({ ...update, replace_original: true });
+      } else {
+        await client.chat.update({ channel: body.channel.id, ts: body.message.ts, ...update });
+      }
+    } else if (expand) {
+      await respond({
+        response_type: 'ephemeral',
+        replace_original: false,
+        text: "Sources",
+        blocks: [createSourcesListBlock(sources)],
+      });
+    }
+  } catch (error) {
+    logger.error(`❌ Could not ${expand ? 'show' : 'hide'} sources:`, error.message);
+  }
+}
+
+app.action(SOURCES_ACTIONS.SHOW, (args) => toggleAnswerSources(args, true));
+app.action(SOURCES_ACTIONS.HIDE, (args) => toggleAnswerSources(args, false));
+
+// Publish (or refresh) a user's App Home tab: usage, recent conversations and settings
+async function publishHomeView(client, userId, logger) {
+  const [settings, summary, records] = await Promise.all([
+    userSettings.get(userId),
+    usageLedger.getSummary(userId),
+    conversationStore.listByUser(userId, HOME_CONVERSATION_LIMIT),
+  ]);
+
+  // One permalink lookup per thread; the channel is linked instead if a lookup fails
+  const conversations = await Promise.all(records.map(async (record) => {
+    let permalink = null;
+    try {
+      permalink = (await client.chat.getPermalink({ channel: record.channel, message_ts: record.threadTs })).permalink;
+    } catch (error) {
+      logger.debug(`Could not get permalink for ${record.channel}/${record.threadTs}:`, error.message);
+    }
+    return {
+      channel: record.channel,
+      permalink: permalink,
+      firstQuestion: record.firstQuestion,
+      updatedAt: record.updatedAt
+    };
+  }));
+
+  await client.views.publish({
+    user_id: userId,
+    view: buildHomeView({ settings, usageLines: formatUserUsage(summary), conversations })
+  });
+}
+
+// App Home opened - show the user's conversations, usage and settings
+app.event('app_home_opened', async ({ event, client, logger }) => {
+  if (event.tab !== 'home') return;
+
+  try {
+    await publishHomeView(client, event.user, logger);
+    logger.info(`🏠 App Home published for ${event.user}`);
+  } catch (error) {
+    logger.error("❌ Could not publish App Home:", error.message);
+  }
+});
+
+// App Home settings menus - save the new choice and refresh the tab
+app.action(HOME_SETTING_ACTION_PATTERN, async ({ ack, body, action, client, logger }) => {
+  await ack();
+
+  const change = readSettingChange(action.action_id, action.selected_option?.value);
+  if (!change) {
+    logger.warn(`⚠️ Ignoring unknown App Home setting: ${action.action_id}`);
+    return;
+  }
+
+  try {
+    await userSettings.update(body.user.id, change);
+    logger.info(`⚙️ Settings updated for ${body.user.id}:`, change);
+    await publishHomeView(client, body.user.id, logger);
+  } catch (error) {
+    logger.error("❌ Could not update settings:", error.message);
+  }
+});
+
+// Helper function to get a Web API client for a workspace outside of a Slack request
+// (jobs resumed after a restart). OAuth installs look up the workspace's bot token.
+async function getClientForTeam({ team_id: teamId, enterprise_id: enterpriseId, enterprise_install: isEnterpriseInstall }) {
+  if (!OAUTH_ENABLED) return app.client;
+
+  const installation = await installationStore.fetchInstallation({
+    teamId,
+    enterpriseId,
+    isEnterpriseInstall: Boolean(isEnterpriseInstall)
+  });
+  return new webApi.WebClient(installation.bot.token, {
+    ...(process.env.SLACK_API_URL && { slackApiUrl: process.env.SLACK_API_URL })
+  });
+}
+
+// Helper function to rebuild the Slack client and reply target of a job from its saved data
+async function restoreJobHandles(data) {
+  const client = await getClientForTeam(data.trace);
+  return {
+    client,
+    logger: rootLogger,
+    replyTarget: restoreReplyTarget(data.replyTarget, { client, logger: rootLogger })
+  };
+}
+
+// Job worker: answer a queued message request in the trace (and workspace) it came from.
+// handles are the live client/logger/reply target, or null for jobs resumed after a restart.
+async function runMessageJob(job, handles) {
+  const { data } = job;
+  await runWithTrace(data.trace, async () => {
+    const { client, logger, replyTarget } = handles || await restoreJobHandles(data);
+    // Remember the thinking message, so a restart can resume in it or replace it
+    const onThinkingPosted = () => jobQueue.update(job.id, { replyTarget: replyTarget.describe(), thinkingPosted: true })
+      .catch((error) => logger.warn("⚠️ Could not save job progress:", error.message));
+
+    if (data.kind === 'summary') {
+      await summarizeConversation(data.summary, { client, logger, replyTarget, onThinkingPosted });
+      return;
+    }
+
+    await answerMessage(data.message, {
+      client,
+      logger,
+      replyTarget,
+      settings: data.settings,
+      options: { conversationId: data.conversationId, newConversation: data.newConversation },
+      onThinkingPosted
+    });
+  });
+}
+
+// Shown instead of answers lost to a restart
+const INTERRUPTED_JOB_MESSAGE = "⚠️ I was restarted before I could finish answering. Please ask again.";
+
+// Tell the asker a job won't be answered, replacing its orphaned thinking message if it has one
+async function failInterruptedJob(job) {
+  const { data } = job;
+  await runWithTrace(data.trace, async () => {
+    try {
+      const { client, replyTarget } = await restoreJobHandles(data);
+      const { type, channel, messageTs } = data.replyTarget;
+      if (type === 'thread' && data.thinkingPosted && messageTs) {
+        await client.chat.update({ channel: channel, ts: messageTs, text: INTERRUPTED_JOB_MESSAGE, blocks: [] });
+      } else {
+        await replyTarget.postMessage(INTERRUPTED_JOB_MESSAGE);
+      }
+    } catch (error) {
+      rootLogger.warn(`⚠️ Could not report interrupted job ${job.id}:`, error.message);
+    }
+  });
+}
+
+// Pick up the jobs a previous process left behind: recent ones are resumed (in their existing
+// thinking message), the rest are failed. Resolves to { resumed, failed }.
+async function recoverJobs() {
+  const leftovers = await jobQueue.load();
+  let resumed = 0;
+  let failed = 0;
+
+  for (const job of leftovers) {
+    const ageMs = Date.now() - Date.parse(job.createdAt);
+    if (job.attempts < JOB_MAX_ATTEMPTS && ageMs <= JOB_RESUME_MAX_AGE_MS) {
+      rootLogger.info(`🔁 Resuming ${job.status} job ${job.id} (attempt ${job.attempts + 1} of ${JOB_MAX_ATTEMPTS})`);
+      jobQueue.resume(job);
+      resumed++;
+    } else {
+      rootLogger.warn(`⚠️ Failing interrupted job ${job.id} (${job.attempts} attempt(s), ${Math.round(ageMs / 1000)}s old)`);
+      await failInterruptedJob(job);
+      await jobQueue.remove(job.id);
+      failed++;
+    }
+  }
+
+  return { resumed, failed };
+}
+
+// Graceful shutdown: stop starting jobs, give running answers SHUTDOWN_TIMEOUT_MS to finish,
+// then stop the server. Jobs still unfinished stay saved for the next start.
+async function shutdown(signal) {
+  rootLogger.info(`🛑 ${signal} received - waiting for ${jobQueue.running} running answer(s)...`);
+  await scheduler.stop();
+  const unfinished = await jobQueue.close({ timeoutMs: SHUTDOWN_TIMEOUT_MS });
+  if (unfinished > 0) {
+    rootLogger.warn(`⚠️ ${unfinished} answer(s) still running - they'll be resumed at the next start`);
+  }
+
+  try {
+    await app.stop();
+  } catch (error) {
+    rootLogger.warn("⚠️ Error while stopping the app:", error.message);
+  }
+  rootLogger.info("👋 Shut down");
+}
+
+// Extract the main message processing logic into a separate function
+// options.replyTarget overrides where replies go (defaults to the message's thread, or a
+// private reply there when the user chose "only visible to me" on the App Home tab)
+// options.conversationId continues a known conversation instead of looking it up
+// options.newConversation starts a new conversation instead of continuing the thread's
+// Resolves to { jobId, finished } once the request is queued (undefined when it's skipped).
+async function processMessageRequest(message, say, client, logger, options = {}) {
+  const { text, user, ts, thread_ts, channel, files } = message;
+
+  // Personal settings from the App Home tab
+  let settings = userSettings.defaults;
+  try {
+    settings = await userSettings.get(user);
+  } catch (error) {
+    logger.warn("⚠️ Could not load user settings - using defaults:", error.message);
+  }
+
+  // DMs are already private, so they always get normal replies
+  const replyPrivately = settings.replyMode === 'ephemeral' && !channel.startsWith('D');
+  const replyTarget = options.replyTarget || (replyPrivately
+    ? createUserEphemeralReplyTarget({ client, channel, user, threadTs: thread_ts || ts, logger })
+    : createThreadReplyTarget({
+      say,
+      client,
+      channel,
+      threadTs: thread_ts || ts,
+      logger
+    }));
+  
+  // Clean the message text (remove @mentions)
+  const cleanedText = cleanMessageText(text);
+  
+  // Skip messages matching a skip rule (by default, "side note" asides)
+  const skipRule = messageRules.findSkipRule(channel, cleanedText);
+  if (skipRule) {
+    logger.info(`💭 Skipping message - matched skip rule ${skipRule.description}:`, {
+      user,
+      text: cleanedText?.substring(0, 100) + (cleanedText?.length > 100 ? '...' : '')
+    });
+    return;
+  }
+
+  // Access control and the pause switch - the refusal only goes to the asker
+  const denied = await checkAccess(client, { user, channel, logger });
+  if (denied) {
+    await privateReplyTarget(replyTarget, { client, channel, user, logger }).postMessage(denied);
+    return;
+  }
+  await recordAudit('question', { user, channel, thread_ts: thread_ts || ts, question: cleanedText, files: files?.length || 0 });
+  
+  // The slow part (API calls with retries, Slack updates) runs as a job after the handler
+  // returns. The job is saved first, so a restart resumes it instead of losing it.
+  const { job, finished } = await jobQueue.enqueue(
+    {
+      trace: getTraceContext() || {},
+      message: { channel, user, text, ts, thread_ts, files },
+      settings,
+      conversationId: options.conversationId || null,
+      newConversation: Boolean(options.newConversation),
+      replyTarget: replyTarget.describe(),
+      thinkingPosted: false
+    },
+    { client, logger, replyTarget }
+  );
+  logger.debug(`📥 Queued job ${job.id} for message ${ts || '(no ts)'}`);
+  return { jobId: job.id, finished };
+}
+
+// Helper function to add an entry to the audit log, tagged with the request's workspace and trace ID
+function recordAudit(event, fields) {
+  const trace = getTraceContext();
+  return auditLog.record({ event, team: trace?.team_id || null, trace_id: trace?.trace_id || null, ...fields });
+}
+
+// Helper function to get the pause switch key of the current request's workspace
+function pauseKey() {
+  return getTraceContext()?.team_id || 'default';
+}
+
+// Access control and the pause switch, checked before a request is queued. Resolves to null
+// when the user may ask, or to the message telling them why not (refusals are audited).
+async function checkAccess(client, { user, channel, logger }) {
+  const pause = await pauseSwitch.get(pauseKey());
+  const access = pause ? null : await currentWorkspace().accessPolicy.check(client, user);
+  if (access?.allowed) {
+    return null;
+  }
+
+  const reason = pause ? 'paused' : access.reason;
+  logger.warn(`🔒 Request from ${user} in ${channel} refused: ${reason}`);
+  await recordAudit('denied', { user, channel, reason });
+  if (pause) {
+    return `⏸️ Matt-GPT has been paused by an admin${pause.reason ? ` (${pause.reason})` : ''}. Please try again later.`;
+  }
+  if (reason === 'unverified') {
+    return "🔒 I couldn't check your access to Matt-GPT right now. Please try again in a minute.";
+  }
+  return reason === 'blocked'
+    ? "🚫 Sorry, you don't have access to Matt-GPT."
+    : "🔒 Matt-GPT is only available to selected people - ask an admin for access.";
+}
+
+// Helper function to reach only the asker: thread replies are swapped for a private reply in the thread
+function privateReplyTarget(replyTarget, { client, channel, user, logger }) {
+  return replyTarget.type === 'thread'
+    ? createUserEphemeralReplyTarget({ client, channel, user, threadTs: replyTarget.threadTs, logger })
+    : replyTarget;
+}
+
+// IDs of the people who keep their messages out of Matt-GPT. The asker is left out of it:
+// including your own messages is your call.
+async function getOptedOutUsers(asker) {
+  const users = await userSettings.usersWith('contextOptOut', true);
+  users.delete(asker);
+  return users;
+}
+
+// Checks every backend request passes first: the backend is configured, the user's token
+// budget isn't used up, the backend's circuit isn't open and the rate limits allow it.
+// Tells the user why and resolves to false when the request can't go ahead.
+async function admitRequest(backend, { user, channel, replyTarget, logger }) {
+  logger.info(`🔧 Checking ${backend.label} backend configuration...`);
+  const configurationError = backend.checkConfiguration();
+  if (configurationError) {
+    logger.error(`❌ Backend '${backend.name}' not configured: ${configurationError}`);
+    await replyTarget.postMessage(configurationError);
+    return false;
+  }
+  logger.info(`✅ Backend '${backend.name}' configuration OK`);
+
+  // Token budgets - don't call the API at all once a budget is exhausted
+  const budgetCheck = await usageLedger.checkBudget(user);
+  if (!budgetCheck.allowed) {
+    logger.warn(`💸 Request from ${user} blocked - ${budgetCheck.budget} budget exhausted (${budgetCheck.used}/${budgetCheck.limit} tokens)`);
+    await replyTarget.postMessage(formatBudgetExceededMessage(budgetCheck));
+    return false;
+  }
+
+  // Fail fast while the backend's circuit is open instead of queueing doomed requests
+  const circuitStatus = getCircuitBreaker(backend).getStatus();
+  if (circuitStatus.state === 'open' && circuitStatus.retry_after_ms > 0) {
+    logger.warn(`🔌 ${backend.label} circuit is open - skipping request from ${user}`);
+    await replyTarget.postMessage(formatCircuitOpenMessage(circuitStatus.retry_after_ms));
+    return false;
+  }
+
+  // Per-user/per-channel rate limits - reply instead of silently dropping the request
+  const admission = requestScheduler.admit({ userId: user, channel: channel });
+  if (!admission.allowed) {
+    logger.warn(`🚦 Request from ${user} in ${channel} rejected by scheduler: ${admission.reason}`);
+    await replyTarget.postMessage(formatRateLimitMessage(admission));
+    return false;
+  }
+
+  return true;
+}
+
+// Answer a queued message request (the job worker's half of processMessageRequest):
+// backend checks, budgets and rate limits, the API call and the final Slack update.
+// onThinkingPosted is called once the thinking message is up.
+async function answerMessage(message, { client, logger, replyTarget, settings, options = {}, onThinkingPosted = null }) {
+  const { text, user, ts, thread_ts, channel, files } = message;
+  const cleanedText = cleanMessageText(text);
+
+  logger.info(`🚀 Starting message processing:`, {
+    user,
+    channel,
+    originalText: text?.substring(0, 100) + (text?.length > 100 ? '...' : ''),
+    cleanedText: cleanedText?.substring(0, 100) + (cleanedText?.length > 100 ? '...' : ''),
+    ts,
+    thread_ts,
+    messageType: thread_ts && thread_ts !== ts ? 'thread_reply' : 'new_message'
+  });
+  
+  try {
+    // Pick the backend for this channel; stop here if the request isn't allowed right now
+    const { channelPolicy, backendRegistry } = currentWorkspace();
+    const backend = backendRegistry.get(channelPolicy.getBackendName(channel));
+    if (!(await admitRequest(backend, { user, channel, replyTarget, logger }))) {
+      return;
+    }
+
+    // Get conversation ID for this thread (only for thread replies)
+    logger.info(`🔍 Getting conversation ID for thread...`);
+    let conversationId = options.conversationId || null;
+    
+    // If this is a thread reply, try to get conversation ID from previous bot messages
+    if (conversationId) {
+      logger.info(`✅ Continuing known conversation ID: ${conversationId}`);
+    } else if (options.newConversation) {
+      logger.info(`💬 Starting a new conversation in this thread`);
+    } else if (thread_ts && thread_ts !== ts) {
+      logger.info(`📜 This is a thread reply - searching for existing conversation ID`);
+      try {
+        const lookup = await lookupThreadConversation(client, channel, thread_ts, logger);
+        conversationId = lookup.conversationId;
+        
+        if (conversationId) {
+          logger.info(`✅ Found existing conversation ID: ${conversationId} (from ${lookup.source})`);
+        } else {
+          logger.info(`🔍 No existing conversation ID found in thread history`);
+        }
+      } catch (error) {
+        logger.error("❌ Could not retrieve thread history:", error.message);
+      }
+    } else {
+      logger.info(`💬 This is a new message - will get conversation ID from API response`);
+    }
+
+    // Download and read any attached files, telling the user about the ones we can't use
+    let attachments = [];
+    if (files?.length) {
+      logger.info(`📎 Message has ${files.length} attached file(s)`);
+      const processed = await processAttachments(files, {
+        client,
+        botToken: client.token,
+        supportsImages: backend.supportsImages,
+        logger
+      });
+      attachments = processed.attachments;
+
+      if (processed.rejected.length > 0) {
+        const skipped = processed.rejected.map(({ name, reason }) => `• \`${name}\` - ${reason}`).join("\n");
+        await replyTarget.postMessage(
+          `📎 I couldn't use ${processed.rejected.length === 1 ? 'this attachment' : 'these attachments'}:\n${skipped}\n` +
+          `I can read text files, code snippets and PDFs${backend.supportsImages ? ', plus PNG/JPEG/GIF/WebP images' : ''}.`
+        );
+      }
+
+      // Nothing left to ask about - don't call the API with an empty question
+      if (attachments.length === 0 && !cleanedText) {
+        logger.info(`📎 No usable attachments and no question text - skipping`);
+        return;
+      }
+    }
+    const questionText = cleanedText || (attachments.length > 0 ? DEFAULT_ATTACHMENT_QUESTION : cleanedText);
+
+    // Show thinking indicator
+    logger.info(`💭 Posting thinking indicator...`);
+    const thinkingTs = await replyTarget.postThinking();
+    logger.info(`✅ Thinking message posted (${replyTarget.type}${thinkingTs ? `, ts: ${thinkingTs}` : ''})`);
+    await onThinkingPosted?.();
+
+    // Build context for Matt-GPT API
+    logger.info(`📋 Building API context...`);
+    const apiContext = {
+      thread_ts: thread_ts || ts,
+      channel: channel,
+      user_id: user,
+      attachments: attachments
+    };
+    
+    // Opt-in (per user): who is asking, where, and what the humans in the thread said before
+    if (settings.includeThreadContext) {
+      try {
+        apiContext.slack_context = await buildSlackContext({
+          client,
+          directory: slackDirectory,
+          channel,
+          threadTs: thread_ts,
+          currentTs: ts,
+          userId: user,
+          charBudget: THREAD_CONTEXT_CHAR_BUDGET,
+          excludedUsers: await getOptedOutUsers(user)
+        });
+        logger.info(`🧵 Slack context built with ${apiContext.slack_context.thread_messages.length} prior thread messages`);
+      } catch (error) {
+        logger.warn("⚠️ Could not build Slack thread context:", error.message);
+      }
+    }
+    
+    // Preferred answer length, forwarded to the backend
+    if (settings.verbosity !== 'default') {
+      apiContext.preferences = { verbosity: settings.verbosity };
+    }
+    
+    // Only include conversation_id for thread replies (continuing conversations)
+    // (attachment contents are left out of the log - they can be large)
+    const apiContextSummary = { ...apiContext, attachments: `${attachments.length} file(s)` };
+    if (conversationId) {
+      apiContext.conversation_id = conversationId;
+      logger.info(`📋 API context built with conversation ID:`, { ...apiContextSummary, conversation_id: conversationId });
+    } else {
+      logger.info(`📋 API context built for new conversation:`, apiContextSummary);
+    }
+
+    // Backend and Slack client stay out of the logged context above
+    apiContext.backend = backend;
+    if (backend.stateless) {
+      // Stateless backends rebuild the conversation from the thread, starting after the last reset
+      let resetAt = null;
+      try {
+        resetAt = (await conversationStore.get(channel, thread_ts || ts))?.resetAt || null;
+      } catch (storeError) {
+        logger.warn("⚠️ Could not read conversation record:", storeError.message);
+      }
+      apiContext.slack = {
+        client,
+        channel,
+        threadTs: thread_ts,
+        currentTs: ts,
+        since: resetAt ? Date.parse(resetAt) / 1000 : null,
+        excludedUsers: await getOptedOutUsers(user)
+      };
+    }
+
+    // Call Matt-GPT with retry logic, streaming partial text into the thinking message when enabled
+    logger.info(`🔄 Calling ${backend.label} API...`);
+    const streamingUpdater = replyTarget.createStreamingUpdater();
+    let mattGPTResponse;
+    let wasQueued = false;
+    try {
+      // Wait for a free concurrency slot, showing the queue position in the thinking message
+      mattGPTResponse = await requestScheduler.run(async () => {
+        if (wasQueued) {
+          await replyTarget.updateThinking("🤔 Thinking...");
+        }
+        return callMattGPTWithRetry(questionText, apiContext, 3, logger, streamingUpdater?.update);
+      }, {
+        onQueuePosition: (position) => {
+          wasQueued = true;
+          logger.info(`⏳ Request queued at position #${position}`);
+          return replyTarget.updateThinking(`⏳ You're #${position} in line - I'll get to your question shortly.`);
+        }
+      });
+    } finally {
+      // Make sure no partial update lands after the final response or error message
+      await streamingUpdater?.stop();
+    }
+    
+    // Log response details
+    logger.info("📥 Matt-GPT response received:", {
+      query_id: mattGPTResponse.query_id,
+      tokens_used: mattGPTResponse.tokens_used,
       latency_ms: mattGPTResponse.latency_ms,
       context_items_used: mattGPTResponse.context_items_used,
       responseLength: mattGPTResponse.response?.length,
@@ -515,6 +2654,45 @@ async function processMessageRequest(message, say, client, logger) {
     const responseConversationId = mattGPTResponse.conversation_id || conversationId;
     logger.info(`💾 Using conversation ID: ${responseConversationId} (from ${mattGPTResponse.conversation_id ? 'API response' : 'thread history'})`);
 
+    // Record token usage for budgets and /mattgpt usage
+    try {
+      await usageLedger.record({
+        userId: user,
+        channel: channel,
+        conversationId: responseConversationId,
+        tokensUsed: mattGPTResponse.tokens_used
+      });
+    } catch (ledgerError) {
+      logger.warn("⚠️ Could not record token usage:", ledgerError.message);
+    }
+    await recordAudit('answer', {
+      user,
+      channel,
+      thread_ts: thread_ts || ts,
+      query_id: mattGPTResponse.query_id || null,
+      tokens: normalizeTokens(mattGPTResponse.tokens_used),
+      answer_chars: mattGPTResponse.response?.length || 0
+    });
+
+    // Record the thread -> conversation mapping (a store failure shouldn't lose the answer).
+    // Private answers are one-off and leave no trace in the thread: a record would make the bot
+    // treat the thread as its own and publicly answer every later reply.
+    const answeredInThread = replyTarget.type === 'thread';
+    if (responseConversationId && answeredInThread) {
+      try {
+        await conversationStore.save(channel, replyTarget.threadTs, {
+          conversationId: responseConversationId,
+          userId: user,
+          // Only stored for the thread's first question (listed on the App Home tab)
+          firstQuestion: questionText.length > FIRST_QUESTION_MAX_CHARS
+            ? questionText.substring(0, FIRST_QUESTION_MAX_CHARS) + '…'
+            : questionText
+        });
+      } catch (storeError) {
+        logger.warn("⚠️ Could not save conversation mapping:", storeError.message);
+      }
+    }
+
     // Convert markdown to Slack format before creating the response
     logger.info(`🔄 Converting markdown to Slack format...`);
     const slackFormattedResponse = slackifyMarkdown(mattGPTResponse.response);
@@ -522,60 +2700,236 @@ async function processMessageRequest(message, say, client, logger) {
     
     // Update thinking message with response, including conversation ID in metadata
     logger.info(`🔄 Updating thinking message with response...`);
-    const responsePayload = createMessageWithConversationId(
+    const responsePayloads = createMessagesWithConversationId(
       slackFormattedResponse,
       responseConversationId,
-      thread_ts || ts
+      replyTarget.threadTs,
+      {
+        metadata: { summary: summarizeAnswer(mattGPTResponse), level: currentWorkspace().answerMetadata.levelFor(channel) },
+        // Private answers can't be edited in place, so they don't get a Regenerate button
+        ...(FEEDBACK_BUTTONS_ENABLED && { feedback: { queryId: mattGPTResponse.query_id, backend: backend.name, questionTs: replyTarget.type === 'user_ephemeral' ? null : ts } })
+      }
     );
     logger.info(`📝 Response payload created:`, {
-      text: responsePayload.text?.substring(0, 100) + '...',
-      thread_ts: responsePayload.thread_ts,
-      blocks: responsePayload.blocks?.length ? `${responsePayload.blocks.length} blocks` : 'no blocks'
-    });
-    
-    const updateResult = await client.chat.update({
-      channel: channel,
-      ts: thinkingMsg.ts,
-      ...responsePayload
+      text: responsePayloads[0].text?.substring(0, 100) + '...',
+      thread_ts: responsePayloads[0].thread_ts,
+      blockCount: responsePayloads[0].blocks?.length || 0,
+      messages: responsePayloads.length
     });
     
-    logger.info(`✅ Message updated successfully:`, {
-      ok: updateResult.ok,
-      ts: updateResult.ts
-    });
+    const delivery = await replyTarget.deliver(responsePayloads);
+
+    // Remember which bot message answers this question, so edits and deletes can update it
+    if (delivery && answeredInThread && ts) {
+      try {
+        await conversationStore.save(channel, replyTarget.threadTs, {
+          answers: {
+            [ts]: {
+              answerTs: delivery.answerTs,
+              followUpTs: delivery.followUpTs,
+              answeredAt: new Date().toISOString()
+            }
+          }
+        });
+      } catch (storeError) {
+        logger.warn("⚠️ Could not save question -> answer mapping:", storeError.message);
+      }
+    }
 
   } catch (error) {
     logger.error("Error processing message:", error);
     
-    // Determine user-friendly error message
-    let userMessage;
-    if (error.message.includes("timeout")) {
-      userMessage = "⏰ Request timed out. Please try again.";
-    } else if (error.message.includes("rate")) {
-      userMessage = "🚦 Service is busy. Please wait a moment and try again.";
-    } else if (error.message.includes("API")) {
-      userMessage = "🤖 Matt-GPT is temporarily unavailable. Please try again later.";
-    } else {
-      userMessage = "❌ Something went wrong. Please try again.";
-    }
-    
+    const userMessage = formatErrorReply(error);
+
     // Try to send error message
     try {
-      await say({
-        text: userMessage,
-        thread_ts: thread_ts || ts,
-      });
+      await replyTarget.postMessage(userMessage);
     } catch (fallbackError) {
       logger.error("Error sending fallback message:", fallbackError);
     }
   }
 }
 
-// Startup validation and safety checks
-function validateConfiguration() {
+// Queue a summary the way processMessageRequest queues answers (kind 'summary' jobs), so
+// a restart resumes it too, after the same access check. request: { user, channel, threadTs, oldest, windowMs }
+async function queueSummary(request, { client, logger, replyTarget }) {
+  const denied = await checkAccess(client, { user: request.user, channel: request.channel, logger });
+  if (denied) {
+    await privateReplyTarget(replyTarget, { client, channel: request.channel, user: request.user, logger }).postMessage(denied);
+    return;
+  }
+  await recordAudit('summary', {
+    user: request.user,
+    channel: request.channel,
+    thread_ts: request.threadTs,
+    window: request.threadTs ? null : formatWindow(request.windowMs)
+  });
+
+  const { job, finished } = await jobQueue.enqueue(
+    {
+      kind: 'summary',
+      trace: getTraceContext() || {},
+      summary: request,
+      replyTarget: replyTarget.describe(),
+      thinkingPosted: false
+    },
+    { client, logger, replyTarget }
+  );
+  logger.debug(`📥 Queued summary job ${job.id}`);
+  return { jobId: job.id, finished };
+}
+
+// Split a digest into message payloads of section blocks (no conversation ID - a digest
+// doesn't start a Matt-GPT conversation)
+function createDigestMessages(text, threadTs) {
+  const chunks = splitMarkdownIntoChunks(text, SECTION_TEXT_LIMIT);
+  return groupChunksIntoMessages(chunks, MAX_BLOCKS_PER_MESSAGE, MESSAGE_TEXT_LIMIT).map((group) => ({
+    text: group.join('\n\n'),
+    thread_ts: threadTs,
+    blocks: group.map((chunk) => ({ type: "section", text: { type: "mrkdwn", text: chunk } })),
+    unfurl_links: false,
+    unfurl_media: false,
+  }));
+}
+
+// Summarize a thread (threadTs) or a channel's messages since oldest: read the messages with
+// names resolved, summarize them map-reduce style through the channel's backend and deliver
+// the digest with links back to the messages it cites (the job worker's half of queueSummary)
+async function summarizeConversation({ user, channel, threadTs, oldest, windowMs }, { client, logger, replyTarget, onThinkingPosted = null }) {
+  try {
+    const { channelPolicy, backendRegistry } = currentWorkspace();
+    const backend = backendRegistry.get(channelPolicy.getBackendName(channel));
+    if (!(await admitRequest(backend, { user, channel, replyTarget, logger }))) {
+      return;
+    }
+
+    await replyTarget.postThinking(threadTs ? "📚 Reading the thread..." : `📚 Reading the last ${formatWindow(windowMs)} of <#${channel}>...`);
+    await onThinkingPosted?.();
+
+    const { messages: fetched, truncated } = await fetchConversationMessages(client, {
+      channel,
+      threadTs,
+      oldest: threadTs ? null : oldest,
+      maxMessages: SUMMARIZE_MAX_MESSAGES
+    });
+    // People who opted out are left out of the transcript
+    const optedOut = await getOptedOutUsers(user);
+    const messages = fetched.filter((msg) => !optedOut.has(msg.user));
+    logger.info(`📚 Read ${messages.length} message(s) to summarize${truncated ? ` (newest ${SUMMARIZE_MAX_MESSAGES} only)` : ''}${messages.length < fetched.length ? `, ${fetched.length - messages.length} left out (opted out)` : ''}`);
+
+    const scopeText = threadTs ? 'this thread' : `<#${channel}> in the last ${formatWindow(windowMs)}`;
+    if (messages.length === 0) {
+      await replyTarget.deliver(createDigestMessages(`🤷 There's nothing to summarize - nobody has written in ${scopeText}.`, replyTarget.threadTs));
+      return;
+    }
+
+    const readable = await toReadableMessages(client, messages);
+    const { summary, requests, chunks, stoppedAfter } = await summarizeTranscript({
+      lines: buildTranscript(readable),
+      title: threadTs ? 'a Slack thread' : `the last ${formatWindow(windowMs)} of a Slack channel`,
+      chunkChars: SUMMARIZE_CHUNK_CHARS,
+      // Every request waits for a concurrency slot and counts against the user's budget
+      ask: async (prompt) => {
+        const response = await requestScheduler.run(() => callMattGPTWithRetry(prompt, { backend }, 3, logger));
+        try {
+          await usageLedger.record({ userId: user, channel: channel, conversationId: response.conversation_id || null, tokensUsed: response.tokens_used });
+        } catch (ledgerError) {
+          logger.warn("⚠️ Could not record token usage:", ledgerError.message);
+        }
+        return response.response || '';
+      },
+      onProgress: (part, total) => replyTarget.updateThinking(`📚 Summarizing part ${part} of ${total}...`),
+      // admitRequest only checked the budget for the first request - stop once it runs out
+      canContinue: async () => {
+        const budgetCheck = await usageLedger.checkBudget(user);
+        if (!budgetCheck.allowed) {
+          logger.warn(`💸 Summary for ${user} stopped - ${budgetCheck.budget} budget exhausted (${budgetCheck.used}/${budgetCheck.limit} tokens)`);
+        }
+        return budgetCheck.allowed;
+      }
+    });
+    logger.info(`🗞️ Summary written from ${stoppedAfter ?? chunks} of ${chunks} chunk(s) in ${requests} request(s)`);
+
+    // Link the cited messages (references are 1-based positions in the transcript)
+    const slackText = slackifyMarkdown(summary);
+    const permalinks = new Map();
+    for (const number of citedReferences(slackText).slice(0, SUMMARIZE_MAX_LINKS)) {
+      const message = messages[number - 1];
+      if (!message) continue;
+      try {
+        const { permalink } = await client.chat.getPermalink({ channel: channel, message_ts: message.ts });
+        permalinks.set(number, permalink);
+      } catch (error) {
+        logger.warn(`⚠️ Could not get a link to message ${message.ts}:`, error.message);
+      }
+    }
+
+    const header = `*${threadTs ? '🧵 Thread summary' : `🗞️ <#${channel}> - last ${formatWindow(windowMs)}`}*` +
+      ` · ${messages.length} message${messages.length === 1 ? '' : 's'}${truncated ? ' (the newest only)' : ''}` +
+      `${replyTarget.type === 'thread' ? ` · asked for by <@${user}>` : ''}`;
+    const partialNotice = stoppedAfter
+      ? `💸 _The token budget ran out, so these are only the notes on the first ${stoppedAfter} of ${chunks} parts._\n\n`
+      : '';
+    await replyTarget.deliver(createDigestMessages(`${header}\n\n${partialNotice}${linkReferences(slackText, permalinks)}`, replyTarget.threadTs));
+    logger.info(`✅ Summary delivered`);
+  } catch (error) {
+    logger.error("❌ Could not summarize:", error.message);
+
+    const userMessage = error.data?.error === 'not_in_channel' || error.data?.error === 'channel_not_found'
+      ? "🙈 I can't read that channel - invite me to it first."
+      : formatErrorReply(error);
+    try {
+      await replyTarget.postMessage(userMessage);
+    } catch (fallbackError) {
+      logger.error("Error sending fallback message:", fallbackError);
+    }
+  }
+}
+
+// Turn a failed request into the message shown to the user
+function formatErrorReply(error) {
+  let userMessage;
+  if (error.code === 'CIRCUIT_OPEN') {
+    userMessage = formatCircuitOpenMessage(error.retryAfterMs);
+  } else if (error.status === 401 || error.status === 403) {
+    userMessage = "🔐 Matt-GPT rejected the bot's credentials. Please ask an admin to check the API configuration.";
+  } else if (error.message.includes("timeout")) {
+    userMessage = "⏰ Request timed out. Please try again.";
+  } else if (error.message.includes("rate")) {
+    userMessage = "🚦 Service is busy. Please wait a moment and try again.";
+  } else if (error.message.includes("API")) {
+    userMessage = "🤖 Matt-GPT is temporarily unavailable. Please try again later.";
+  } else {
+    userMessage = "❌ Something went wrong. Please try again.";
+  }
+  
+  // Include the start of the trace ID so a report can be matched to the logs
+  const traceId = getTraceId();
+  if (traceId) {
+    userMessage += ` _(ref: ${traceId.slice(0, 8)})_`;
+  }
+  return userMessage;
+}
+
+// Startup validation of the Slack credentials the selected mode needs
+function validateSlackConfiguration() {
+  if (SLACK_MODE !== 'http' && SLACK_MODE !== 'socket') {
+    console.error(`❌ Unknown SLACK_MODE '${SLACK_MODE}' - expected 'http' (Events API) or 'socket' (Socket Mode)`);
+    return false;
+  }
+
   const requiredEnvVars = {
-    'SLACK_BOT_TOKEN': process.env.SLACK_BOT_TOKEN,
-    'SLACK_SIGNING_SECRET': process.env.SLACK_SIGNING_SECRET,
+    // OAuth installs bring their own bot tokens; a single workspace needs SLACK_BOT_TOKEN
+    ...(OAUTH_ENABLED
+      ? {
+        'SLACK_CLIENT_ID': process.env.SLACK_CLIENT_ID,
+        'SLACK_CLIENT_SECRET': process.env.SLACK_CLIENT_SECRET,
+        'SLACK_STATE_SECRET': process.env.SLACK_STATE_SECRET,
+      }
+      : { 'SLACK_BOT_TOKEN': process.env.SLACK_BOT_TOKEN }),
+    ...(SOCKET_MODE
+      ? { 'SLACK_APP_TOKEN': process.env.SLACK_APP_TOKEN }
+      : { 'SLACK_SIGNING_SECRET': process.env.SLACK_SIGNING_SECRET }),
   };
 
   const missingVars = Object.entries(requiredEnvVars)
@@ -591,48 +2945,146 @@ function validateConfiguration() {
   }
 
   // Validate token formats
-  if (!process.env.SLACK_BOT_TOKEN.startsWith('xoxb-')) {
+  if (!OAUTH_ENABLED && !process.env.SLACK_BOT_TOKEN.startsWith('xoxb-')) {
     console.error("❌ SLACK_BOT_TOKEN should start with 'xoxb-'");
     return false;
   }
+  if (OAUTH_ENABLED && process.env.SLACK_BOT_TOKEN) {
+    console.warn("⚠️ SLACK_BOT_TOKEN is ignored when SLACK_CLIENT_ID is set - bot tokens come from OAuth installations");
+  }
+  if (SOCKET_MODE && !process.env.SLACK_APP_TOKEN.startsWith('xapp-')) {
+    console.error("❌ SLACK_APP_TOKEN should start with 'xapp-' (an app-level token with the connections:write scope)");
+    return false;
+  }
+
+  return true;
+}
+
+// Startup validation and safety checks
+function validateConfiguration() {
+  if (!validateSlackConfiguration()) {
+    return false;
+  }
+
+  // A typo would otherwise quietly keep answers to deleted questions
+  if (!DELETED_QUESTION_ACTIONS.includes(DELETED_QUESTION_ACTION)) {
+    console.error(`❌ Unknown DELETED_QUESTION_ACTION '${DELETED_QUESTION_ACTION}' - expected ${DELETED_QUESTION_ACTIONS.map(action => `'${action}'`).join(', ')}`);
+    return false;
+  }
+
+  // Every backend named in SLACK_CHANNELS must be configured (in every workspace)
+  for (const { name, channelPolicy, backendRegistry } of workspaces.all()) {
+    const unknownBackends = channelPolicy.backendNames.filter(backendName => !backendRegistry.has(backendName));
+    if (unknownBackends.length > 0) {
+      console.error(`❌ SLACK_CHANNELS references unknown backend(s) in workspace '${name}': ${unknownBackends.join(', ')}`);
+      console.error(`   Configured backends: ${backendRegistry.names.join(', ')} (set OPENAI_COMPAT_BASE_URL to enable 'openai')`);
+      return false;
+    }
+  }
 
   return true;
 }
 
 // Start the app with comprehensive error handling
-(async () => {
+async function startApp(port = PORT) {
   try {
     // Validate configuration before starting
     if (!validateConfiguration()) {
       process.exit(1);
     }
 
-    console.log("🔧 Configuration validated successfully");
-    console.log("🚀 Starting Slack bot...");
+    rootLogger.info("🔧 Configuration validated successfully");
+    rootLogger.info("🚀 Starting Slack bot...");
     
-    await app.start(process.env.PORT || 3000);
+    const server = await app.start(port);
     
-    console.log("⚡️ Slack bot is running!");
-    console.log(`📢 Monitoring channel: ${MONITORED_CHANNEL || '⚠️ Not configured - will respond to all channels'}`);
-    console.log(`🤖 Matt-GPT integration: ${MATT_GPT_BEARER_TOKEN ? '✅ Enabled' : '⚠️ Disabled (MATT_GPT_BEARER_TOKEN not set)'}`);
-    console.log(`🔗 Matt-GPT API URL: ${MATT_GPT_API_URL}`);
-    console.log(`🌐 Events API: Enabled (production mode)`);
-    console.log(`🔗 Webhook endpoint: https://matt-gpt-slack-app-w7oce.ondigitalocean.app/slack/events`);
-    console.log("\n🎉 Bot is ready to receive messages!");
+    rootLogger.info("⚡️ Slack bot is running!");
+
+    // Finish (or give up on) answers interrupted by the last shutdown
+    const recovered = await recoverJobs();
+    if (recovered.resumed + recovered.failed > 0) {
+      rootLogger.info(`🔁 Interrupted jobs: ${recovered.resumed} resumed, ${recovered.failed} failed`);
+    }
+    // Expired audit log entries are purged now and once a day
+    auditLog.startRetention();
+    scheduler.start();
+    for (const signal of ['SIGTERM', 'SIGINT']) {
+      process.once(signal, () => {
+        shutdown(signal).finally(() => process.exit(0));
+      });
+    }
+
+    if (OAUTH_ENABLED) {
+      const installations = await installationStore.listInstallations();
+      rootLogger.info(`🏢 Multi-workspace OAuth: ${installations.length} installation(s) in ${installationStore.type} store${installationStore.filePath ? ` (${installationStore.filePath})` : ''}`);
+      rootLogger.info(`🔗 Install URL: ${PUBLIC_URL || `http://localhost:${port}`}/slack/install`);
+    } else {
+      // Discover the bot user ID in the background (auth.test retries can take a while)
+      getBotIdentity(app.client)
+        .then((botIdentity) => rootLogger.info(`🤖 Bot user ID: ${botIdentity.userId}${process.env.SLACK_BOT_USER_ID ? ' (from SLACK_BOT_USER_ID)' : ' (from auth.test)'}`))
+        .catch((error) => rootLogger.warn("⚠️ Could not discover the bot user ID with auth.test - will retry on the next message:", error.message));
+    }
+    if (workspaces.teamIds.length > 0) {
+      rootLogger.info(`🏢 Workspace overrides: ${workspaces.teamIds.map(teamId => `${workspaces.get(teamId).name} (${teamId})`).join(', ')}`);
+    }
+    rootLogger.info(`📏 Message rules (${messageRules.source}): ${messageRules.describe()}`);
+    const { channelPolicy, backendRegistry } = workspaces.default;
+    rootLogger.info(`📢 Monitoring channels: ${channelPolicy.hasChannelRestrictions ? channelPolicy.describe() : `⚠️ Not configured - will respond to all channels (${channelPolicy.describe()})`}`);
+    rootLogger.info(`🤖 Matt-GPT integration: ${MATT_GPT_BEARER_TOKEN ? '✅ Enabled' : '⚠️ Disabled (MATT_GPT_BEARER_TOKEN not set)'}`);
+    rootLogger.info(`🔗 Matt-GPT API URL: ${MATT_GPT_API_URL}`);
+    rootLogger.info(`🧠 Backends: ${backendRegistry.names.map(name => backendRegistry.get(name).label).join(', ')} (default: ${backendRegistry.defaultName})`);
+    rootLogger.info(`🗂️ Conversation store: ${conversationStore.type}${conversationStore.filePath ? ` (${conversationStore.filePath})` : ''}`);
+    rootLogger.info(`📥 Job queue: ${jobQueue.filePath}`);
+    rootLogger.info(`📡 Response streaming: ${MATT_GPT_STREAMING ? '✅ Enabled' : '⚠️ Disabled (one-shot responses)'}`);
+    if (SOCKET_MODE) {
+      rootLogger.info(`🔌 Socket Mode: Connected to Slack over WebSocket (no public URL needed)`);
+      rootLogger.info(`🩺 Health endpoint: http://localhost:${port}/healthz`);
+    } else {
+      // Report the port the HTTP server actually bound
+      const boundPort = server?.address?.()?.port || port;
+      rootLogger.info(`🌐 Events API: Listening on port ${boundPort}`);
+      rootLogger.info(`🔗 Events endpoint: ${PUBLIC_URL ? `${PUBLIC_URL}/slack/events` : `http://localhost:${boundPort}/slack/events (set PUBLIC_URL to show the public address)`}`);
+      rootLogger.info(`🩺 Health endpoint: http://localhost:${boundPort}/healthz`);
+    }
+    rootLogger.info("🎉 Bot is ready to receive messages!");
     
   } catch (error) {
-    console.error("💥 Failed to start app:", error.message);
+    rootLogger.error("💥 Failed to start app:", error.message);
     
     if (error.code === 'slack_webapi_platform_error') {
-      console.error("🔐 This is likely an authentication issue. Please check:");
-      console.error("  - Your bot token is valid and starts with 'xoxb-'");
-      console.error("  - Your signing secret is correct");
-      console.error("  - Your app has the necessary OAuth scopes");
-      console.error("  - Events API is properly configured in your Slack app");
+      rootLogger.error("🔐 This is likely an authentication issue. Please check:");
+      rootLogger.error("  - Your bot token is valid and starts with 'xoxb-'");
+      if (SOCKET_MODE) {
+        rootLogger.error("  - Your app-level token (SLACK_APP_TOKEN) is valid and has the connections:write scope");
+        rootLogger.error("  - Socket Mode is enabled in your Slack app settings");
+      } else {
+        rootLogger.error("  - Your signing secret is correct");
+        rootLogger.error("  - Events API is properly configured in your Slack app");
+      }
+      rootLogger.error("  - Your app has the necessary OAuth scopes");
     } else if (error.code === 'EADDRINUSE') {
-      console.error(`🚪 Port ${process.env.PORT || 3000} is already in use. Try a different port.`);
+      rootLogger.error(`🚪 Port ${port} is already in use. Try a different port.`);
     }
     
     process.exit(1);
   }
-})();
\ No newline at end of file
+}
+
+// Start the server only when run directly (node app.js), so tests can import the handlers
+if (require.main === module) {
+  startApp();
+}
+
+module.exports = {
+  app,
+  startApp,
+  processMessageRequest,
+  recoverJobs,
+  scheduler,
+  callMattGPTWithRetry,
+  cleanMessageText,
+  extractConversationId,
+  createMessageWithConversationId,
+  createMessagesWithConversationId,
+  conversationStore,
+};
@@ -0,0 +1,118 @@
+// How long user group memberships stay cached (failed lookups are retried after a minute)
+const GROUP_CACHE_TTL_MS = 10 * 60 * 1000;
+
+// Helper function to split a comma-separated list of IDs
+function parseIdList(value) {
+  return (value || '').split(',').map((id) => id.trim()).filter(Boolean);
+}
+
+// Who may use the bot, checked before a request is queued:
+// - blockUsers / blockGroups are never answered
+// - allowUsers / allowGroups, when any are set, are the only ones answered
+// - admins / adminGroups are always answered and may use the admin commands
+// Groups are Slack user group IDs (S123); their members are looked up with
+// usergroups.users.list and cached. A group that can't be looked up fails closed: it matches
+// nobody on the allow and admin lists, and refuses everyone ('unverified') on the block list.
+function createAccessPolicy({
+  allowUsers = [],
+  blockUsers = [],
+  allowGroups = [],
+  blockGroups = [],
+  admins = [],
+  adminGroups = [],
+  groupCacheTtlMs = GROUP_CACHE_TTL_MS,
+} = {}) {
+  const groupMembers = new Map();
+
+  // Members of a user group, from the cache when it's fresh, or null when the lookup failed
+  const getMembers = async (client, groupId) => {
+    const entry = groupMembers.get(groupId);
+    if (entry && entry.expiresAt > Date.now()) {
+      return entry.members;
+    }
+
+    let members = null;
+    try {
+      const result = await client.usergroups.users.list({ usergroup: groupId });
+      members = new Set(result.users || []);
+    } catch (error) {
+      members = null;
+    }
+    groupMembers.set(groupId, {
+      members,
+      expiresAt: Date.now() + (members ? groupCacheTtlMs : 60000),
+    });
+    return members;
+  };
+
+  // Helper function to check a user against a list of users and a list of groups.
+  // Resolves to true or false, or null when the user isn't listed but a group couldn't be looked up.
+  const isListed = async (client, userId, users, groups) => {
+    if (users.includes(userId)) return true;
+    let unknown = false;
+    for (const groupId of groups) {
+      const members = await getMembers(client, groupId);
+      if (members?.has(userId)) return true;
+      if (!members) unknown = true;
+    }
+    return unknown ? null : false;
+  };
+
+  const isAdmin = async (client, userId) => (await isListed(client, userId, admins, adminGroups)) === true;
+
+  const hasAllowlist = allowUsers.length > 0 || allowGroups.length > 0;
+
+  return {
+    hasRestrictions: hasAllowlist || blockUsers.length > 0 || blockGroups.length > 0,
+    hasAdmins: admins.length > 0 || adminGroups.length > 0,
+
+    isAdmin,
+
+    // Resolves to { allowed, reason } - reason is 'blocked', 'unverified' (a blocked group
+    // couldn't be looked up) or 'not_allowed' when refused
+    async check(client, userId) {
+      if (await isAdmin(client, userId)) {
+        return { allowed: true, reason: null };
+      }
+      const blocked = await isListed(client, userId, blockUsers, blockGroups);
+      if (blocked !== false) {
+        return { allowed: false, reason: blocked ? 'blocked' : 'unverified' };
+      }
+      if (hasAllowlist && !(await isListed(client, userId, allowUsers, allowGroups))) {
+        return { allowed: false, reason: 'not_allowed' };
+      }
+      return { allowed: true, reason: null };
+    },
+
+    // Human-readable description for /mattgpt status
+    describe() {
+      const parts = [];
+      const count = (users, groups) => [
+        ...(users.length > 0 ? [`${users.length} user${users.length === 1 ? '' : 's'}`] : []),
+        ...(groups.length > 0 ? [`${groups.length} group${groups.length === 1 ? '' : 's'}`] : []),
+      ].join(' + ');
+      parts.push(hasAllowlist ? `allowed: ${count(allowUsers, allowGroups)}` : 'everyone allowed');
+      if (blockUsers.length > 0 || blockGroups.length > 0) parts.push(`blocked: ${count(blockUsers, blockGroups)}`);
+      parts.push(this.hasAdmins ? `admins: ${count(admins, adminGroups)}` : 'no admins');
+      return parts.join(', ');
+    },
+  };
+}
+
+// Create the access policy from ACCESS_ALLOW_USERS, ACCESS_BLOCK_USERS, ACCESS_ALLOW_USERGROUPS,
+// ACCESS_BLOCK_USERGROUPS, ADMIN_USERS and ADMIN_USERGROUPS (comma-separated IDs)
+function createAccessPolicyFromEnv(env = process.env) {
+  return createAccessPolicy({
+    allowUsers: parseIdList(env.ACCESS_ALLOW_USERS),
+    blockUsers: parseIdList(env.ACCESS_BLOCK_USERS),
+    allowGroups: parseIdList(env.ACCESS_ALLOW_USERGROUPS),
+    blockGroups: parseIdList(env.ACCESS_BLOCK_USERGROUPS),
+    admins: parseIdList(env.ADMIN_USERS),
+    adminGroups: parseIdList(env.ADMIN_USERGROUPS),
+  });
+}
+
+module.exports = {
+  createAccessPolicy,
+  createAccessPolicyFromEnv,
+};
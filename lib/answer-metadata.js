@@ -0,0 +1,247 @@
+const { normalizeTokens } = require('./usage-ledger');
+const { SECTION_TEXT_LIMIT } = require('./message-chunking');
+
+// How much answer metadata is shown under an answer:
+// - off: nothing
+// - footer: a context line with the sources used, latency, tokens and query ID
+// - citations: the footer plus a "Show sources" button when the backend returned source items
+const ANSWER_METADATA_LEVELS = ['off', 'footer', 'citations'];
+
+// Block IDs of the metadata blocks. They must never start with conv_ (see extractConversationId).
+const FOOTER_BLOCK_ID = 'answer_metadata';
+const SOURCES_LIST_BLOCK_ID = 'answer_sources_list';
+const SOURCES_ACTIONS_BLOCK_ID = 'answer_sources';
+
+const SOURCES_ACTIONS = {
+  SHOW: 'answer_sources_show',
+  HIDE: 'answer_sources_hide',
+};
+
+// The most blocks the metadata adds to a message (footer, sources list, sources button)
+const ANSWER_METADATA_MAX_BLOCKS = 3;
+
+const MAX_SOURCES = 10;
+// Button values are limited to 2,000 characters, and the sources travel in the button value
+const BUTTON_VALUE_LIMIT = 2000;
+const SNIPPET_LIMITS = [200, 120, 60, 0];
+
+// Helper function to escape text for Slack mrkdwn (&, < and > are control characters)
+function escapeMrkdwn(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Helper function to shorten text to a number of characters
+function truncate(text, maxChars) {
+  return text.length > maxChars ? text.substring(0, maxChars - 1) + '…' : text;
+}
+
+// Pull the source items out of a backend response. Matt-GPT returns them as `sources`
+// (or `context_items`); each item may have a title (or name), a snippet (or content/text)
+// and a url (or link). Items with none of those are left out.
+function extractSources(response = {}) {
+  const items = Array.isArray(response.sources) ? response.sources
+    : Array.isArray(response.context_items) ? response.context_items
+      : [];
+
+  return items
+    .filter((item) => item && typeof item === 'object')
+    .map((item) => {
+      const url = item.url || item.link;
+      return {
+        title: String(item.title || item.name || '').trim(),
+        url: typeof url === 'string' && /^https?:\/\//.test(url) ? url : null,
+        snippet: String(item.snippet || item.content || item.text || '').replace(/\s+/g, ' ').trim(),
+      };
+    })
+    .filter((source) => source.title || source.url || source.snippet)
+    .slice(0, MAX_SOURCES);
+}
+
+// Collect what the footer and citations show from a backend response
+function summarizeAnswer(response = {}) {
+  const sources = extractSources(response);
+  const tokens = normalizeTokens(response.tokens_used);
+  return {
+    // context_items_used is Matt-GPT's count; other backends only tell us through the list
+    sourceCount: typeof response.context_items_used === 'number' ? response.context_items_used
+      : sources.length > 0 ? sources.length
+        : null,
+    latencyMs: typeof response.latency_ms === 'number' ? response.latency_ms : null,
+    tokens: tokens > 0 ? tokens : null,
+    queryId: response.query_id || null,
+    sources,
+  };
+}
+
+// Helper function to format a latency: 850ms, 2.3s
+function formatLatency(ms) {
+  return ms < 1000 ? `${Math.round(ms)}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+// Helper function to format a token count: 950 tokens, 1.2k tokens
+function formatTokens(tokens) {
+  return tokens < 1000 ? `${tokens} tokens` : `${(tokens / 1000).toFixed(1).replace(/\.0$/, '')}k tokens`;
+}
+
+// Build the footer line, e.g. "📚 5 sources · 2.3s · 1.2k tokens · query abcd1234".
+// An answer that used no sources says so, since that's what readers want to know.
+function formatFooter({ sourceCount, latencyMs, tokens, queryId }) {
+  const parts = [];
+  if (sourceCount === 0) {
+    parts.push("💭 No sources - model only");
+  } else if (sourceCount !== null) {
+    parts.push(`📚 ${sourceCount} source${sourceCount === 1 ? '' : 's'}`);
+  }
+  if (latencyMs !== null) parts.push(formatLatency(latencyMs));
+  if (tokens !== null) parts.push(formatTokens(tokens));
+  if (queryId) parts.push(`query \`${String(queryId).slice(0, 8)}\``);
+  return parts.join(' · ');
+}
+
+// Encode sources for a button value, shortening snippets (then dropping sources) until it fits
+function encodeSources(sources) {
+  for (const snippetLimit of SNIPPET_LIMITS) {
+    const compact = sources.map(({ title, url, snippet }) => ({
+      t: truncate(title, 150),
+      u: url && url.length <= 300 ? url : null,
+      s: snippetLimit > 0 ? truncate(snippet, snippetLimit) : '',
+    }));
+    while (compact.length > 0) {
+      const value = JSON.stringify(compact);
+      if (value.length <= BUTTON_VALUE_LIMIT) return value;
+      if (snippetLimit > 0) break;
+      compact.pop();
+    }
+  }
+  return '[]';
+}
+
+// Helper function to read the sources back from a button value
+function decodeSources(value) {
+  try {
+    return JSON.parse(value).map(({ t, u, s }) => ({ title: t || '', url: u || null, snippet: s || '' }));
+  } catch (error) {
+    return [];
+  }
+}
+
+// Build the numbered citation list: linked titles with their snippets quoted below
+function createSourcesListBlock(sources) {
+  const lines = sources.map(({ title, url, snippet }, index) => {
+    const label = escapeMrkdwn(title || `Source ${index + 1}`).replace(/\|/g, '¦');
+    const heading = `*${index + 1}.* ${url ? `<${url}|${label}>` : label}`;
+    return snippet ? `${heading}\n> ${escapeMrkdwn(snippet)}` : heading;
+  });
+
+  return {
+    type: "section",
+    block_id: SOURCES_LIST_BLOCK_ID,
+    text: { type: "mrkdwn", text: truncate(lines.join("\n"), SECTION_TEXT_LIMIT) },
+  };
+}
+
+// Build the Show/Hide sources button; its value carries the sources so no store is needed
+function createSourcesToggleBlock(sources, expanded = false) {
+  return {
+    type: "actions",
+    block_id: SOURCES_ACTIONS_BLOCK_ID,
+    elements: [{
+      type: "button",
+      action_id: expanded ? SOURCES_ACTIONS.HIDE : SOURCES_ACTIONS.SHOW,
+      text: { type: "plain_text", text: expanded ? "Hide sources" : `📚 Show ${sources.length} source${sources.length === 1 ? '' : 's'}`, emoji: true },
+      value: encodeSources(sources),
+    }],
+  };
+}
+
+// Build the metadata blocks for an answer summary at a visibility level
+function createAnswerMetadataBlocks(summary, level = 'citations') {
+  if (level === 'off' || !summary) return [];
+
+  const blocks = [];
+  const footer = formatFooter(summary);
+  if (footer) {
+    blocks.push({
+      type: "context",
+      block_id: FOOTER_BLOCK_ID,
+      elements: [{ type: "mrkdwn", text: footer }],
+    });
+  }
+  if (level === 'citations' && summary.sources.length > 0) {
+    blocks.push(createSourcesToggleBlock(summary.sources));
+  }
+  return blocks;
+}
+
+// Expand or collapse the citations in a posted answer's blocks. The list goes right above
+// the button; every other block (conversation ID, feedback buttons) is left as it was.
+function toggleSourcesInBlocks(blocks, sources, expand) {
+  const result = [];
+  for (const block of blocks) {
+    if (block.block_id === SOURCES_LIST_BLOCK_ID) continue;
+    if (block.block_id === SOURCES_ACTIONS_BLOCK_ID) {
+      if (expand) result.push(createSourcesListBlock(sources));
+      result.push(createSourcesToggleBlock(sources, expand));
+      continue;
+    }
+    result.push(block);
+  }
+  return result;
+}
+
+// Visibility per channel: ANSWER_METADATA sets the default level and channels listed in
+// channels (channel -> level) override it
+function createAnswerMetadataPolicy({ defaultLevel = 'off', channels = new Map() } = {}) {
+  return {
+    defaultLevel,
+
+    levelFor(channelId) {
+      return channels.get(channelId) || defaultLevel;
+    },
+
+    // Human-readable description for /mattgpt status
+    describe() {
+      const overrides = [...channels.entries()].map(([channelId, level]) => `<#${channelId}> ${level}`);
+      return `${defaultLevel}${overrides.length > 0 ? ` (${overrides.join(', ')})` : ''}`;
+    },
+  };
+}
+
+// Helper function to check a visibility level from configuration
+function parseLevel(level, name) {
+  if (!ANSWER_METADATA_LEVELS.includes(level)) {
+    throw new Error(`Invalid ${name} '${level}' (expected ${ANSWER_METADATA_LEVELS.join(', ')})`);
+  }
+  return level;
+}
+
+// Create the policy from ANSWER_METADATA (default level) and ANSWER_METADATA_CHANNELS,
+// a list like "C123:off,C456:footer"
+function createAnswerMetadataPolicyFromEnv(env = process.env) {
+  const channels = new Map();
+  for (const entry of (env.ANSWER_METADATA_CHANNELS || '').split(',')) {
+    const [channelId, level] = entry.trim().split(':').map((part) => part.trim());
+    if (!channelId) continue;
+    channels.set(channelId, parseLevel(level || '', `ANSWER_METADATA_CHANNELS level for ${channelId}`));
+  }
+
+  return createAnswerMetadataPolicy({
+    defaultLevel: parseLevel(env.ANSWER_METADATA || 'off', 'ANSWER_METADATA'),
+    channels,
+  });
+}
+
+module.exports = {
+  ANSWER_METADATA_LEVELS,
+  ANSWER_METADATA_MAX_BLOCKS,
+  SOURCES_ACTIONS,
+  extractSources,
+  summarizeAnswer,
+  formatFooter,
+  decodeSources,
+  createAnswerMetadataBlocks,
+  createSourcesListBlock,
+  toggleSourcesInBlocks,
+  createAnswerMetadataPolicy,
+  createAnswerMetadataPolicyFromEnv,
+};
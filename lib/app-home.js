@@ -0,0 +1,134 @@
+const { SETTING_CHOICES } = require('./user-settings');
+
+// How many recent conversations the Home tab lists
+const HOME_CONVERSATION_LIMIT = 10;
+
+// action_id of each settings menu on the Home tab, keyed by setting name
+const HOME_SETTING_ACTIONS = {
+  replyMode: 'home_setting_reply_mode',
+  includeThreadContext: 'home_setting_thread_context',
+  verbosity: 'home_setting_verbosity',
+  contextOptOut: 'home_setting_context_opt_out',
+};
+
+// Matches every settings menu above (one Bolt action handler covers them all)
+const HOME_SETTING_ACTION_PATTERN = /^home_setting_/;
+
+// Labels shown for each setting and its choices
+const SETTING_LABELS = {
+  replyMode: {
+    label: '*Where should I answer?*\nPrivate answers are only visible to you (DMs always answer normally).',
+    choices: { thread: 'In the thread', ephemeral: 'Only visible to me' },
+  },
+  includeThreadContext: {
+    label: '*Include thread context*\nSend who is asking and what was said earlier in the thread along with your question.',
+    choices: { true: 'On', false: 'Off' },
+  },
+  verbosity: {
+    label: '*Answer length*',
+    choices: { default: 'Default', brief: 'Brief', detailed: 'Detailed' },
+  },
+  contextOptOut: {
+    label: "*Keep my messages out of Matt-GPT*\nDon't send what you write to Matt-GPT when others include a thread, ask about your messages or summarize a conversation.",
+    choices: { true: 'Keep them out', false: 'Allow' },
+  },
+};
+
+// Helper function to build a static_select option for a setting value
+function settingOption(key, value) {
+  return {
+    text: { type: "plain_text", text: SETTING_LABELS[key].choices[String(value)] },
+    value: String(value),
+  };
+}
+
+// Helper function to build the section + menu for one setting
+function settingBlock(key, currentValue) {
+  return {
+    type: "section",
+    block_id: `home_setting_${key}`,
+    text: { type: "mrkdwn", text: SETTING_LABELS[key].label },
+    accessory: {
+      type: "static_select",
+      action_id: HOME_SETTING_ACTIONS[key],
+      options: SETTING_CHOICES[key].map((value) => settingOption(key, value)),
+      initial_option: settingOption(key, currentValue),
+    },
+  };
+}
+
+// Helper function to turn a Home tab menu selection back into a settings change, e.g.
+// ('home_setting_thread_context', 'true') -> { includeThreadContext: true }
+function readSettingChange(actionId, selectedValue) {
+  const key = Object.keys(HOME_SETTING_ACTIONS).find((settingKey) => HOME_SETTING_ACTIONS[settingKey] === actionId);
+  if (!key) return null;
+
+  const value = SETTING_CHOICES[key].find((choice) => String(choice) === selectedValue);
+  return value === undefined ? null : { [key]: value };
+}
+
+// Helper function to format a timestamp in the viewer's own timezone
+function formatSlackDate(isoDate) {
+  const seconds = Math.floor(Date.parse(isoDate) / 1000);
+  return `<!date^${seconds}^{date_short_pretty} at {time}|${isoDate}>`;
+}
+
+// Build the App Home view: token usage, recent conversations and personal settings.
+// conversations are { channel, permalink, firstQuestion, updatedAt } (newest first).
+function buildHomeView({ settings, usageLines = [], conversations = [] }) {
+  const blocks = [
+    {
+      type: "header",
+      text: { type: "plain_text", text: "Matt-GPT", emoji: true },
+    },
+    {
+      type: "section",
+      text: { type: "mrkdwn", text: "Ask me anything by @mentioning me in a channel, sending me a DM, using `/mattgpt ask` or the *Ask Matt-GPT* shortcut on any message." },
+    },
+    { type: "divider" },
+    {
+      type: "section",
+      text: { type: "mrkdwn", text: usageLines.length > 0 ? usageLines.join("\n") : "*Your usage*\nNo usage recorded yet." },
+    },
+    { type: "divider" },
+    {
+      type: "section",
+      text: { type: "mrkdwn", text: "*Recent conversations*" },
+    },
+  ];
+
+  if (conversations.length === 0) {
+    blocks.push({
+      type: "context",
+      elements: [{ type: "mrkdwn", text: "You haven't asked Matt-GPT anything yet." }],
+    });
+  }
+
+  for (const conversation of conversations) {
+    const question = conversation.firstQuestion ? `"${conversation.firstQuestion}"` : "_(question not recorded)_";
+    const link = conversation.permalink ? `<${conversation.permalink}|Open thread>` : `<#${conversation.channel}>`;
+    blocks.push({
+      type: "section",
+      text: { type: "mrkdwn", text: `${question}\n${link} · last activity ${formatSlackDate(conversation.updatedAt)}` },
+    });
+  }
+
+  blocks.push(
+    { type: "divider" },
+    {
+      type: "section",
+      text: { type: "mrkdwn", text: "*Settings*" },
+    },
+    ...Object.keys(HOME_SETTING_ACTIONS).map((key) => settingBlock(key, settings[key]))
+  );
+
+  return { type: "home", blocks };
+}
+
+module.exports = {
+  HOME_CONVERSATION_LIMIT,
+  HOME_SETTING_ACTIONS,
+  HOME_SETTING_ACTION_PATTERN,
+  readSettingChange,
+  buildHomeView,
+};
@@ -0,0 +1,158 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+const axios = require('axios');
+
+// Attachment limits
+const ATTACHMENT_MAX_FILES = parseInt(process.env.ATTACHMENT_MAX_FILES, 10) || 5;
+const ATTACHMENT_MAX_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES, 10) || 5 * 1024 * 1024;
+const ATTACHMENT_MAX_TEXT_CHARS = parseInt(process.env.ATTACHMENT_MAX_TEXT_CHARS, 10) || 50000;
+// Huge or malicious PDFs are cut off by pages and parse time
+const ATTACHMENT_PDF_MAX_PAGES = parseInt(process.env.ATTACHMENT_PDF_MAX_PAGES, 10) || 50;
+const ATTACHMENT_PDF_TIMEOUT_MS = parseInt(process.env.ATTACHMENT_PDF_TIMEOUT_MS, 10) || 15000;
+
+// Slack filetypes we read as plain text (code snippets, configs, docs)
+const TEXT_FILETYPES = new Set([
+  'text', 'markdown', 'csv', 'tsv', 'json', 'yaml', 'xml', 'html', 'css', 'sql', 'diff', 'log',
+  'javascript', 'typescript', 'python', 'ruby', 'go', 'rust', 'java', 'kotlin', 'swift', 'c', 'cpp',
+  'csharp', 'php', 'shell', 'powershell', 'dockerfile', 'toml', 'ini', 'scala', 'r', 'perl', 'lua',
+]);
+
+const TEXT_MIMETYPES = ['application/json', 'application/xml', 'application/x-yaml', 'application/javascript'];
+
+const IMAGE_MIMETYPES = ['image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
+// Decide how to handle a Slack file: 'text', 'pdf', 'image' or null (unsupported)
+function classifyFile(file) {
+  const mimetype = file.mimetype || '';
+  if (file.mode === 'snippet' || TEXT_FILETYPES.has(file.filetype) || mimetype.startsWith('text/') || TEXT_MIMETYPES.includes(mimetype)) {
+    return 'text';
+  }
+  if (file.filetype === 'pdf' || mimetype === 'application/pdf') {
+    return 'pdf';
+  }
+  if (IMAGE_MIMETYPES.includes(mimetype)) {
+    return 'image';
+  }
+  return null;
+}
+
+// Helper function to cap extracted text at the per-file character limit
+function limitText(text) {
+  if (text.length <= ATTACHMENT_MAX_TEXT_CHARS) {
+    return { text, truncated: false };
+  }
+  return { text: text.substring(0, ATTACHMENT_MAX_TEXT_CHARS), truncated: true };
+}
+
+// Extract the text of a PDF's first maxPages pages in a worker thread (lib/pdf-worker.js),
+// which is terminated after timeoutMs. Resolves to { text, truncated } with the text capped
+// like any other attachment.
+function extractPdfText(data, { maxPages = ATTACHMENT_PDF_MAX_PAGES, timeoutMs = ATTACHMENT_PDF_TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'pdf-worker.js'), { workerData: { data, maxPages } });
+    let settled = false;
+    const settle = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      worker.terminate();
+      callback(value);
+    };
+
+    const timer = setTimeout(() => settle(reject, new Error(`PDF parsing timed out after ${timeoutMs}ms`)), timeoutMs);
+
+    worker.on('message', ({ text, numpages, error }) => {
+      if (error) {
+        settle(reject, new Error(error));
+        return;
+      }
+      const limited = limitText(text);
+      settle(resolve, { text: limited.text, truncated: limited.truncated || numpages > maxPages });
+    });
+    worker.on('error', (error) => settle(reject, error));
+    worker.on('exit', (code) => settle(reject, new Error(`PDF worker exited with code ${code}`)));
+  });
+}
+
+// Download a Slack file's contents with the bot token
+async function downloadSlackFile(file, botToken) {
+  const response = await axios.get(file.url_private_download || file.url_private, {
+    headers: { Authorization: `Bearer ${botToken}` },
+    responseType: 'arraybuffer',
+    maxContentLength: ATTACHMENT_MAX_BYTES,
+    timeout: 30000,
+  });
+
+  // Slack serves an HTML login page (200) when the token can't read the file
+  const contentType = response.headers['content-type'] || '';
+  if (contentType.includes('text/html') && file.mimetype !== 'text/html') {
+    throw new Error('Slack returned an HTML page instead of the file - check the files:read scope');
+  }
+
+  return Buffer.from(response.data);
+}
+
+// Download and convert the files on a message into Matt-GPT attachments.
+// Returns { attachments, rejected } where rejected lists { name, reason } for the user.
+async function processAttachments(files, { client, botToken, supportsImages, logger }) {
+  const attachments = [];
+  const rejected = [];
+
+  for (const [index, eventFile] of (files || []).entries()) {
+    let file = eventFile;
+    const name = file.name || file.title || file.id;
+
+    if (index >= ATTACHMENT_MAX_FILES) {
+      rejected.push({ name, reason: `only the first ${ATTACHMENT_MAX_FILES} files are read` });
+      continue;
+    }
+
+    try {
+      // Events sometimes carry a stub file object that has to be looked up first
+      if (file.file_access === 'check_file_info') {
+        file = (await client.files.info({ file: file.id })).file;
+      }
+
+      const kind = classifyFile(file);
+      if (!kind) {
+        rejected.push({ name, reason: `${file.pretty_type || file.filetype || file.mimetype || 'this file type'} isn't supported` });
+        continue;
+      }
+      if (kind === 'image' && !supportsImages) {
+        rejected.push({ name, reason: "images aren't supported by the configured Matt-GPT backend" });
+        continue;
+      }
+      if (file.size > ATTACHMENT_MAX_BYTES) {
+        rejected.push({ name, reason: `it's larger than ${Math.round(ATTACHMENT_MAX_BYTES / 1024 / 1024)}MB` });
+        continue;
+      }
+
+      logger.info(`📎 Downloading ${kind} attachment: ${name} (${file.size || '?'} bytes)`);
+      const data = await downloadSlackFile(file, botToken);
+      const baseAttachment = { name, mimetype: file.mimetype, filetype: file.filetype, size: data.length };
+
+      if (kind === 'image') {
+        attachments.push({ ...baseAttachment, type: 'image', data: data.toString('base64') });
+      } else {
+        const extracted = kind === 'pdf' ? await extractPdfText(data) : limitText(data.toString('utf8'));
+        attachments.push({ ...baseAttachment, type: 'text', ...extracted });
+      }
+    } catch (error) {
+      logger.warn(`⚠️ Could not read attachment ${name}:`, error.message);
+      const reason = /maxContentLength/.test(error.message) ? 'it was too large to download'
+        : /timed out/.test(error.message) ? 'it took too long to read'
+          : "I couldn't download or read it";
+      rejected.push({ name, reason });
+    }
+  }
+
+  return { attachments, rejected };
+}
+
+module.exports = {
+  ATTACHMENT_MAX_FILES,
+  ATTACHMENT_MAX_BYTES,
+  classifyFile,
+  extractPdfText,
+  processAttachments,
+};
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, appendJsonLine } = require('./json-file');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Append-only audit log of who asked what: one JSON line per event ({ time, event, user,
+// channel, ... }). Unlike the application logs it keeps the question text - that's what it's
+// for - so entries older than retentionDays are purged (0 keeps them forever), and an admin
+// can purge one user's entries. Appends and purges are serialized, so a purge rewriting the
+// file never drops an entry appended meanwhile.
+function createAuditLog({
+  filePath = path.join(DATA_DIR, 'audit.jsonl'),
+  retentionDays = 90,
+  enabled = true,
+  logger = console,
+} = {}) {
+  let pending = Promise.resolve();
+
+  // Run file operations one at a time, in order
+  const serialize = (task) => {
+    const result = pending.then(task);
+    pending = result.catch(() => {});
+    return result;
+  };
+
+  // Helper function to read every entry (lines that don't parse are skipped)
+  const readEntries = async () => {
+    let contents;
+    try {
+      contents = await fs.promises.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = [];
+    for (const line of contents.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // A line cut short by a crash - leave it out
+      }
+    }
+    return entries;
+  };
+
+  // Replace the file with the given entries (temp file + rename, like writeJsonFile)
+  const rewrite = async (entries) => {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempPath, entries.map((entry) => JSON.stringify(entry) + "\n").join(''));
+    await fs.promises.rename(tempPath, filePath);
+  };
+
+  return {
+    enabled,
+    retentionDays,
+    filePath,
+
+    // Append an entry; failures are logged, never thrown, so auditing can't break answers
+    async record(entry) {
+      if (!enabled) return;
+      try {
+        await serialize(() => appendJsonLine(filePath, { time: new Date().toISOString(), ...entry }));
+      } catch (error) {
+        logger.warn(`⚠️ Could not write the audit log:`, error.message);
+      }
+    },
+
+    // The newest entries first, optionally only those matching filter(entry)
+    async recent({ limit = 20, filter = null } = {}) {
+      const entries = await serialize(readEntries);
+      return (filter ? entries.filter(filter) : entries).slice(-limit).reverse();
+    },
+
+    // Remove entries older than the retention period, or with user, every entry about that
+    // user. Resolves to { removed, kept }.
+    async purge({ user = null, now = Date.now() } = {}) {
+      return serialize(async () => {
+        const entries = await readEntries();
+        const cutoff = retentionDays > 0 ? now - retentionDays * DAY_MS : null;
+        const kept = entries.filter((entry) => user
+          ? entry.user !== user
+          : cutoff === null || Date.parse(entry.time) >= cutoff);
+
+        if (kept.length < entries.length) {
+          await rewrite(kept);
+        }
+        return { removed: entries.length - kept.length, kept: kept.length };
+      });
+    },
+
+    // Purge expired entries now and then every intervalMs; returns a function that stops it
+    startRetention({ intervalMs = DAY_MS } = {}) {
+      if (!enabled || retentionDays <= 0) return () => {};
+
+      const run = () => this.purge()
+        .then(({ removed }) => {
+          if (removed > 0) logger.info(`🧹 Purged ${removed} audit log entr${removed === 1 ? 'y' : 'ies'} older than ${retentionDays} days`);
+        })
+        .catch((error) => logger.warn(`⚠️ Could not purge the audit log:`, error.message));
+
+      run();
+      const timer = setInterval(run, intervalMs);
+      timer.unref();
+      return () => clearInterval(timer);
+    },
+  };
+}
+
+// Create the audit log from environment variables
+function createAuditLogFromEnv({ logger } = {}) {
+  const retentionDays = parseInt(process.env.AUDIT_RETENTION_DAYS, 10);
+  return createAuditLog({
+    filePath: process.env.AUDIT_LOG_PATH || path.join(DATA_DIR, 'audit.jsonl'),
+    retentionDays: Number.isNaN(retentionDays) ? 90 : retentionDays,
+    enabled: process.env.AUDIT_LOG !== 'false',
+    logger,
+  });
+}
+
+module.exports = {
+  createAuditLog,
+  createAuditLogFromEnv,
+};
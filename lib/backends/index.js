@@ -0,0 +1,77 @@
+const { createMattGPTBackend } = require('./matt-gpt');
+const { createOpenAICompatibleBackend } = require('./openai-compatible');
+
+// Backend adapters turn a question into an answer. Every adapter exposes:
+// - name / label: config name and human-readable description
+// - stateless: true when the backend keeps no conversation state (history comes from the thread)
+// - supportsImages: whether image attachments can be sent
+// - checkConfiguration(): a user-facing error message when it can't be used, or null
+// - checkHealth(): probe the API - { reachable, healthy, status, latencyMs, error }
+// - chat({ message, context, logger, onPartialResponse, traceId }): one API attempt (traceId is
+//   forwarded in the TRACE_HEADER_NAME header), resolving to
+//   { response, conversation_id, query_id, tokens_used, latency_ms, ... }
+// - sendFeedback(entry) (optional): record a 👍 / 👎 against one of the backend's query_ids
+
+// Create a registry of the configured backends
+function createBackendRegistry(backends, defaultName) {
+  const byName = new Map(backends.map((backend) => [backend.name, backend]));
+  if (!byName.has(defaultName)) {
+    throw new Error(`Unknown default backend '${defaultName}' (configured: ${[...byName.keys()].join(', ')})`);
+  }
+
+  return {
+    defaultName,
+
+    get names() {
+      return [...byName.keys()];
+    },
+
+    has(name) {
+      return byName.has(name);
+    },
+
+    // Get a backend by name (the default backend when name is empty)
+    get(name) {
+      const backend = byName.get(name || defaultName);
+      if (!backend) {
+        throw new Error(`Unknown backend '${name}'`);
+      }
+      return backend;
+    },
+  };
+}
+
+// Create the backend registry from environment variables. Matt-GPT is always available;
+// the OpenAI-compatible backend is added when OPENAI_COMPAT_BASE_URL is set.
+function createBackendRegistryFromEnv(env = process.env) {
+  const backends = [
+    createMattGPTBackend({
+      apiUrl: env.MATT_GPT_API_URL || "http://localhost:8000",
+      bearerToken: env.MATT_GPT_BEARER_TOKEN,
+      openrouterApiKey: env.OPENROUTER_API_KEY,
+      healthPath: env.MATT_GPT_HEALTH_PATH || "/health",
+      feedbackPath: env.MATT_GPT_FEEDBACK_PATH || "/feedback",
+      streaming: env.MATT_GPT_STREAMING === 'true',
+      supportsImages: env.MATT_GPT_SUPPORTS_IMAGES === 'true',
+    }),
+  ];
+
+  if (env.OPENAI_COMPAT_BASE_URL) {
+    backends.push(createOpenAICompatibleBackend({
+      baseUrl: env.OPENAI_COMPAT_BASE_URL,
+      apiKey: env.OPENAI_COMPAT_API_KEY,
+      model: env.OPENAI_COMPAT_MODEL,
+      systemPrompt: env.OPENAI_COMPAT_SYSTEM_PROMPT,
+      streaming: env.OPENAI_COMPAT_STREAMING === 'true',
+      supportsImages: env.OPENAI_COMPAT_SUPPORTS_IMAGES === 'true',
+      historyCharBudget: parseInt(env.OPENAI_COMPAT_HISTORY_CHAR_BUDGET, 10) || 12000,
+    }));
+  }
+
+  return createBackendRegistry(backends, env.DEFAULT_BACKEND || 'matt-gpt');
+}
+
+module.exports = {
+  createBackendRegistry,
+  createBackendRegistryFromEnv,
+};
@@ -0,0 +1,165 @@
+const axios = require('axios');
+const { isEventStream, readStreamToString, consumeMattGPTStream } = require('../streaming');
+const { TRACE_HEADER } = require('../logger');
+
+// Helper function to log a response without the answer text
+function summarizeResponse(data = {}) {
+  return {
+    query_id: data.query_id,
+    conversation_id: data.conversation_id,
+    tokens_used: data.tokens_used,
+    latency_ms: data.latency_ms,
+    context_items_used: data.context_items_used,
+    response_chars: data.response?.length || 0
+  };
+}
+
+// Matt-GPT backend: POSTs to ${apiUrl}/chat and keeps conversation state server-side
+// (conversation_id), so the bot never has to resend the thread history
+function createMattGPTBackend({
+  apiUrl,
+  bearerToken,
+  openrouterApiKey,
+  healthPath = '/health',
+  feedbackPath = '/feedback',
+  streaming = false,
+  supportsImages = false,
+}) {
+  return {
+    name: 'matt-gpt',
+    label: 'Matt-GPT',
+    stateless: false,
+    supportsImages,
+    apiUrl,
+
+    // Returns a user-facing error message when the backend can't be used, or null
+    checkConfiguration() {
+      if (!bearerToken) {
+        return "❌ Matt-GPT API is not configured. Please set MATT_GPT_BEARER_TOKEN environment variable.";
+      }
+      if (!openrouterApiKey) {
+        return "❌ OpenRouter API key is not configured. Please set OPENROUTER_API_KEY environment variable.";
+      }
+      return null;
+    },
+
+    // Probe the health endpoint: { reachable, healthy, status, latencyMs } (any HTTP status
+    // counts as reachable, only 2xx as healthy)
+    async checkHealth() {
+      const startedAt = Date.now();
+      try {
+        const response = await axios.get(`${apiUrl}${healthPath}`, {
+          headers: { Authorization: `Bearer ${bearerToken}` },
+          timeout: 5000,
+          validateStatus: () => true,
+        });
+        return {
+          reachable: true,
+          healthy: response.status >= 200 && response.status < 300,
+          status: response.status,
+          latencyMs: Date.now() - startedAt
+        };
+      } catch (error) {
+        return { reachable: false, healthy: false, error: error.code || error.message, latencyMs: Date.now() - startedAt };
+      }
+    },
+
+    // POST a 👍 / 👎 for one of this backend's answers to the feedback endpoint
+    async sendFeedback(entry) {
+      await axios.post(`${apiUrl}${feedbackPath}`, entry, {
+        headers: {
+          Authorization: `Bearer ${bearerToken}`,
+          "Content-Type": "application/json",
+        },
+        timeout: 10000,
+      });
+    },
+
+    // Single request to the API (the caller handles retries)
+    async chat({ message, context = {}, logger, onPartialResponse = null, traceId = null }) {
+      const requestPayload = {
+        message: message,
+        openrouter_api_key: openrouterApiKey
+      };
+
+      const useStreaming = streaming && typeof onPartialResponse === 'function';
+      if (useStreaming) {
+        requestPayload.stream = true;
+      }
+
+      // Add conversation_id for thread replies (continuing conversations)
+      if (context.conversation_id) {
+        requestPayload.conversation_id = context.conversation_id;
+      }
+
+      // Add Slack identity and prior thread messages when the context builder is enabled
+      if (context.slack_context) {
+        requestPayload.slack_context = context.slack_context;
+      }
+
+      // Add the user's answer preferences from the App Home tab (e.g. { verbosity: 'brief' })
+      if (context.preferences) {
+        requestPayload.preferences = context.preferences;
+      }
+
+      // Add downloaded file attachments (extracted text or base64 images)
+      if (context.attachments?.length) {
+        requestPayload.attachments = context.attachments;
+      }
+
+      const requestConfig = {
+        headers: {
+          Authorization: `Bearer ${bearerToken}`,
+          "Content-Type": "application/json",
+          ...(useStreaming && { Accept: "text/event-stream, application/json" }),
+          // Lets Matt-GPT's logs be correlated with ours
+          ...(traceId && { [TRACE_HEADER]: traceId }),
+        },
+        timeout: 180000, // 180 second (3 minute) timeout for Matt-GPT
+        ...(useStreaming && { responseType: "stream" }),
+      };
+
+      // Log the request shape (message text and keys are redacted by the logger's policy)
+      logger.info(`📤 Request to ${apiUrl}/chat`, {
+        payload: {
+          ...requestPayload,
+          // Attachment contents can be huge (base64 images) - log a summary instead
+          ...(requestPayload.attachments && {
+            attachments: requestPayload.attachments.map(({ name, type, size }) => ({ name, type, size }))
+          })
+        },
+        stream: useStreaming
+      });
+
+      const response = await axios.post(
+        `${apiUrl}/chat`,
+        requestPayload,
+        requestConfig
+      );
+
+      if (useStreaming) {
+        // Fall back to a one-shot JSON body when the backend doesn't stream
+        if (!isEventStream(response.headers)) {
+          logger.info(`📥 Matt-GPT API returned a non-streaming response - using one-shot mode`);
+          const body = await readStreamToString(response.data);
+          const data = JSON.parse(body);
+          logger.info(`📥 Matt-GPT API success`, { status: response.status, ...summarizeResponse(data) });
+          return data;
+        }
+
+        logger.info(`📡 Consuming Matt-GPT response stream...`);
+        const data = await consumeMattGPTStream(response.data, onPartialResponse);
+        logger.info(`📥 Matt-GPT API stream completed`, { status: response.status, ...summarizeResponse(data) });
+        return data;
+      }
+
+      logger.info(`📥 Matt-GPT API success`, { status: response.status, ...summarizeResponse(response.data) });
+
+      return response.data;
+    },
+  };
+}
+
+module.exports = {
+  createMattGPTBackend,
+};
@@ -0,0 +1,235 @@
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { isEventStream, readStreamToString, consumeEventStream } = require('../streaming');
+const { TRACE_HEADER } = require('../logger');
+const { isHumanMessage, fetchThreadMessages } = require('../thread-context');
+
+// System prompt additions for the user's preferred answer length (App Home settings)
+const VERBOSITY_INSTRUCTIONS = {
+  brief: 'Keep your answer brief: a few sentences at most.',
+  detailed: 'Give a thorough, detailed answer.',
+};
+
+// Helper function to strip leading @mentions from a Slack message (same rule as the bot's own handler)
+function cleanMentions(text) {
+  return (text || '').replace(/^<@[UW][A-Z0-9]+(?:\|[^>]+)?>\s*/g, '').trim();
+}
+
+// Helper function to check whether a bot message is one of our answers (it carries a conv_ block_id)
+function isAnswerMessage(msg) {
+  return Boolean(msg.bot_id && msg.blocks?.some((block) => block.block_id?.startsWith('conv_')));
+}
+
+// Rebuild the chat history for a stateless backend from the Slack thread: our answers become
+// assistant turns and human messages become user turns. Everything at or after the current
+// message and messages from excludedUsers (people who opted out) are left out, and the oldest
+// turns are dropped once the character budget runs out.
+async function buildThreadHistory({ client, channel, threadTs, currentTs, since, excludedUsers = new Set() }, charBudget) {
+  if (!client || !threadTs || !currentTs || threadTs === currentTs) {
+    return [];
+  }
+
+  const threadMessages = await fetchThreadMessages(client, { channel, threadTs, latest: currentTs });
+
+  const turns = [];
+  for (const msg of threadMessages) {
+    if (parseFloat(msg.ts) >= parseFloat(currentTs)) continue;
+    // Skip everything before a /mattgpt reset
+    if (since && parseFloat(msg.ts) <= since) continue;
+
+    if (isAnswerMessage(msg)) {
+      turns.push({ role: 'assistant', content: msg.text });
+    } else if (isHumanMessage(msg) && !excludedUsers.has(msg.user)) {
+      const content = cleanMentions(msg.text);
+      if (content) turns.push({ role: 'user', content });
+    }
+  }
+
+  // Keep the newest turns that fit in the budget
+  let remainingBudget = charBudget;
+  const selected = [];
+  for (const turn of turns.reverse()) {
+    remainingBudget -= turn.content.length;
+    if (remainingBudget < 0) break;
+    selected.push(turn);
+  }
+  return selected.reverse();
+}
+
+// Build the user turn: question text plus attachments (text inline, images as data URLs)
+function buildUserContent(message, attachments = []) {
+  const textAttachments = attachments.filter((attachment) => attachment.type === 'text');
+  const imageAttachments = attachments.filter((attachment) => attachment.type === 'image');
+
+  let text = message;
+  for (const attachment of textAttachments) {
+    text += `\n\n--- Attached file: ${attachment.name}${attachment.truncated ? ' (truncated)' : ''} ---\n${attachment.text}`;
+  }
+
+  if (imageAttachments.length === 0) {
+    return text;
+  }
+
+  return [
+    { type: 'text', text },
+    ...imageAttachments.map((attachment) => ({
+      type: 'image_url',
+      image_url: { url: `data:${attachment.mimetype};base64,${attachment.data}` }
+    })),
+  ];
+}
+
+// OpenAI-compatible backend: POSTs to ${baseUrl}/chat/completions (OpenAI, OpenRouter, vLLM,
+// Ollama, LM Studio, ...). The endpoint keeps no state, so the history is rebuilt from the thread.
+function createOpenAICompatibleBackend({
+  name = 'openai',
+  baseUrl,
+  apiKey,
+  model,
+  systemPrompt,
+  streaming = false,
+  supportsImages = false,
+  historyCharBudget = 12000,
+}) {
+  const apiUrl = baseUrl.replace(/\/+$/, '');
+
+  return {
+    name,
+    label: `OpenAI-compatible (${model})`,
+    stateless: true,
+    supportsImages,
+    apiUrl,
+
+    // Returns a user-facing error message when the backend can't be used, or null
+    checkConfiguration() {
+      if (!model) {
+        return "❌ The OpenAI-compatible backend is not configured. Please set OPENAI_COMPAT_MODEL environment variable.";
+      }
+      return null;
+    },
+
+    // Probe GET /models, which every OpenAI-compatible server implements:
+    // { reachable, healthy, status, latencyMs }
+    async checkHealth() {
+      const startedAt = Date.now();
+      try {
+        const response = await axios.get(`${apiUrl}/models`, {
+          headers: { ...(apiKey && { Authorization: `Bearer ${apiKey}` }) },
+          timeout: 5000,
+          validateStatus: () => true,
+        });
+        return {
+          reachable: true,
+          healthy: response.status >= 200 && response.status < 300,
+          status: response.status,
+          latencyMs: Date.now() - startedAt
+        };
+      } catch (error) {
+        return { reachable: false, healthy: false, error: error.code || error.message, latencyMs: Date.now() - startedAt };
+      }
+    },
+
+    // Single request to the API (the caller handles retries).
+    // Returns the same shape as Matt-GPT: { response, conversation_id, query_id, tokens_used, latency_ms }
+    async chat({ message, context = {}, logger, onPartialResponse = null, traceId = null }) {
+      const startedAt = Date.now();
+
+      let history = [];
+      if (context.slack) {
+        try {
+          history = await buildThreadHistory(context.slack, historyCharBudget);
+        } catch (error) {
+          logger.warn("⚠️ Could not rebuild thread history:", error.message);
+        }
+      }
+
+      // The user's preferred answer length goes into the system prompt
+      const verbosityInstruction = VERBOSITY_INSTRUCTIONS[context.preferences?.verbosity];
+      const systemContent = [systemPrompt, verbosityInstruction].filter(Boolean).join('\n\n');
+
+      const messages = [
+        ...(systemContent ? [{ role: 'system', content: systemContent }] : []),
+        ...history,
+        { role: 'user', content: buildUserContent(message, context.attachments) },
+      ];
+
+      const useStreaming = streaming && typeof onPartialResponse === 'function';
+      const requestPayload = {
+        model,
+        messages,
+        ...(useStreaming && { stream: true, stream_options: { include_usage: true } }),
+      };
+
+      const requestConfig = {
+        headers: {
+          ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+          "Content-Type": "application/json",
+          ...(traceId && { [TRACE_HEADER]: traceId }),
+        },
+        timeout: 180000,
+        ...(useStreaming && { responseType: "stream" }),
+      };
+
+      logger.info(`📤 Request to ${apiUrl}/chat/completions`, {
+        model,
+        messages: messages.length,
+        historyTurns: history.length,
+        stream: useStreaming
+      });
+
+      const response = await axios.post(`${apiUrl}/chat/completions`, requestPayload, requestConfig);
+
+      let data;
+      if (useStreaming && isEventStream(response.headers)) {
+        logger.info(`📡 Consuming chat completion stream...`);
+        let responseText = '';
+        data = { choices: [{ message: { content: '' } }] };
+
+        await consumeEventStream(response.data, (eventData) => {
+          if (eventData === '[DONE]') return;
+
+          const chunk = JSON.parse(eventData);
+          if (chunk.error) {
+            throw new Error(`OpenAI-compatible API stream error: ${chunk.error.message || chunk.error}`);
+          }
+          if (chunk.id) data.id = chunk.id;
+          if (chunk.usage) data.usage = chunk.usage;
+
+          const delta = chunk.choices?.[0]?.delta?.content;
+          if (delta) {
+            responseText += delta;
+            onPartialResponse(responseText);
+          }
+        });
+        data.choices[0].message.content = responseText;
+      } else if (useStreaming) {
+        // The server ignored stream: true and sent a one-shot JSON body
+        data = JSON.parse(await readStreamToString(response.data));
+      } else {
+        data = response.data;
+      }
+
+      const result = {
+        response: data.choices?.[0]?.message?.content || '',
+        // No server-side conversation - the ID only tags the thread's answers
+        conversation_id: context.conversation_id || uuidv4(),
+        query_id: data.id || null,
+        tokens_used: data.usage || null,
+        latency_ms: Date.now() - startedAt,
+      };
+
+      logger.info(`📥 OpenAI-compatible API success`, {
+        status: response.status,
+        ...result,
+        response: undefined,
+        response_chars: result.response.length
+      });
+      return result;
+    },
+  };
+}
+
+module.exports = {
+  buildThreadHistory,
+  createOpenAICompatibleBackend,
+};
@@ -0,0 +1,160 @@
+// Channel response modes:
+// - mention: respond to @mentions and to replies in threads the bot already joined
+// - all: also respond to every top-level message in the channel
+const CHANNEL_MODES = ['mention', 'all'];
+
+// Parse a channel list like "C123,C456:all,G789:mention:openai" into channel -> options.
+// After the channel ID come an optional mode and an optional backend name (see lib/backends).
+function parseChannelList(channelsSpec) {
+  const channels = new Map();
+  if (!channelsSpec) return channels;
+
+  for (const entry of channelsSpec.split(',')) {
+    const [channelId, ...options] = entry.trim().split(':').map((part) => part.trim());
+    if (!channelId) continue;
+
+    let mode = 'mention';
+    let backend = null;
+    for (const option of options.filter(Boolean)) {
+      if (CHANNEL_MODES.includes(option)) {
+        mode = option;
+      } else if (!backend) {
+        backend = option;
+      } else {
+        throw new Error(`Invalid option '${option}' for channel ${channelId} (expected a mode - ${CHANNEL_MODES.join(' or ')} - and a backend name)`);
+      }
+    }
+    channels.set(channelId, { mode, backend });
+  }
+
+  return channels;
+}
+
+// Map a conversations.info channel object to our channel type names
+function channelTypeFromInfo(channelInfo) {
+  if (channelInfo.is_im) return 'im';
+  if (channelInfo.is_mpim) return 'mpim';
+  if (channelInfo.is_private || channelInfo.is_group) return 'private';
+  return 'public';
+}
+
+// Map the channel_type field of message events to our channel type names
+const EVENT_CHANNEL_TYPES = {
+  im: 'im',
+  mpim: 'mpim',
+  group: 'private',
+  channel: 'public',
+};
+
+// Create the channel policy that decides where (and how eagerly) the bot responds
+function createChannelPolicy({ channels = new Map(), allowDMs = false, allowGroupDMs = false, logger = null } = {}) {
+  const channelTypeCache = new Map();
+
+  // Look up a channel's type, using the event's channel_type when available and
+  // otherwise conversations.info (cached in memory - channel types don't change)
+  async function getChannelType(client, channelId, eventChannelType) {
+    if (EVENT_CHANNEL_TYPES[eventChannelType]) {
+      return EVENT_CHANNEL_TYPES[eventChannelType];
+    }
+
+    if (channelTypeCache.has(channelId)) {
+      return channelTypeCache.get(channelId);
+    }
+
+    const result = await client.conversations.info({ channel: channelId });
+    const channelType = channelTypeFromInfo(result.channel);
+    channelTypeCache.set(channelId, channelType);
+    return channelType;
+  }
+
+  return {
+    allowDMs,
+    allowGroupDMs,
+
+    // IDs of the explicitly configured channels (empty means "any channel the bot is in")
+    get allowedChannels() {
+      return [...channels.keys()];
+    },
+
+    get hasChannelRestrictions() {
+      return channels.size > 0;
+    },
+
+    // Check whether a (non-DM) channel is allowed, without any Slack API calls
+    isChannelAllowed(channelId) {
+      return channels.size === 0 || channels.has(channelId);
+    },
+
+    // Backend configured for a channel, or null for the default backend
+    getBackendName(channelId) {
+      return channels.get(channelId)?.backend || null;
+    },
+
+    // Backend names referenced by the channel list (validated at startup)
+    get backendNames() {
+      return [...new Set([...channels.values()].map(({ backend }) => backend).filter(Boolean))];
+    },
+
+    // Resolve the policy for a channel: { allowed, mode, channelType, backend }
+    async resolve(client, channelId, eventChannelType) {
+      const backend = channels.get(channelId)?.backend || null;
+      let channelType;
+      try {
+        channelType = await getChannelType(client, channelId, eventChannelType);
+      } catch (error) {
+        // Without the channel type, go by the configuration: listed channels are allowed, and
+        // without a channel list every channel is (a transient Slack error shouldn't mute the bot)
+        logger?.warn(`Could not look up channel type for ${channelId}:`, error.message);
+        const options = channels.get(channelId);
+        return { allowed: Boolean(options) || channels.size === 0, mode: options?.mode || 'mention', channelType: 'unknown', backend, error };
+      }
+
+      // Direct messages: every message is addressed to the bot, so respond to all of them
+      if (channelType === 'im') {
+        return { allowed: allowDMs, mode: 'all', channelType, backend };
+      }
+
+      // Explicit channel configuration always wins (including group DMs listed by ID)
+      if (channels.has(channelId)) {
+        return { allowed: true, mode: channels.get(channelId).mode, channelType, backend };
+      }
+
+      if (channelType === 'mpim') {
+        return { allowed: allowGroupDMs, mode: 'mention', channelType, backend };
+      }
+
+      return { allowed: channels.size === 0, mode: 'mention', channelType, backend };
+    },
+
+    // Human-readable description for startup logs and /mattgpt status
+    describe() {
+      const channelList = channels.size > 0
+        ? [...channels.entries()].map(([channelId, { mode, backend }]) => `<#${channelId}> (${mode}${backend ? `, ${backend}` : ''})`).join(', ')
+        : 'All channels (mention)';
+      return `${channelList}; DMs ${allowDMs ? 'enabled' : 'disabled'}; group DMs ${allowGroupDMs ? 'enabled' : 'disabled'}`;
+    },
+  };
+}
+
+// Create the channel policy from environment variables.
+// SLACK_CHANNELS takes a list of channels; the legacy SLACK_CHANNEL_ID is still honored.
+function createChannelPolicyFromEnv(env = process.env, { logger = null } = {}) {
+  const channels = parseChannelList(env.SLACK_CHANNELS);
+  if (env.SLACK_CHANNEL_ID && !channels.has(env.SLACK_CHANNEL_ID)) {
+    channels.set(env.SLACK_CHANNEL_ID, { mode: 'mention', backend: null });
+  }
+
+  return createChannelPolicy({
+    channels,
+    allowDMs: env.ALLOW_DMS === 'true',
+    allowGroupDMs: env.ALLOW_GROUP_DMS === 'true',
+    logger,
+  });
+}
+
+module.exports = {
+  CHANNEL_MODES,
+  parseChannelList,
+  createChannelPolicy,
+  createChannelPolicyFromEnv,
+};
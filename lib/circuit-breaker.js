@@ -0,0 +1,216 @@
+// Helper function to read a non-negative integer setting from the environment
+function readSetting(name, defaultValue) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? defaultValue : value;
+}
+
+// HTTP statuses worth retrying: timeouts, rate limits and server-side failures
+const RETRYABLE_STATUSES = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+// Parse a Retry-After header (seconds or an HTTP date) into milliseconds, or null
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Classify an API error: { retryable, status, retryAfterMs }.
+// Network errors, timeouts, 429 and 5xx are retryable; other 4xx (401, 403, 404, 422, ...)
+// will fail the same way every time, so they're fatal.
+function classifyError(error) {
+  const status = error.response?.status;
+
+  if (status) {
+    return {
+      retryable: RETRYABLE_STATUSES.has(status) || status > 504,
+      status,
+      retryAfterMs: parseRetryAfter(error.response.headers?.['retry-after']),
+    };
+  }
+
+  // No response at all: connection refused/reset, DNS failure or timeout
+  if (error.request || error.code) {
+    return { retryable: true, status: null, retryAfterMs: null };
+  }
+
+  // Programming errors, bad JSON, stream errors reported by the backend
+  return { retryable: false, status: null, retryAfterMs: null };
+}
+
+// Error thrown without calling the API while the circuit is open
+function createCircuitOpenError(name, retryAfterMs) {
+  const error = new Error(`${name} circuit is open - failing fast`);
+  error.code = 'CIRCUIT_OPEN';
+  error.retryAfterMs = retryAfterMs;
+  return error;
+}
+
+// Circuit breaker around a backend:
+// - closed: requests go through; consecutive retryable failures are counted
+// - open: after failureThreshold failures requests fail fast for resetTimeoutMs, while
+//   healthCheck() is probed every healthCheckIntervalMs
+// - half_open: after the timeout (or a healthy probe) one trial request decides
+//   whether the circuit closes again or reopens
+function createCircuitBreaker({
+  name,
+  failureThreshold = 5,
+  resetTimeoutMs = 30000,
+  healthCheck = null,
+  healthCheckIntervalMs = 15000,
+  logger = console,
+} = {}) {
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+  let lastFailure = null;
+  let lastHealthCheck = null;
+  let healthTimer = null;
+
+  const stopHealthChecks = () => {
+    if (healthTimer) {
+      clearInterval(healthTimer);
+      healthTimer = null;
+    }
+  };
+
+  const transition = (nextState) => {
+    if (state === nextState) return;
+    logger.info(`🔌 ${name} circuit ${state} -> ${nextState}`);
+    state = nextState;
+    if (nextState === 'open') {
+      openedAt = Date.now();
+      startHealthChecks();
+    } else {
+      stopHealthChecks();
+    }
+    if (nextState === 'closed') {
+      openedAt = null;
+      consecutiveFailures = 0;
+    }
+  };
+
+  const probe = async () => {
+    const result = await healthCheck();
+    lastHealthCheck = { ...result, checkedAt: new Date().toISOString() };
+    if (result.healthy && state === 'open') {
+      logger.info(`🩺 ${name} health check passed - allowing a trial request`);
+      transition('half_open');
+    }
+    return result;
+  };
+
+  function startHealthChecks() {
+    if (!healthCheck || healthTimer || healthCheckIntervalMs <= 0) return;
+    healthTimer = setInterval(() => {
+      probe().catch((error) => {
+        lastHealthCheck = { healthy: false, error: error.message, checkedAt: new Date().toISOString() };
+      });
+    }, healthCheckIntervalMs);
+    // Don't keep the process alive just for the probe
+    healthTimer.unref?.();
+  }
+
+  // Milliseconds until the open circuit allows a trial request
+  const remainingOpenMs = (now = Date.now()) => Math.max(0, openedAt + resetTimeoutMs - now);
+
+  return {
+    name,
+
+    get state() {
+      return state;
+    },
+
+    // Check before calling the API. Returns { allowed: true } or { allowed: false, retryAfterMs }.
+    // In half_open only one trial request is let through at a time; the others get
+    // retryAfterMs: null, since when the circuit recovers depends on how the trial goes.
+    check(now = Date.now()) {
+      if (state === 'open') {
+        const retryAfterMs = remainingOpenMs(now);
+        if (retryAfterMs > 0) {
+          return { allowed: false, retryAfterMs };
+        }
+        transition('half_open');
+      }
+
+      if (state === 'half_open') {
+        if (trialInFlight) {
+          return { allowed: false, retryAfterMs: null };
+        }
+        trialInFlight = true;
+      }
+      return { allowed: true };
+    },
+
+    recordSuccess() {
+      trialInFlight = false;
+      consecutiveFailures = 0;
+      lastFailure = null;
+      transition('closed');
+    },
+
+    // Only failures that say something about availability should be recorded
+    recordFailure(error) {
+      trialInFlight = false;
+      consecutiveFailures++;
+      lastFailure = { message: error?.message, at: new Date().toISOString() };
+
+      if (state === 'half_open') {
+        // Failed trial: back to open for another full timeout
+        transition('open');
+      } else if (state === 'closed' && consecutiveFailures >= failureThreshold) {
+        logger.warn(`🔌 ${name} failed ${consecutiveFailures} times in a row - opening the circuit for ${resetTimeoutMs}ms`);
+        transition('open');
+      }
+    },
+
+    // Release a half-open trial slot that ended without telling us anything (e.g. a 4xx)
+    recordNeutral() {
+      trialInFlight = false;
+    },
+
+    // Run the health check now (used by /mattgpt status)
+    probe,
+
+    stop: stopHealthChecks,
+
+    // Snapshot for /healthz and /mattgpt status
+    getStatus(now = Date.now()) {
+      return {
+        state,
+        consecutive_failures: consecutiveFailures,
+        failure_threshold: failureThreshold,
+        opened_at: openedAt ? new Date(openedAt).toISOString() : null,
+        retry_after_ms: state === 'open' ? remainingOpenMs(now) : 0,
+        last_failure: lastFailure,
+        last_health_check: lastHealthCheck,
+      };
+    },
+  };
+}
+
+// Create a circuit breaker for a backend adapter from environment variables
+function createCircuitBreakerFromEnv(backend, logger = console) {
+  return createCircuitBreaker({
+    name: backend.label,
+    failureThreshold: readSetting('CIRCUIT_BREAKER_FAILURE_THRESHOLD', 5) || 5,
+    resetTimeoutMs: readSetting('CIRCUIT_BREAKER_RESET_MS', 30000),
+    healthCheck: backend.checkHealth ? () => backend.checkHealth() : null,
+    healthCheckIntervalMs: readSetting('HEALTH_CHECK_INTERVAL_MS', 15000),
+    logger,
+  });
+}
+
+module.exports = {
+  parseRetryAfter,
+  classifyError,
+  createCircuitOpenError,
+  createCircuitBreaker,
+  createCircuitBreakerFromEnv,
+};
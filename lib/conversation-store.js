@@ -0,0 +1,147 @@
+const path = require('path');
+const { DATA_DIR, readJsonFile, createSerializedWriter } = require('./json-file');
+
+// Helper function to build the store key for a Slack thread
+function threadKey(channel, threadTs) {
+  return `${channel}:${threadTs}`;
+}
+
+// Merge a conversation update into an existing thread record (or start a new one).
+// Passing conversationId: null explicitly clears it (used when a thread is reset).
+// `answers` maps question ts -> { answerTs, followUpTs, answeredAt } and is merged key by
+// key; setting a question's entry to null removes it.
+// `firstQuestion` is only kept from the first update that sets it (shown on the App Home tab).
+function mergeRecord(existing, channel, threadTs, { userId, answers, firstQuestion, ...fields }) {
+  const now = new Date().toISOString();
+  const participants = new Set(existing?.participants || []);
+  if (userId) participants.add(userId);
+
+  const mergedAnswers = { ...existing?.answers, ...answers };
+  for (const [questionTs, answer] of Object.entries(mergedAnswers)) {
+    if (answer === null) delete mergedAnswers[questionTs];
+  }
+
+  return {
+    conversationId: null,
+    ...existing,
+    ...fields,
+    channel,
+    threadTs,
+    participants: [...participants],
+    answers: mergedAnswers,
+    firstQuestion: existing?.firstQuestion || firstQuestion || null,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  };
+}
+
+// Helper function to pick a user's most recently active threads from the store's records
+function listRecordsForUser(records, userId, limit) {
+  return [...records.values()]
+    .filter((record) => record.participants?.includes(userId))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .slice(0, limit);
+}
+
+// In-memory conversation store - fast, but forgets every thread on restart
+function createMemoryConversationStore() {
+  const records = new Map();
+
+  return {
+    type: 'memory',
+
+    async get(channel, threadTs) {
+      return records.get(threadKey(channel, threadTs)) || null;
+    },
+
+    async save(channel, threadTs, update) {
+      const key = threadKey(channel, threadTs);
+      const record = mergeRecord(records.get(key), channel, threadTs, update);
+      records.set(key, record);
+      return record;
+    },
+
+    async delete(channel, threadTs) {
+      return records.delete(threadKey(channel, threadTs));
+    },
+
+    async listByUser(userId, limit = 10) {
+      return listRecordsForUser(records, userId, limit);
+    },
+  };
+}
+
+// File-backed conversation store - persists the thread map as JSON so it survives restarts
+function createFileConversationStore(filePath) {
+  const records = new Map();
+  const write = createSerializedWriter(filePath);
+  let loaded = null;
+
+  // Load the file once, on first access (a failed load is tried again on the next access)
+  const ensureLoaded = () => {
+    if (!loaded) {
+      loaded = readJsonFile(filePath, {}).then((data) => {
+        for (const [key, record] of Object.entries(data)) {
+          records.set(key, record);
+        }
+      }).catch((error) => {
+        loaded = null;
+        throw error;
+      });
+    }
+    return loaded;
+  };
+
+  const persist = () => write(Object.fromEntries(records));
+
+  return {
+    type: 'file',
+    filePath,
+
+    async get(channel, threadTs) {
+      await ensureLoaded();
+      return records.get(threadKey(channel, threadTs)) || null;
+    },
+
+    async save(channel, threadTs, update) {
+      await ensureLoaded();
+      const key = threadKey(channel, threadTs);
+      const record = mergeRecord(records.get(key), channel, threadTs, update);
+      records.set(key, record);
+      await persist();
+      return record;
+    },
+
+    async delete(channel, threadTs) {
+      await ensureLoaded();
+      const deleted = records.delete(threadKey(channel, threadTs));
+      if (deleted) await persist();
+      return deleted;
+    },
+
+    async listByUser(userId, limit = 10) {
+      await ensureLoaded();
+      return listRecordsForUser(records, userId, limit);
+    },
+  };
+}
+
+// Create the conversation store selected by configuration
+function createConversationStore(type = process.env.CONVERSATION_STORE || 'file') {
+  switch (type) {
+    case 'memory':
+      return createMemoryConversationStore();
+    case 'file':
+      return createFileConversationStore(
+        process.env.CONVERSATION_STORE_PATH || path.join(DATA_DIR, 'conversations.json')
+      );
+    default:
+      throw new Error(`Unknown CONVERSATION_STORE type: ${type} (expected 'memory' or 'file')`);
+  }
+}
+
+module.exports = {
+  createMemoryConversationStore,
+  createFileConversationStore,
+  createConversationStore,
+};
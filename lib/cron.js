@@ -0,0 +1,178 @@
+// Cron expressions for scheduled prompts: the usual five fields (minute hour day-of-month
+// month day-of-week) with *, lists, ranges, steps and JAN-DEC / SUN-SAT names, or one of the
+// @daily-style shortcuts. Next runs are worked out on the wall clock of an IANA timezone,
+// so "0 9 * * MON" in Europe/Berlin stays at 9am across daylight saving changes.
+
+const SHORTCUTS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  // 7 is Sunday too
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 },
+];
+
+// How far ahead nextCronRun looks (far enough for "29 Feb" schedules)
+const MAX_DAYS_AHEAD = 5 * 366;
+
+// Helper function to read one value of a field: a number or a name (MON, JAN)
+function parseValue(text, field) {
+  const index = field.names ? field.names.indexOf(text.toUpperCase()) : -1;
+  const value = index >= 0 ? index + field.nameOffset : /^\d+$/.test(text) ? Number(text) : NaN;
+  if (Number.isNaN(value) || value < field.min || value > field.max) {
+    throw new Error(`Invalid ${field.name} '${text}' in cron expression (${field.min}-${field.max})`);
+  }
+  return value;
+}
+
+// Parse one field ("*/15", "1-5", "MON,WED,FRI") into the set of values it matches
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = /^(\*|[^-/]+)(?:-([^/]+))?(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid ${field.name} '${part}' in cron expression`);
+    }
+    const [, start, end, stepText] = match;
+    const step = stepText ? Number(stepText) : 1;
+    if (step < 1) {
+      throw new Error(`Invalid step '${part}' in cron expression`);
+    }
+
+    const from = start === '*' ? field.min : parseValue(start, field);
+    // "5/15" means from 5 to the end of the range, like "5-59/15"
+    const to = end !== undefined ? parseValue(end, field) : start === '*' || stepText ? field.max : from;
+    if (to < from) {
+      throw new Error(`Invalid range '${part}' in cron expression`);
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+// Parse an expression into { expression, minutes, hours, days, months, weekdays, ... }.
+// Throws an Error saying what's wrong when it isn't a valid expression.
+function parseCron(expression) {
+  const normalized = (expression || '').trim().replace(/\s+/g, ' ');
+  const fields = (SHORTCUTS[normalized.toLowerCase()] || normalized).split(' ');
+  if (fields.length !== 5) {
+    throw new Error(`A cron expression has five fields (minute hour day-of-month month day-of-week), e.g. "0 9 * * MON"`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((text, index) => parseField(text, FIELDS[index]));
+  if (weekdays.delete(7)) weekdays.add(0);
+
+  return {
+    expression: normalized,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Like classic cron, a restricted day of month OR day of week matches when both are set
+    daysRestricted: fields[2] !== '*',
+    weekdaysRestricted: fields[4] !== '*',
+  };
+}
+
+// Check a timezone name (e.g. Europe/Berlin) is known to this Node.js build
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// One formatter per timezone - creating them is slow
+const formatters = new Map();
+
+// Helper function to read the wall clock time of an instant in a timezone
+function wallClock(ms, timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+    }));
+  }
+  const parts = Object.fromEntries(formatters.get(timezone).formatToParts(new Date(ms))
+    .filter((part) => part.type !== 'literal')
+    .map((part) => [part.type, Number(part.value)]));
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute };
+}
+
+// Helper function to turn a wall clock time in a timezone into an instant. Resolves to null
+// for times skipped when the clocks go forward.
+function wallClockToInstant({ year, month, day, hour, minute }, timezone) {
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  const offsetAt = (ms) => {
+    const wall = wallClock(ms, timezone);
+    return Date.UTC(wall.year, wall.month - 1, wall.day, wall.hour, wall.minute) - Math.floor(ms / 60000) * 60000;
+  };
+
+  let instant = asUtc - offsetAt(asUtc);
+  const offset = offsetAt(instant);
+  if (asUtc - offset !== instant) instant = asUtc - offset;
+
+  const check = wallClock(instant, timezone);
+  return check.hour === hour && check.minute === minute && check.day === day ? instant : null;
+}
+
+// The first time after `after` (a Date) matching the cron in the timezone, as a Date
+// (null when nothing matches within a few years, e.g. "0 0 31 2 *")
+function nextCronRun(cron, { after = new Date(), timezone = 'UTC' } = {}) {
+  const afterMs = after.getTime();
+  const start = wallClock(afterMs, timezone);
+
+  for (let dayIndex = 0; dayIndex <= MAX_DAYS_AHEAD; dayIndex++) {
+    // Walk the calendar in UTC, which has no daylight saving gaps
+    const date = new Date(Date.UTC(start.year, start.month - 1, start.day + dayIndex));
+    const month = date.getUTCMonth() + 1;
+    const day = date.getUTCDate();
+    const weekday = date.getUTCDay();
+
+    if (!cron.months.has(month)) continue;
+    const dayMatches = cron.daysRestricted && cron.weekdaysRestricted
+      ? cron.days.has(day) || cron.weekdays.has(weekday)
+      : cron.days.has(day) && cron.weekdays.has(weekday);
+    if (!dayMatches) continue;
+
+    for (const hour of [...cron.hours].sort((a, b) => a - b)) {
+      if (dayIndex === 0 && hour < start.hour) continue;
+      for (const minute of [...cron.minutes].sort((a, b) => a - b)) {
+        const instant = wallClockToInstant({ year: date.getUTCFullYear(), month, day, hour, minute }, timezone);
+        if (instant !== null && instant > afterMs) {
+          return new Date(instant);
+        }
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  isValidTimezone,
+  nextCronRun,
+};
@@ -0,0 +1,58 @@
+// Slack redelivers events it doesn't see acknowledged in time (retries carry the same
+// event_id and an X-Slack-Retry-Num header), and Socket Mode can replay events after a
+// reconnect. The deduplicator remembers recently seen keys so each event is handled once.
+
+// Helper function to list the dedup keys of an incoming request: the event_id, plus the event's
+// type, channel and timestamp (the same message event delivered under another event_id).
+// Requests that aren't Events API callbacks (commands, actions) have no keys.
+function eventDedupKeys(body) {
+  if (!body?.event_id) return [];
+
+  const keys = [`event:${body.event_id}`];
+  const { event } = body;
+  const eventTs = event?.event_ts || event?.ts;
+  if (eventTs) {
+    keys.push(`ts:${event.type}:${event.channel || event.item?.channel || ''}:${eventTs}`);
+  }
+  return keys;
+}
+
+// Create an in-memory deduplicator. Keys are forgotten after ttlMs (Slack gives up retrying
+// after about 5 minutes); the oldest keys are dropped beyond maxEntries.
+function createEventDeduplicator({ ttlMs = 10 * 60 * 1000, maxEntries = 10000 } = {}) {
+  const seen = new Map();
+
+  const prune = (now) => {
+    for (const [key, expiresAt] of seen) {
+      if (expiresAt > now && seen.size <= maxEntries) break;
+      seen.delete(key);
+    }
+  };
+
+  return {
+    ttlMs,
+
+    get size() {
+      return seen.size;
+    },
+
+    // Remember the keys; returns true when any of them was seen before (a duplicate)
+    checkAndRemember(keys) {
+      const now = Date.now();
+      prune(now);
+
+      const duplicate = keys.some((key) => (seen.get(key) || 0) > now);
+      for (const key of keys) {
+        // Re-insert so the Map stays ordered by expiry
+        seen.delete(key);
+        seen.set(key, now + ttlMs);
+      }
+      return duplicate;
+    },
+  };
+}
+
+module.exports = {
+  eventDedupKeys,
+  createEventDeduplicator,
+};
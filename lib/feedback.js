@@ -0,0 +1,150 @@
+const path = require('path');
+const { DATA_DIR, appendJsonLine } = require('./json-file');
+
+const FEEDBACK_LOG_PATH = process.env.FEEDBACK_LOG_PATH || path.join(DATA_DIR, 'feedback.jsonl');
+
+// Action and callback IDs used by the feedback buttons and modal
+const FEEDBACK_ACTIONS = {
+  THUMBS_UP: 'feedback_thumbs_up',
+  THUMBS_DOWN: 'feedback_thumbs_down',
+  REGENERATE: 'feedback_regenerate',
+};
+const FEEDBACK_MODAL_CALLBACK_ID = 'feedback_modal';
+
+// Reasons offered in the thumbs-down modal
+const NEGATIVE_FEEDBACK_REASONS = [
+  { value: 'incorrect', label: 'Incorrect or made up' },
+  { value: 'not_helpful', label: 'Not helpful' },
+  { value: 'missing_context', label: "Didn't use Matt's context" },
+  { value: 'too_long', label: 'Too long or too short' },
+  { value: 'other', label: 'Something else' },
+];
+
+// Build the actions block with 👍 / 👎 / Regenerate buttons for an answer.
+// The button value carries what the handlers need: query_id, the backend that answered,
+// conversation and question location.
+function createFeedbackActionsBlock({ queryId, backend, conversationId, questionTs, threadTs }) {
+  const value = JSON.stringify({
+    query_id: queryId || null,
+    backend: backend || null,
+    conversation_id: conversationId || null,
+    question_ts: questionTs || null,
+    thread_ts: threadTs || null,
+  });
+
+  const elements = [];
+  if (queryId) {
+    elements.push(
+      { type: "button", action_id: FEEDBACK_ACTIONS.THUMBS_UP, text: { type: "plain_text", text: "👍", emoji: true }, value },
+      { type: "button", action_id: FEEDBACK_ACTIONS.THUMBS_DOWN, text: { type: "plain_text", text: "👎", emoji: true }, value }
+    );
+  }
+  // Regenerating needs the original question, which ephemeral answers don't have
+  if (questionTs && threadTs) {
+    elements.push(
+      { type: "button", action_id: FEEDBACK_ACTIONS.REGENERATE, text: { type: "plain_text", text: "🔄 Regenerate", emoji: true }, value }
+    );
+  }
+
+  if (elements.length === 0) return null;
+
+  return {
+    type: "actions",
+    block_id: "feedback_actions", // Must never start with conv_ (see extractConversationId)
+    elements,
+  };
+}
+
+// Helper function to parse the JSON value stored on a feedback button
+function parseFeedbackValue(value) {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return {};
+  }
+}
+
+// Build the "what was wrong?" modal opened by a thumbs-down
+function createNegativeFeedbackModal(privateMetadata) {
+  return {
+    type: "modal",
+    callback_id: FEEDBACK_MODAL_CALLBACK_ID,
+    notify_on_close: true, // Still record the 👎 if the modal is dismissed
+    private_metadata: JSON.stringify(privateMetadata),
+    title: { type: "plain_text", text: "Answer feedback" },
+    submit: { type: "plain_text", text: "Send" },
+    close: { type: "plain_text", text: "Skip" },
+    blocks: [
+      {
+        type: "input",
+        block_id: "reason",
+        optional: true,
+        label: { type: "plain_text", text: "What was wrong with this answer?" },
+        element: {
+          type: "static_select",
+          action_id: "value",
+          placeholder: { type: "plain_text", text: "Pick a reason" },
+          options: NEGATIVE_FEEDBACK_REASONS.map(({ value, label }) => ({
+            text: { type: "plain_text", text: label },
+            value,
+          })),
+        },
+      },
+      {
+        type: "input",
+        block_id: "comment",
+        optional: true,
+        label: { type: "plain_text", text: "Anything else?" },
+        element: {
+          type: "plain_text_input",
+          action_id: "value",
+          multiline: true,
+          max_length: 2000,
+        },
+      },
+    ],
+  };
+}
+
+// Pull reason/comment out of a submitted feedback modal
+function readNegativeFeedbackModal(view) {
+  const values = view.state?.values || {};
+  return {
+    reason: values.reason?.value?.selected_option?.value || null,
+    comment: values.comment?.value?.value || null,
+  };
+}
+
+// Record feedback against a query_id. It goes to the backend that produced the answer when
+// that backend takes feedback (backend.sendFeedback), and to a local JSON Lines log otherwise
+// or when the backend's endpoint isn't available.
+async function recordFeedback(feedback, backend, logger) {
+  const entry = {
+    ...feedback,
+    recorded_at: new Date().toISOString(),
+  };
+
+  if (backend?.sendFeedback) {
+    try {
+      await backend.sendFeedback(entry);
+      logger.info(`📝 Feedback sent to ${backend.label} for query ${entry.query_id}: ${entry.rating}`);
+      return { destination: 'api' };
+    } catch (error) {
+      logger.warn(`⚠️ Could not send feedback to ${backend.label} (${error.response?.status || error.code || error.message}) - logging locally`);
+    }
+  }
+
+  await appendJsonLine(FEEDBACK_LOG_PATH, entry);
+  logger.info(`📝 Feedback logged locally to ${FEEDBACK_LOG_PATH} for query ${entry.query_id}: ${entry.rating}`);
+  return { destination: 'local' };
+}
+
+module.exports = {
+  FEEDBACK_ACTIONS,
+  FEEDBACK_MODAL_CALLBACK_ID,
+  createFeedbackActionsBlock,
+  parseFeedbackValue,
+  createNegativeFeedbackModal,
+  readNegativeFeedbackModal,
+  recordFeedback,
+};
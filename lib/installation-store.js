@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, readJsonFile, createSerializedWriter } = require('./json-file');
+
+// Installation stores for Bolt's OAuth flow. Each store implements Bolt's InstallationStore
+// interface (storeInstallation, fetchInstallation, deleteInstallation) plus
+// listInstallations() for status output. Org-wide (Enterprise Grid) installs are keyed by
+// enterprise ID, everything else by team ID.
+
+// Helper function to build the store key for an installation or an installation query
+function installationKey({ isEnterpriseInstall, enterpriseId, teamId }) {
+  if (isEnterpriseInstall && enterpriseId) {
+    return `enterprise:${enterpriseId}`;
+  }
+  if (!teamId) {
+    throw new Error('Installation has no team ID');
+  }
+  return `team:${teamId}`;
+}
+
+// Helper function to read the key fields from a Bolt Installation object
+function keyForInstallation(installation) {
+  return installationKey({
+    isEnterpriseInstall: installation.isEnterpriseInstall,
+    enterpriseId: installation.enterprise?.id,
+    teamId: installation.team?.id,
+  });
+}
+
+// Helper function to summarize an installation without its tokens
+function summarizeInstallation(installation, installedAt) {
+  return {
+    teamId: installation.team?.id || null,
+    teamName: installation.team?.name || null,
+    enterpriseId: installation.enterprise?.id || null,
+    isEnterpriseInstall: Boolean(installation.isEnterpriseInstall),
+    installedAt,
+  };
+}
+
+// File-backed installation store - one JSON file with every workspace's installation
+function createFileInstallationStore(filePath = path.join(DATA_DIR, 'installations.json')) {
+  const records = new Map();
+  const write = createSerializedWriter(filePath);
+  let loaded = null;
+
+  // Load the file once, on first access (a failed load is tried again on the next access)
+  const ensureLoaded = () => {
+    if (!loaded) {
+      loaded = readJsonFile(filePath, {}).then((data) => {
+        for (const [key, record] of Object.entries(data)) {
+          records.set(key, record);
+        }
+      }).catch((error) => {
+        loaded = null;
+        throw error;
+      });
+    }
+    return loaded;
+  };
+
+  const persist = () => write(Object.fromEntries(records));
+
+  return {
+    type: 'file',
+    filePath,
+
+    async storeInstallation(installation) {
+      await ensureLoaded();
+      records.set(keyForInstallation(installation), { installation, installedAt: new Date().toISOString() });
+      await persist();
+    },
+
+    async fetchInstallation(query) {
+      await ensureLoaded();
+      const record = records.get(installationKey(query));
+      if (!record) {
+        throw new Error(`No installation found for ${installationKey(query)}`);
+      }
+      return record.installation;
+    },
+
+    async deleteInstallation(query) {
+      await ensureLoaded();
+      if (records.delete(installationKey(query))) {
+        await persist();
+      }
+    },
+
+    async listInstallations() {
+      await ensureLoaded();
+      return [...records.values()].map(({ installation, installedAt }) => summarizeInstallation(installation, installedAt));
+    },
+  };
+}
+
+// SQLite-backed installation store. Needs better-sqlite3, an optional dependency (npm skips
+// it where the native module can't be built); it is loaded only when this store is selected.
+function createSqliteInstallationStore(filePath = path.join(DATA_DIR, 'installations.db')) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error(`INSTALLATION_STORE=sqlite needs the better-sqlite3 package, which could not be loaded (${error.message}) - run 'npm install better-sqlite3'`);
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS installations (
+      key TEXT PRIMARY KEY,
+      installation TEXT NOT NULL,
+      installed_at TEXT NOT NULL
+    )
+  `);
+
+  const upsert = db.prepare(`
+    INSERT INTO installations (key, installation, installed_at) VALUES (?, ?, ?)
+    ON CONFLICT(key) DO UPDATE SET installation = excluded.installation, installed_at = excluded.installed_at
+  `);
+  const select = db.prepare('SELECT installation FROM installations WHERE key = ?');
+  const remove = db.prepare('DELETE FROM installations WHERE key = ?');
+  const selectAll = db.prepare('SELECT installation, installed_at FROM installations');
+
+  return {
+    type: 'sqlite',
+    filePath,
+
+    async storeInstallation(installation) {
+      upsert.run(keyForInstallation(installation), JSON.stringify(installation), new Date().toISOString());
+    },
+
+    async fetchInstallation(query) {
+      const row = select.get(installationKey(query));
+      if (!row) {
+        throw new Error(`No installation found for ${installationKey(query)}`);
+      }
+      return JSON.parse(row.installation);
+    },
+
+    async deleteInstallation(query) {
+      remove.run(installationKey(query));
+    },
+
+    async listInstallations() {
+      return selectAll.all().map((row) => summarizeInstallation(JSON.parse(row.installation), row.installed_at));
+    },
+  };
+}
+
+// Create the installation store selected by configuration
+function createInstallationStore(type = process.env.INSTALLATION_STORE || 'file') {
+  switch (type) {
+    case 'file':
+      return createFileInstallationStore(
+        process.env.INSTALLATION_STORE_PATH || path.join(DATA_DIR, 'installations.json')
+      );
+    case 'sqlite':
+      return createSqliteInstallationStore(
+        process.env.INSTALLATION_STORE_PATH || path.join(DATA_DIR, 'installations.db')
+      );
+    default:
+      throw new Error(`Unknown INSTALLATION_STORE type: ${type} (expected 'file' or 'sqlite')`);
+  }
+}
+
+module.exports = {
+  installationKey,
+  createFileInstallationStore,
+  createSqliteInstallationStore,
+  createInstallationStore,
+};
@@ -0,0 +1,148 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { DATA_DIR, readJsonFile, createSerializedWriter } = require('./json-file');
+
+// Durable local job queue. Jobs are written to a JSON file when they're enqueued and removed
+// once their worker finishes, so work interrupted by a restart is still on disk at the next
+// start. A job is { id, status, attempts, createdAt, startedAt, data }: status is 'queued'
+// until the worker starts it and 'running' afterwards, attempts counts the starts.
+//
+// The worker is called as worker(job, handles). handles are in-memory extras passed to
+// enqueue() (Slack clients, callbacks) that can't be persisted; jobs resumed after a restart
+// get null and must rebuild what they need from job.data.
+function createJobQueue({ filePath = path.join(DATA_DIR, 'jobs.json'), worker, logger = console }) {
+  const write = createSerializedWriter(filePath);
+  const jobs = new Map();
+  const running = new Map();
+  let leftovers = [];
+  let loaded = null;
+  let accepting = true;
+
+  // Load the file once; jobs found there were left behind by a previous process.
+  // A failed load is tried again on the next access.
+  const ensureLoaded = () => {
+    if (!loaded) {
+      loaded = readJsonFile(filePath, { jobs: [] }).then((data) => {
+        leftovers = data.jobs || [];
+        for (const job of leftovers) {
+          jobs.set(job.id, job);
+        }
+      }).catch((error) => {
+        loaded = null;
+        throw error;
+      });
+    }
+    return loaded;
+  };
+
+  const persist = () => write({ jobs: [...jobs.values()] });
+
+  // Start a job now; it's removed from the file when the worker settles, whatever the outcome
+  const start = (job, handles) => {
+    job.status = 'running';
+    job.attempts += 1;
+    job.startedAt = new Date().toISOString();
+
+    const done = persist()
+      .then(() => worker(job, handles))
+      .catch((error) => {
+        logger.error(`❌ Job ${job.id} failed:`, error.message);
+      })
+      .finally(() => {
+        running.delete(job.id);
+        jobs.delete(job.id);
+        return persist().catch((error) => {
+          logger.warn(`⚠️ Could not save the job queue:`, error.message);
+        });
+      });
+    running.set(job.id, done);
+    return done;
+  };
+
+  return {
+    filePath,
+
+    get size() {
+      return jobs.size;
+    },
+
+    get running() {
+      return running.size;
+    },
+
+    // Jobs left in the file by a previous process (not started by this one yet)
+    async load() {
+      await ensureLoaded();
+      return leftovers.filter((job) => jobs.has(job.id) && !running.has(job.id));
+    },
+
+    // Persist a job and start it. Resolves once it's on disk, with { job, finished } -
+    // finished settles when the worker is done. After close() jobs are only persisted.
+    async enqueue(data, handles = null) {
+      await ensureLoaded();
+      const job = {
+        id: uuidv4(),
+        status: 'queued',
+        attempts: 0,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        data,
+      };
+      jobs.set(job.id, job);
+      await persist();
+
+      if (!accepting) {
+        logger.info(`⏸️ Shutting down - job ${job.id} saved for the next start`);
+        return { job, finished: Promise.resolve() };
+      }
+      return { job, finished: start(job, handles) };
+    },
+
+    // Start a job loaded from the file again
+    resume(job) {
+      return start(job, null);
+    },
+
+    // Save changes to a job's data (e.g. the ts of the thinking message once it's posted)
+    async update(id, changes) {
+      const job = jobs.get(id);
+      if (!job) return;
+      Object.assign(job.data, changes);
+      await persist();
+    },
+
+    // Drop a job without running it
+    async remove(id) {
+      if (jobs.delete(id)) {
+        await persist();
+      }
+    },
+
+    // Stop starting jobs and wait up to timeoutMs for the running ones. Jobs still running
+    // at the timeout stay in the file. Resolves to the number of jobs left unfinished.
+    async close({ timeoutMs = 25000 } = {}) {
+      accepting = false;
+      let timer;
+      const timedOut = new Promise((resolve) => {
+        timer = setTimeout(resolve, timeoutMs);
+      });
+      await Promise.race([Promise.allSettled([...running.values()]), timedOut]);
+      clearTimeout(timer);
+      return running.size;
+    },
+  };
+}
+
+// Create the job queue from environment variables
+function createJobQueueFromEnv({ worker, logger }) {
+  return createJobQueue({
+    filePath: process.env.JOB_QUEUE_PATH || path.join(DATA_DIR, 'jobs.json'),
+    worker,
+    logger,
+  });
+}
+
+module.exports = {
+  createJobQueue,
+  createJobQueueFromEnv,
+};
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+
+// Directory for the bot's local persistent data (conversation map, ledgers, settings, ...)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+// Helper function to read and parse a JSON file, returning a default when it doesn't exist yet
+async function readJsonFile(filePath, defaultValue) {
+  try {
+    const contents = await fs.promises.readFile(filePath, 'utf8');
+    return JSON.parse(contents);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return defaultValue;
+    }
+    throw error;
+  }
+}
+
+// Write JSON atomically (temp file + rename) so a crash never leaves a half-written file
+async function writeJsonFile(filePath, data) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2));
+  await fs.promises.rename(tempPath, filePath);
+}
+
+// Create a writer that serializes saves to one file, so concurrent writes never interleave
+function createSerializedWriter(filePath) {
+  let pending = Promise.resolve();
+
+  return function write(data) {
+    pending = pending
+      .catch(() => {})
+      .then(() => writeJsonFile(filePath, data));
+    return pending;
+  };
+}
+
+// Append one JSON object as a line to a JSON Lines file (logs, ledgers)
+async function appendJsonLine(filePath, data) {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.appendFile(filePath, JSON.stringify(data) + '\n');
+}
+
+module.exports = {
+  DATA_DIR,
+  readJsonFile,
+  writeJsonFile,
+  createSerializedWriter,
+  appendJsonLine,
+};
@@ -0,0 +1,235 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { v4: uuidv4 } = require('uuid');
+
+// Log levels, lowest first (same names as Bolt's LogLevel, plus silent to turn logging off)
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Field names whose values are user content (questions, answers, file text)
+const CONTENT_KEYS = new Set([
+  'text', 'message', 'messages', 'question', 'response', 'content', 'prompt', 'query',
+  'originaltext', 'cleanedtext', 'thread_messages', 'blocks',
+]);
+
+// Field names whose values are credentials
+const SECRET_KEYS = new Set([
+  'authorization', 'token', 'bot_token', 'api_key', 'apikey', 'openrouter_api_key', 'bearer',
+  'secret', 'signing_secret', 'client_secret', 'password', 'cookie', 'set-cookie', 'x-api-key',
+]);
+
+// Credentials that can turn up inside any string (Slack tokens, API keys, bearer headers)
+const SECRET_PATTERNS = [
+  [/xox[abposre]-[A-Za-z0-9-]+/g, 'xox?-[redacted]'],
+  [/xapp-[A-Za-z0-9-]+/g, 'xapp-[redacted]'],
+  [/sk-[A-Za-z0-9_-]{8,}/g, 'sk-[redacted]'],
+  [/Bearer\s+[A-Za-z0-9._~+/=-]+/gi, 'Bearer [redacted]'],
+];
+
+// Header used to forward the trace ID to backend APIs
+const TRACE_HEADER = process.env.TRACE_HEADER_NAME || 'X-Trace-Id';
+
+// Objects nested deeper than this are summarized
+const MAX_DEPTH = 6;
+
+// Per-request context (trace ID, Slack event ID) that follows the request through async calls
+const traceStorage = new AsyncLocalStorage();
+
+// Run fn with a trace context; every log line written inside it carries these fields
+function runWithTrace(fields, fn) {
+  return traceStorage.run({ trace_id: uuidv4(), ...fields }, fn);
+}
+
+function getTraceContext() {
+  return traceStorage.getStore() || null;
+}
+
+function getTraceId() {
+  return traceStorage.getStore()?.trace_id || null;
+}
+
+// Parse LOG_REDACT ("content,secrets", "secrets" or "none") into a redaction policy
+function parseRedactionPolicy(spec = 'content,secrets') {
+  const parts = spec.split(',').map((part) => part.trim().toLowerCase());
+  return {
+    content: parts.includes('content'),
+    secrets: parts.includes('secrets'),
+  };
+}
+
+function scrubSecrets(text) {
+  return SECRET_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+// Copy a value for logging, applying the redaction policy by field name
+function redact(value, policy, key = null, depth = 0, seen = new WeakSet()) {
+  const normalizedKey = key && key.toLowerCase();
+
+  if (policy.secrets && normalizedKey && SECRET_KEYS.has(normalizedKey) && value) {
+    return '[redacted]';
+  }
+  if (policy.content && normalizedKey && CONTENT_KEYS.has(normalizedKey) && value) {
+    return typeof value === 'string' ? `[redacted ${value.length} chars]` : '[redacted]';
+  }
+
+  if (typeof value === 'string') {
+    return policy.secrets ? scrubSecrets(value) : value;
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (value instanceof Error) {
+    return serializeError(value, policy);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (seen.has(value)) {
+    return '[circular]';
+  }
+  if (depth >= MAX_DEPTH) {
+    return Array.isArray(value) ? `[array(${value.length})]` : '[object]';
+  }
+
+  // Streams, sockets, responses: only the type is useful in a log line
+  const prototype = Object.getPrototypeOf(value);
+  if (!Array.isArray(value) && prototype !== Object.prototype && prototype !== null) {
+    return `[${value.constructor?.name || 'object'}]`;
+  }
+
+  seen.add(value);
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, policy, null, depth + 1, seen));
+  }
+  const copy = {};
+  for (const [childKey, childValue] of Object.entries(value)) {
+    copy[childKey] = redact(childValue, policy, childKey, depth + 1, seen);
+  }
+  return copy;
+}
+
+function serializeError(error, policy) {
+  return {
+    name: error.name,
+    message: policy.secrets ? scrubSecrets(error.message || '') : error.message,
+    ...(error.code && { code: error.code }),
+    ...(error.status && { status: error.status }),
+    ...(error.stack && { stack: policy.secrets ? scrubSecrets(error.stack) : error.stack }),
+  };
+}
+
+// Turn Bolt-style logger arguments (strings, objects, errors) into a message and fields
+function buildEntry(args) {
+  const messageParts = [];
+  const fields = {};
+  const extra = [];
+
+  for (const arg of args) {
+    if (typeof arg === 'string' || typeof arg === 'number' || typeof arg === 'boolean' || arg === undefined) {
+      messageParts.push(String(arg));
+    } else if (arg instanceof Error) {
+      fields.error = arg;
+    } else if (arg && typeof arg === 'object' && !Array.isArray(arg)) {
+      Object.assign(fields, arg);
+    } else if (arg !== null) {
+      extra.push(arg);
+    }
+  }
+  if (extra.length > 0) {
+    fields.data = extra.length === 1 ? extra[0] : extra;
+  }
+
+  return { msg: messageParts.join(' ').replace(/:$/, ''), fields };
+}
+
+// Create a logger that writes one JSON object per line (or a readable line with format 'pretty').
+// It implements Bolt's Logger interface, so it can be passed to new App({ logger }).
+function createLogger({
+  level = 'info',
+  format = 'json',
+  redaction = parseRedactionPolicy(),
+  name = null,
+  bindings = {},
+  write = (line) => process.stdout.write(`${line}\n`),
+} = {}) {
+  let currentLevel = LEVELS[level] ? level : 'info';
+  let loggerName = name;
+
+  const log = (entryLevel, args) => {
+    if (LEVELS[entryLevel] < LEVELS[currentLevel]) return;
+
+    const { msg, fields } = buildEntry(args);
+    const entry = redact({
+      ...bindings,
+      ...getTraceContext(),
+      ...fields,
+    }, redaction);
+    const safeMsg = redaction.secrets ? scrubSecrets(msg) : msg;
+
+    if (format === 'pretty') {
+      const trace = entry.trace_id ? ` [${entry.trace_id.slice(0, 8)}]` : '';
+      const { trace_id: _traceId, ...rest } = entry;
+      const details = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+      write(`${entryLevel.toUpperCase().padEnd(5)}${trace} ${safeMsg}${details}`);
+      return;
+    }
+
+    write(JSON.stringify({
+      time: new Date().toISOString(),
+      level: entryLevel,
+      ...(loggerName && { logger: loggerName }),
+      msg: safeMsg,
+      ...entry,
+    }));
+  };
+
+  return {
+    debug: (...args) => log('debug', args),
+    info: (...args) => log('info', args),
+    warn: (...args) => log('warn', args),
+    error: (...args) => log('error', args),
+
+    setLevel(nextLevel) {
+      if (LEVELS[nextLevel]) currentLevel = nextLevel;
+    },
+
+    getLevel() {
+      return currentLevel;
+    },
+
+    setName(nextName) {
+      loggerName = nextName;
+    },
+
+    // Logger with extra fields on every line
+    child(childBindings) {
+      return createLogger({
+        level: currentLevel,
+        format,
+        redaction,
+        name: loggerName,
+        bindings: { ...bindings, ...childBindings },
+        write,
+      });
+    },
+  };
+}
+
+// Create the root logger from environment variables
+function createLoggerFromEnv(env = process.env) {
+  return createLogger({
+    level: (env.LOG_LEVEL || 'info').toLowerCase(),
+    format: env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json',
+    redaction: parseRedactionPolicy(env.LOG_REDACT || 'content,secrets'),
+  });
+}
+
+module.exports = {
+  LEVELS,
+  TRACE_HEADER,
+  runWithTrace,
+  getTraceContext,
+  getTraceId,
+  parseRedactionPolicy,
+  redact,
+  createLogger,
+  createLoggerFromEnv,
+};
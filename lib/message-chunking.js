@@ -0,0 +1,155 @@
+// Slack rejects section blocks whose text exceeds 3000 characters
+const SECTION_TEXT_LIMIT = 3000;
+
+// Slack truncates message text past 40,000 characters - stay comfortably below it
+const MESSAGE_TEXT_LIMIT = 39000;
+
+// Slack allows at most 50 blocks per message
+const MAX_BLOCKS_PER_MESSAGE = 50;
+
+const CODE_FENCE = '```';
+
+// Helper function to check whether a line opens or closes a code fence
+function isFenceLine(line) {
+  return line.trimStart().startsWith(CODE_FENCE);
+}
+
+// Split text into paragraphs on blank lines, keeping fenced code blocks intact
+function splitIntoSegments(text) {
+  const segments = [];
+  let currentLines = [];
+  let inFence = false;
+
+  const flush = () => {
+    if (currentLines.length > 0) {
+      segments.push(currentLines.join('\n'));
+      currentLines = [];
+    }
+  };
+
+  for (const line of text.split('\n')) {
+    if (isFenceLine(line)) {
+      // Start a new segment when a fence opens so the code block stands on its own
+      if (!inFence) flush();
+      currentLines.push(line);
+      inFence = !inFence;
+      if (!inFence) flush();
+    } else if (!inFence && line.trim() === '') {
+      flush();
+    } else {
+      currentLines.push(line);
+    }
+  }
+  flush();
+
+  return segments;
+}
+
+// Hard-split a single line, preferring the last whitespace before the limit
+function splitLongLine(line, maxLength) {
+  const pieces = [];
+  let remaining = line;
+
+  while (remaining.length > maxLength) {
+    let cut = remaining.lastIndexOf(' ', maxLength);
+    if (cut <= 0) cut = maxLength;
+    pieces.push(remaining.slice(0, cut));
+    remaining = remaining.slice(cut).replace(/^ /, '');
+  }
+  pieces.push(remaining);
+
+  return pieces;
+}
+
+// Greedily pack lines into pieces no longer than maxLength
+function packLines(lines, maxLength) {
+  const pieces = [];
+  let current = null;
+
+  for (const line of lines.flatMap((l) => splitLongLine(l, maxLength))) {
+    if (current === null) {
+      current = line;
+    } else if (current.length + 1 + line.length <= maxLength) {
+      current += '\n' + line;
+    } else {
+      pieces.push(current);
+      current = line;
+    }
+  }
+  if (current !== null) pieces.push(current);
+
+  return pieces;
+}
+
+// Split a segment that is too long for one block, re-fencing code blocks on every piece
+function splitOversizedSegment(segment, maxLength) {
+  const lines = segment.split('\n');
+  const isCodeBlock = lines.length >= 2 && isFenceLine(lines[0]) && isFenceLine(lines[lines.length - 1]);
+
+  if (!isCodeBlock) {
+    return packLines(lines, maxLength);
+  }
+
+  const openingFence = lines[0];
+  const innerLines = lines.slice(1, -1);
+  // Leave room for the opening fence, closing fence and their newlines
+  const innerLimit = maxLength - openingFence.length - CODE_FENCE.length - 2;
+
+  return packLines(innerLines, innerLimit).map((piece) => `${openingFence}\n${piece}\n${CODE_FENCE}`);
+}
+
+// Split Slack-formatted text into chunks that each fit in a single section block,
+// breaking on paragraph and code-fence boundaries wherever possible
+function splitMarkdownIntoChunks(text, maxLength = SECTION_TEXT_LIMIT) {
+  if (!text) return [];
+
+  const chunks = [];
+  let current = null;
+
+  for (const segment of splitIntoSegments(text)) {
+    const pieces = segment.length > maxLength ? splitOversizedSegment(segment, maxLength) : [segment];
+
+    for (const piece of pieces) {
+      if (current === null) {
+        current = piece;
+      } else if (current.length + 2 + piece.length <= maxLength) {
+        current += '\n\n' + piece;
+      } else {
+        chunks.push(current);
+        current = piece;
+      }
+    }
+  }
+  if (current !== null) chunks.push(current);
+
+  return chunks;
+}
+
+// Group block-sized chunks into messages that respect Slack's block and text limits
+function groupChunksIntoMessages(chunks, maxBlocks = MAX_BLOCKS_PER_MESSAGE, maxChars = MESSAGE_TEXT_LIMIT) {
+  const groups = [];
+  let currentGroup = [];
+  let currentLength = 0;
+
+  for (const chunk of chunks) {
+    const addedLength = currentGroup.length > 0 ? chunk.length + 2 : chunk.length;
+    if (currentGroup.length > 0 && (currentGroup.length >= maxBlocks || currentLength + addedLength > maxChars)) {
+      groups.push(currentGroup);
+      currentGroup = [];
+      currentLength = 0;
+    }
+    currentLength += currentGroup.length > 0 ? chunk.length + 2 : chunk.length;
+    currentGroup.push(chunk);
+  }
+  if (currentGroup.length > 0) groups.push(currentGroup);
+
+  return groups;
+}
+
+module.exports = {
+  SECTION_TEXT_LIMIT,
+  MESSAGE_TEXT_LIMIT,
+  MAX_BLOCKS_PER_MESSAGE,
+  splitMarkdownIntoChunks,
+  groupChunksIntoMessages,
+};
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+
+// Built-in rules, used when no rules file exists: skip "side note" asides, no triggers
+const DEFAULT_RULES = {
+  skip: ['side note', 'sidenote', 'side-note', '*side note', '*sidenote', '*side-note'],
+  triggers: [],
+  reactions: [],
+  channels: {},
+};
+
+// Helper function to escape a string for use inside a RegExp
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Compile one rule into { description, test(text) }. Rules are objects with exactly one of
+// prefix, keyword or regex (plus optional regex flags, default "i"); a plain string is
+// shorthand for the list's default kind (prefix for skip rules, keyword for triggers).
+function compileRule(rule, defaultKind) {
+  const spec = typeof rule === 'string' ? { [defaultKind]: rule } : rule;
+
+  if (spec && typeof spec.prefix === 'string') {
+    const prefix = spec.prefix.toLowerCase();
+    return { description: `prefix "${spec.prefix}"`, test: (text) => text.toLowerCase().startsWith(prefix) };
+  }
+  if (spec && typeof spec.keyword === 'string') {
+    // Whole words only, so "gpt" doesn't fire on "chatgpt"
+    const pattern = new RegExp(`(^|\\W)${escapeRegExp(spec.keyword)}($|\\W)`, 'i');
+    return { description: `keyword "${spec.keyword}"`, test: (text) => pattern.test(text) };
+  }
+  if (spec && typeof spec.regex === 'string') {
+    let pattern;
+    try {
+      pattern = new RegExp(spec.regex, spec.flags ?? 'i');
+    } catch (error) {
+      throw new Error(`Invalid regex rule /${spec.regex}/: ${error.message}`);
+    }
+    return { description: `regex /${spec.regex}/`, test: (text) => pattern.test(text) };
+  }
+
+  throw new Error(`Invalid rule ${JSON.stringify(rule)} - expected a string or { prefix | keyword | regex }`);
+}
+
+// Helper function to normalize reaction names (":robot_face:" -> "robot_face")
+function normalizeReaction(name) {
+  return String(name).replace(/^:|:$/g, '').toLowerCase();
+}
+
+// Compile the skip/trigger/reaction lists of one rule set
+function compileRuleSet({ skip, triggers, reactions }) {
+  return {
+    skip: skip && skip.map((rule) => compileRule(rule, 'prefix')),
+    triggers: triggers && triggers.map((rule) => compileRule(rule, 'keyword')),
+    reactions: reactions && new Set(reactions.map(normalizeReaction)),
+  };
+}
+
+// Rules engine deciding which messages the bot skips or answers without a mention.
+// config: { skip, triggers, reactions, channels: { C123: { skip?, triggers?, reactions? } } }.
+// A list set for a channel replaces the global list of the same name in that channel.
+// source is where the config came from (shown in logs).
+function createMessageRules(config = DEFAULT_RULES, source = 'defaults') {
+  const global = compileRuleSet({
+    skip: config.skip || [],
+    triggers: config.triggers || [],
+    reactions: config.reactions || [],
+  });
+
+  const channels = new Map();
+  for (const [channelId, overrides] of Object.entries(config.channels || {})) {
+    channels.set(channelId, compileRuleSet(overrides || {}));
+  }
+
+  // The effective list for a channel: its override if it has one, otherwise the global list
+  const listFor = (channel, name) => channels.get(channel)?.[name] || global[name];
+
+  return {
+    source,
+
+    // First skip rule matching the (mention-free) text, or null
+    findSkipRule(channel, text) {
+      if (!text) return null;
+      return listFor(channel, 'skip').find((rule) => rule.test(text.trim())) || null;
+    },
+
+    // First trigger rule matching the text, or null
+    findTrigger(channel, text) {
+      if (!text) return null;
+      return listFor(channel, 'triggers').find((rule) => rule.test(text)) || null;
+    },
+
+    // Whether reacting with this emoji asks Matt-GPT about the message
+    isTriggerReaction(channel, reaction) {
+      return listFor(channel, 'reactions').has(normalizeReaction(reaction));
+    },
+
+    // Human-readable summary for startup logs and /mattgpt status
+    describe() {
+      const parts = [
+        `${global.skip.length} skip rule(s)`,
+        `${global.triggers.length} trigger(s)`,
+        global.reactions.size > 0 ? `reactions :${[...global.reactions].join(': :')}:` : 'no reaction triggers',
+      ];
+      if (channels.size > 0) {
+        parts.push(`overrides for ${[...channels.keys()].join(', ')}`);
+      }
+      return parts.join(', ');
+    },
+  };
+}
+
+// Read the rules file (JSON). A missing file means the built-in defaults; a broken file is an
+// error, so a typo doesn't silently turn every rule off.
+function loadMessageRules(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return createMessageRules(DEFAULT_RULES);
+    }
+    throw error;
+  }
+
+  let config;
+  try {
+    config = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Could not parse message rules file ${filePath}: ${error.message}`);
+  }
+  return createMessageRules(config, filePath);
+}
+
+// Load the rules file named by MESSAGE_RULES_PATH (default message-rules.json next to app.js)
+function createMessageRulesFromEnv() {
+  return loadMessageRules(process.env.MESSAGE_RULES_PATH || path.join(__dirname, '..', 'message-rules.json'));
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  compileRule,
+  createMessageRules,
+  loadMessageRules,
+  createMessageRulesFromEnv,
+};
@@ -0,0 +1,143 @@
+// Callback IDs of the "Ask Matt-GPT about this message" shortcut and its modal
+// (the shortcut's callback ID must match the one registered in the Slack app settings)
+const ASK_SHORTCUT_CALLBACK_ID = 'ask_about_message';
+const ASK_MODAL_CALLBACK_ID = 'ask_about_message_modal';
+
+// How much of the selected message the modal shows (section blocks allow 3,000 characters)
+const PREVIEW_MAX_CHARS = 1500;
+
+// Helper function to quote text for a mrkdwn preview
+function quote(text) {
+  const preview = text.length > PREVIEW_MAX_CHARS ? text.substring(0, PREVIEW_MAX_CHARS) + '…' : text;
+  return preview.split("\n").map((line) => `> ${line}`).join("\n");
+}
+
+// Build the modal opened by the message shortcut: a preview of the message, a question field,
+// an "include the whole thread" checkbox (for messages in threads) and where to answer.
+// The message's location rides along in private_metadata; its text is fetched again on submit.
+function buildAskModal({ channel, messageTs, threadTs, userId, text, replyMode = 'thread' }) {
+  const replyOptions = [
+    { text: { type: "plain_text", text: "In the message's thread" }, value: 'thread' },
+    { text: { type: "plain_text", text: "Only visible to me" }, value: 'ephemeral' },
+  ];
+
+  const blocks = [
+    {
+      type: "section",
+      block_id: "message_preview",
+      text: {
+        type: "mrkdwn",
+        text: `*Message${userId ? ` from <@${userId}>` : ''}*\n${text ? quote(text) : '_(no text - attachments only)_'}`,
+      },
+    },
+    {
+      type: "input",
+      block_id: "question",
+      label: { type: "plain_text", text: "Your question" },
+      element: {
+        type: "plain_text_input",
+        action_id: "value",
+        multiline: true,
+        max_length: 2000,
+        placeholder: { type: "plain_text", text: "e.g. Can you summarize this and list the open questions?" },
+      },
+    },
+  ];
+
+  if (threadTs) {
+    blocks.push({
+      type: "input",
+      block_id: "include_thread",
+      optional: true,
+      label: { type: "plain_text", text: "Context" },
+      element: {
+        type: "checkboxes",
+        action_id: "value",
+        options: [{ text: { type: "plain_text", text: "Include the whole thread" }, value: 'thread' }],
+      },
+    });
+  }
+
+  blocks.push({
+    type: "input",
+    block_id: "reply_mode",
+    label: { type: "plain_text", text: "Where should I answer?" },
+    element: {
+      type: "radio_buttons",
+      action_id: "value",
+      options: replyOptions,
+      initial_option: replyOptions.find((option) => option.value === replyMode) || replyOptions[0],
+    },
+  });
+
+  return {
+    type: "modal",
+    callback_id: ASK_MODAL_CALLBACK_ID,
+    private_metadata: JSON.stringify({ channel, message_ts: messageTs, thread_ts: threadTs || null }),
+    title: { type: "plain_text", text: "Ask Matt-GPT" },
+    submit: { type: "plain_text", text: "Ask" },
+    close: { type: "plain_text", text: "Cancel" },
+    blocks,
+  };
+}
+
+// Pull the question, options and message location out of a submitted modal
+function readAskModal(view) {
+  const values = view.state?.values || {};
+  let metadata = {};
+  try {
+    metadata = JSON.parse(view.private_metadata || '{}');
+  } catch (error) {
+    // Leave the location empty - the caller reports the message as missing
+  }
+
+  return {
+    question: (values.question?.value?.value || '').trim(),
+    includeThread: Boolean(values.include_thread?.value?.selected_options?.length),
+    replyMode: values.reply_mode?.value?.selected_option?.value || 'thread',
+    channel: metadata.channel || null,
+    messageTs: metadata.message_ts || null,
+    threadTs: metadata.thread_ts || null,
+  };
+}
+
+// Build the text sent to the backend: the user's question, then the message (or the whole
+// thread, with the selected message marked) as readable text. messages are
+// { ts, author, text } in thread order; when they exceed charBudget the oldest ones other
+// than the selected message are left out.
+function composeShortcutQuestion({ question, messages, selectedTs, charBudget }) {
+  if (messages.length === 1) {
+    const [message] = messages;
+    return `${question}\n\nThe Slack message I'm asking about, from ${message.author}:\n"""\n${message.text}\n"""`;
+  }
+
+  const lines = messages.map((message) =>
+    `${message.ts === selectedTs ? '→ ' : ''}${message.author}: ${message.text}`
+  );
+
+  // Newest first until the budget runs out; the selected message is always kept
+  let remainingBudget = charBudget;
+  let truncated = false;
+  const kept = new Set();
+  for (let index = lines.length - 1; index >= 0; index--) {
+    const isSelected = messages[index].ts === selectedTs;
+    if (!isSelected && (truncated || lines[index].length > remainingBudget)) {
+      truncated = true;
+      continue;
+    }
+    remainingBudget -= lines[index].length;
+    kept.add(index);
+  }
+
+  const thread = lines.filter((line, index) => kept.has(index)).join("\n");
+  return `${question}\n\nThe Slack thread I'm asking about (the message marked → is the one I picked)` +
+    `${truncated ? ', some earlier messages left out' : ''}:\n"""\n${thread}\n"""`;
+}
+
+module.exports = {
+  ASK_SHORTCUT_CALLBACK_ID,
+  ASK_MODAL_CALLBACK_ID,
+  buildAskModal,
+  readAskModal,
+  composeShortcutQuestion,
+};
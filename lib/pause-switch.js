@@ -0,0 +1,61 @@
+const path = require('path');
+const { DATA_DIR, readJsonFile, createSerializedWriter } = require('./json-file');
+
+// The admins' pause switch. While a workspace is paused the bot answers nothing there (it
+// says so instead), without a restart or a config change. The state is persisted so a
+// restart doesn't quietly resume a paused bot. Workspaces are keyed by team_id.
+function createPauseSwitch({ filePath = path.join(DATA_DIR, 'pause.json') } = {}) {
+  const write = createSerializedWriter(filePath);
+  let paused = null;
+  let loaded = null;
+
+  // Load the file once, on first access (a failed load is tried again on the next access)
+  const ensureLoaded = () => {
+    if (!loaded) {
+      loaded = readJsonFile(filePath, { paused: {} }).then((data) => {
+        paused = data.paused || {};
+        return paused;
+      }).catch((error) => {
+        loaded = null;
+        throw error;
+      });
+    }
+    return loaded;
+  };
+
+  return {
+    // { by, reason, pausedAt } while paused, null otherwise
+    async get(key) {
+      await ensureLoaded();
+      return paused[key] || null;
+    },
+
+    async pause(key, { by, reason = null }) {
+      await ensureLoaded();
+      paused[key] = { by, reason, pausedAt: new Date().toISOString() };
+      await write({ paused });
+      return paused[key];
+    },
+
+    // Resolves to false when the workspace wasn't paused
+    async resume(key) {
+      await ensureLoaded();
+      if (!paused[key]) return false;
+      delete paused[key];
+      await write({ paused });
+      return true;
+    },
+  };
+}
+
+// Create the pause switch from environment variables
+function createPauseSwitchFromEnv() {
+  return createPauseSwitch({
+    filePath: process.env.PAUSE_STATE_PATH || path.join(DATA_DIR, 'pause.json'),
+  });
+}
+
+module.exports = {
+  createPauseSwitch,
+  createPauseSwitchFromEnv,
+};
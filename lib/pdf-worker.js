@@ -0,0 +1,13 @@
+const { parentPort, workerData } = require('worker_threads');
+// Require the library entry directly - pdf-parse's index.js runs a debug self-test when loaded
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+
+// Worker thread that extracts a PDF's text (see extractPdfText in lib/attachments.js).
+// pdf.js never yields to the event loop while it parses, so this runs in its own thread,
+// where a stuck parse can be terminated.
+const { data, maxPages } = workerData;
+
+// workerData arrives as a plain Uint8Array - view it as a Buffer without copying
+pdfParse(Buffer.from(data.buffer, data.byteOffset, data.byteLength), { max: maxPages })
+  .then(({ text, numpages }) => parentPort.postMessage({ text, numpages }))
+  .catch((error) => parentPort.postMessage({ error: error.message }));
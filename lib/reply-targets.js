@@ -0,0 +1,235 @@
+const axios = require('axios');
+const { createStreamingUpdater } = require('./streaming');
+
+// Reply targets decide where processMessageRequest posts its thinking indicator, answer and
+// errors. Every target exposes the same methods: postThinking, updateThinking (status text
+// such as queue position), createStreamingUpdater, deliver (answer payloads) and
+// postMessage (status/error text). deliver resolves to { answerTs, followUpTs } for answers
+// that can be edited later, or null. describe() returns a plain object that
+// restoreReplyTarget() turns back into the target (for jobs resumed after a restart).
+
+// Reply in a Slack thread: thinking message is posted with say() and later replaced in place.
+// Pass messageTs to reuse an existing bot message (e.g. when regenerating an answer).
+function createThreadReplyTarget({ say, client, channel, threadTs, logger, messageTs = null }) {
+  let thinkingTs = messageTs;
+  let thinkingUpdates = Promise.resolve();
+
+  return {
+    type: 'thread',
+    channel,
+    threadTs,
+
+    // Once the thinking message is posted, a restored target edits it instead of posting again
+    describe() {
+      return { type: 'thread', channel, threadTs, messageTs: thinkingTs };
+    },
+
+    async postThinking(text = "🤔 Thinking...") {
+      if (messageTs) {
+        await client.chat.update({ channel: channel, ts: messageTs, text: text, blocks: [] });
+        return messageTs;
+      }
+
+      const thinkingMsg = await say({
+        text: text,
+        thread_ts: threadTs,
+      });
+      thinkingTs = thinkingMsg.ts;
+      return thinkingTs;
+    },
+
+    // Replace the thinking message text; updates are chained so they land in order
+    updateThinking(text) {
+      if (!thinkingTs) return Promise.resolve();
+
+      thinkingUpdates = thinkingUpdates
+        .then(() => client.chat.update({ channel: channel, ts: thinkingTs, text: text }))
+        .catch((error) => {
+          logger.warn("⚠️ Failed to update thinking message:", error.message);
+        });
+      return thinkingUpdates;
+    },
+
+    createStreamingUpdater() {
+      return thinkingTs ? createStreamingUpdater(client, channel, thinkingTs, logger) : null;
+    },
+
+    async deliver(payloads) {
+      const [firstPayload, ...followUpPayloads] = payloads;
+
+      const updateResult = await client.chat.update({
+        channel: channel,
+        ts: thinkingTs,
+        ...firstPayload
+      });
+
+      logger.info(`✅ Message updated successfully:`, {
+        ok: updateResult.ok,
+        ts: updateResult.ts
+      });
+
+      // Post the rest of a long answer as threaded follow-up messages
+      const followUpTs = [];
+      for (const [index, payload] of followUpPayloads.entries()) {
+        const followUpResult = await client.chat.postMessage({
+          channel: channel,
+          ...payload
+        });
+        followUpTs.push(followUpResult.ts);
+        logger.info(`✅ Follow-up message ${index + 2}/${payloads.length} posted with ts: ${followUpResult.ts}`);
+      }
+
+      return { answerTs: updateResult.ts, followUpTs };
+    },
+
+    async postMessage(text) {
+      await say({
+        text: text,
+        thread_ts: threadTs,
+      });
+    },
+  };
+}
+
+// Reply privately through a response_url (slash commands, shortcuts). Slack only allows a
+// handful of uses per response_url, so partial streaming updates are not sent.
+function createEphemeralReplyTarget({ respond, channel, logger, responseUrl = null, thinkingPosted: alreadyPosted = false }) {
+  let thinkingPosted = alreadyPosted;
+
+  // Strip fields that only apply to channel messages
+  const toEphemeral = ({ thread_ts: _threadTs, ...payload }) => ({
+    response_type: 'ephemeral',
+    ...payload
+  });
+
+  return {
+    type: 'ephemeral',
+    channel,
+    threadTs: null,
+
+    describe() {
+      return { type: 'ephemeral', channel, responseUrl, thinkingPosted };
+    },
+
+    async postThinking(text = "🤔 Thinking...") {
+      await respond({ response_type: 'ephemeral', text: text });
+      thinkingPosted = true;
+      return null;
+    },
+
+    // response_url only allows a few uses, so status updates are skipped
+    updateThinking() {
+      return Promise.resolve();
+    },
+
+    createStreamingUpdater() {
+      return null;
+    },
+
+    async deliver(payloads) {
+      for (const [index, payload] of payloads.entries()) {
+        await respond({
+          ...toEphemeral(payload),
+          // The first payload replaces the thinking message, the rest follow it
+          replace_original: index === 0 && thinkingPosted,
+        });
+      }
+      logger.info(`✅ Ephemeral answer delivered in ${payloads.length} message(s)`);
+      return null;
+    },
+
+    async postMessage(text) {
+      await respond({
+        response_type: 'ephemeral',
+        text: text,
+        replace_original: thinkingPosted,
+      });
+    },
+  };
+}
+
+// Reply privately inside the channel/thread with chat.postEphemeral (users who chose private
+// answers on the App Home tab). Ephemeral messages posted this way can't be edited or
+// removed, so no thinking message is posted - the answer arrives on its own, without streaming.
+function createUserEphemeralReplyTarget({ client, channel, user, threadTs, logger }) {
+  const postEphemeral = (payload) => client.chat.postEphemeral({
+    channel: channel,
+    user: user,
+    thread_ts: threadTs,
+    ...payload
+  });
+
+  return {
+    type: 'user_ephemeral',
+    channel,
+    threadTs,
+
+    describe() {
+      return { type: 'user_ephemeral', channel, user, threadTs };
+    },
+
+    // A placeholder could never be replaced, so it would sit next to the answer for good
+    async postThinking() {
+      return null;
+    },
+
+    // Ephemeral messages can't be updated, so status updates are skipped
+    updateThinking() {
+      return Promise.resolve();
+    },
+
+    createStreamingUpdater() {
+      return null;
+    },
+
+    async deliver(payloads) {
+      for (const payload of payloads) {
+        await postEphemeral(payload);
+      }
+      logger.info(`✅ Ephemeral answer delivered to ${user} in ${payloads.length} message(s)`);
+      return null;
+    },
+
+    async postMessage(text) {
+      await postEphemeral({ text: text });
+    },
+  };
+}
+
+// Rebuild a reply target from its describe() output. Thread targets post with client;
+// ephemeral ones post to the saved response_url (valid for 30 minutes).
+function restoreReplyTarget(description, { client, logger }) {
+  switch (description.type) {
+    case 'thread':
+      return createThreadReplyTarget({
+        say: (payload) => client.chat.postMessage({ channel: description.channel, ...payload }),
+        client,
+        channel: description.channel,
+        threadTs: description.threadTs,
+        logger,
+        messageTs: description.messageTs
+      });
+    case 'ephemeral':
+      if (!description.responseUrl) {
+        throw new Error('Ephemeral reply target has no response_url');
+      }
+      return createEphemeralReplyTarget({
+        respond: (payload) => axios.post(description.responseUrl, payload, { timeout: 10000 }),
+        channel: description.channel,
+        logger,
+        responseUrl: description.responseUrl,
+        thinkingPosted: description.thinkingPosted
+      });
+    case 'user_ephemeral':
+      return createUserEphemeralReplyTarget({ client, channel: description.channel, user: description.user, threadTs: description.threadTs, logger });
+    default:
+      throw new Error(`Unknown reply target type: ${description.type}`);
+  }
+}
+
+module.exports = {
+  createThreadReplyTarget,
+  createEphemeralReplyTarget,
+  createUserEphemeralReplyTarget,
+  restoreReplyTarget,
+};
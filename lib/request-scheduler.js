@@ -0,0 +1,165 @@
+const { AsyncResource } = require('async_hooks');
+
+// Helper function to read a non-negative integer setting from the environment
+function readLimit(name, defaultValue) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? defaultValue : value;
+}
+
+// Token bucket rate limiter: each key gets `perMinute` tokens that refill continuously.
+// A limit of 0 disables the limiter.
+function createTokenBucketLimiter(perMinute) {
+  const buckets = new Map();
+  const refillPerMs = perMinute / 60000;
+
+  // Bring a bucket up to date with the time that has passed since it was last touched
+  const refill = (key, now) => {
+    const bucket = buckets.get(key) || { tokens: perMinute, updatedAt: now };
+    bucket.tokens = Math.min(perMinute, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = now;
+    buckets.set(key, bucket);
+    return bucket;
+  };
+
+  // Drop full buckets now and then so idle users don't accumulate forever
+  const prune = () => {
+    if (buckets.size < 1000) return;
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (bucket.tokens + (now - bucket.updatedAt) * refillPerMs >= perMinute) {
+        buckets.delete(key);
+      }
+    }
+  };
+
+  return {
+    enabled: perMinute > 0,
+    perMinute,
+
+    // Milliseconds until a token is available for this key (0 = available now)
+    retryAfterMs(key, now = Date.now()) {
+      if (perMinute <= 0) return 0;
+      const bucket = refill(key, now);
+      return bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) / refillPerMs);
+    },
+
+    consume(key, now = Date.now()) {
+      if (perMinute <= 0) return;
+      refill(key, now).tokens -= 1;
+      prune();
+    },
+  };
+}
+
+// Request scheduler in front of the Matt-GPT call: per-user and per-channel token buckets,
+// plus a global concurrency limit with a FIFO queue for everything over it
+function createRequestScheduler({
+  userPerMinute = 5,
+  channelPerMinute = 20,
+  maxConcurrent = 3,
+  maxQueueLength = 20,
+} = {}) {
+  const userLimiter = createTokenBucketLimiter(userPerMinute);
+  const channelLimiter = createTokenBucketLimiter(channelPerMinute);
+  const queue = [];
+  let running = 0;
+
+  // Tell waiting requests their (1-based) place in line whenever it changes
+  const notifyPositions = () => {
+    queue.forEach((entry, index) => {
+      const position = index + 1;
+      if (entry.onQueuePosition && entry.position !== position) {
+        entry.position = position;
+        Promise.resolve()
+          .then(() => entry.onQueuePosition(position))
+          .catch(() => {});
+      }
+    });
+  };
+
+  const startNext = () => {
+    if (running >= maxConcurrent || queue.length === 0) return;
+    const entry = queue.shift();
+    running++;
+    entry.start();
+    notifyPositions();
+  };
+
+  return {
+    get running() {
+      return running;
+    },
+
+    get queued() {
+      return queue.length;
+    },
+
+    // Admission check: consumes rate-limit tokens when the request is allowed.
+    // Returns { allowed: true } or { allowed: false, reason, retryAfterMs }.
+    admit({ userId, channel }) {
+      if (maxConcurrent > 0 && running >= maxConcurrent && queue.length >= maxQueueLength) {
+        return { allowed: false, reason: 'queue_full', retryAfterMs: 0 };
+      }
+
+      const now = Date.now();
+      const userRetryAfterMs = userId ? userLimiter.retryAfterMs(userId, now) : 0;
+      if (userRetryAfterMs > 0) {
+        return { allowed: false, reason: 'user', retryAfterMs: userRetryAfterMs };
+      }
+
+      const channelRetryAfterMs = channel ? channelLimiter.retryAfterMs(channel, now) : 0;
+      if (channelRetryAfterMs > 0) {
+        return { allowed: false, reason: 'channel', retryAfterMs: channelRetryAfterMs };
+      }
+
+      if (userId) userLimiter.consume(userId, now);
+      if (channel) channelLimiter.consume(channel, now);
+      return { allowed: true };
+    },
+
+    // Run a task once a concurrency slot is free. onQueuePosition(n) is called while waiting.
+    run(task, { onQueuePosition } = {}) {
+      return new Promise((resolve, reject) => {
+        const entry = {
+          onQueuePosition,
+          // Bound to the caller's async context, so a queued task keeps its request's trace
+          // instead of running in the context of whichever request freed the slot
+          start: AsyncResource.bind(() => {
+            Promise.resolve()
+              .then(task)
+              .then(resolve, reject)
+              .finally(() => {
+                running--;
+                startNext();
+              });
+          }),
+        };
+
+        if (maxConcurrent <= 0 || running < maxConcurrent) {
+          running++;
+          entry.start();
+          return;
+        }
+
+        queue.push(entry);
+        notifyPositions();
+      });
+    },
+  };
+}
+
+// Create the scheduler from environment variables (0 disables a limit)
+function createRequestSchedulerFromEnv() {
+  return createRequestScheduler({
+    userPerMinute: readLimit('RATE_LIMIT_USER_PER_MINUTE', 5),
+    channelPerMinute: readLimit('RATE_LIMIT_CHANNEL_PER_MINUTE', 20),
+    maxConcurrent: readLimit('MAX_CONCURRENT_REQUESTS', 3),
+    maxQueueLength: readLimit('MAX_QUEUE_LENGTH', 20),
+  });
+}
+
+module.exports = {
+  createTokenBucketLimiter,
+  createRequestScheduler,
+  createRequestSchedulerFromEnv,
+};
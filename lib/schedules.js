@@ -0,0 +1,202 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { DATA_DIR, readJsonFile, createSerializedWriter } = require('./json-file');
+const { parseCron, nextCronRun } = require('./cron');
+
+// Parse `/mattgpt schedule add` arguments: a cron expression (five fields, a "quoted"
+// expression or an @daily-style shortcut), an optional --tz <timezone>, then the prompt.
+// Resolves to { cron, timezone, prompt } - or { error } saying what's missing.
+function parseScheduleAddArgs(argText) {
+  let rest = (argText || '').trim();
+  let cron;
+
+  const quoted = /^["“']([^"”']+)["”']\s*/.exec(rest);
+  if (quoted) {
+    cron = quoted[1].trim();
+    rest = rest.slice(quoted[0].length);
+  } else if (rest.startsWith('@')) {
+    [cron] = rest.split(/\s+/);
+    rest = rest.slice(cron.length).trim();
+  } else {
+    const words = rest.split(/\s+/);
+    cron = words.slice(0, 5).join(' ');
+    rest = words.slice(5).join(' ');
+  }
+
+  let timezone = null;
+  const tzMatch = /^--tz[=\s]+(\S+)\s*/.exec(rest);
+  if (tzMatch) {
+    timezone = tzMatch[1];
+    rest = rest.slice(tzMatch[0].length);
+  }
+
+  const prompt = rest.trim();
+  if (!cron || !prompt) {
+    return { error: 'missing' };
+  }
+  return { cron, timezone, prompt };
+}
+
+// The shortest gap between the next few runs of a cron, in milliseconds (to refuse
+// schedules that would post every minute)
+function shortestInterval(cron, { timezone = 'UTC', after = new Date(), runs = 10 } = {}) {
+  let shortest = Infinity;
+  let previous = nextCronRun(cron, { after, timezone });
+  for (let index = 1; previous && index < runs; index++) {
+    const next = nextCronRun(cron, { after: previous, timezone });
+    if (!next) break;
+    shortest = Math.min(shortest, next - previous);
+    previous = next;
+  }
+  return shortest;
+}
+
+// Scheduled prompts, persisted as JSON. A schedule is { id, channel, createdBy, createdAt,
+// cron, timezone, prompt, kind ('prompt' or 'summary'), windowMs, workspace, nextRunAt,
+// lastRunAt } - workspace is the trace fields (team_id, enterprise_id) the scheduler needs to
+// find the installation to post with.
+function createScheduleStore({ filePath = path.join(DATA_DIR, 'schedules.json') } = {}) {
+  const write = createSerializedWriter(filePath);
+  let schedules = null;
+  let loaded = null;
+
+  // Load the file once, on first access (a failed load is tried again on the next access)
+  const ensureLoaded = () => {
+    if (!loaded) {
+      loaded = readJsonFile(filePath, { schedules: [] }).then((data) => {
+        schedules = new Map((data.schedules || []).map((schedule) => [schedule.id, schedule]));
+        return schedules;
+      }).catch((error) => {
+        loaded = null;
+        throw error;
+      });
+    }
+    return loaded;
+  };
+
+  const persist = () => write({ schedules: [...schedules.values()] });
+
+  return {
+    async list(filter = null) {
+      await ensureLoaded();
+      const all = [...schedules.values()];
+      return filter ? all.filter(filter) : all;
+    },
+
+    async get(id) {
+      await ensureLoaded();
+      return schedules.get(id) || null;
+    },
+
+    // Save a new schedule; resolves to it with its short ID
+    async add(schedule) {
+      await ensureLoaded();
+      let id;
+      do {
+        id = uuidv4().slice(0, 8);
+      } while (schedules.has(id));
+
+      const saved = { id, createdAt: new Date().toISOString(), lastRunAt: null, ...schedule };
+      schedules.set(id, saved);
+      await persist();
+      return saved;
+    },
+
+    async update(id, changes) {
+      await ensureLoaded();
+      const schedule = schedules.get(id);
+      if (!schedule) return null;
+      Object.assign(schedule, changes);
+      await persist();
+      return schedule;
+    },
+
+    // Resolves to false when there was no such schedule
+    async remove(id) {
+      await ensureLoaded();
+      if (!schedules.delete(id)) return false;
+      await persist();
+      return true;
+    },
+  };
+}
+
+// In-process scheduler: every tickMs it runs the schedules whose nextRunAt has come, after
+// moving nextRunAt to the following run (so a crash mid-run doesn't repeat it). Runs missed
+// by more than catchUpMs while the bot was down are skipped rather than posted late.
+function createScheduler({ store, run, logger = console, tickMs = 30000, catchUpMs = 60 * 60 * 1000 }) {
+  let timer = null;
+  let ticking = null;
+
+  const tick = async (now = Date.now()) => {
+    const due = await store.list((schedule) => schedule.nextRunAt && Date.parse(schedule.nextRunAt) <= now);
+    for (const schedule of due) {
+      const late = now - Date.parse(schedule.nextRunAt);
+      let nextRunAt = null;
+      try {
+        nextRunAt = nextCronRun(parseCron(schedule.cron), { after: new Date(now), timezone: schedule.timezone });
+      } catch (error) {
+        logger.error(`❌ Schedule ${schedule.id} has an invalid cron expression:`, error.message);
+      }
+      await store.update(schedule.id, {
+        nextRunAt: nextRunAt ? nextRunAt.toISOString() : null,
+        ...(late <= catchUpMs && { lastRunAt: new Date(now).toISOString() }),
+      });
+
+      if (late > catchUpMs) {
+        logger.warn(`⏭️ Skipping the run of schedule ${schedule.id} missed at ${schedule.nextRunAt}`);
+        continue;
+      }
+      try {
+        await run(schedule);
+      } catch (error) {
+        logger.error(`❌ Schedule ${schedule.id} failed:`, error.message);
+      }
+    }
+    return due.length;
+  };
+
+  // One tick at a time, however long runs take
+  const safeTick = () => {
+    if (ticking) return ticking;
+    ticking = tick()
+      .catch((error) => logger.error(`❌ Scheduler tick failed:`, error.message))
+      .finally(() => {
+        ticking = null;
+      });
+    return ticking;
+  };
+
+  return {
+    tick,
+
+    start() {
+      if (timer) return;
+      safeTick();
+      timer = setInterval(safeTick, tickMs);
+      timer.unref();
+    },
+
+    // Stop ticking; resolves once a tick in progress is done
+    async stop() {
+      clearInterval(timer);
+      timer = null;
+      await ticking;
+    },
+  };
+}
+
+// Create the schedule store from environment variables
+function createScheduleStoreFromEnv() {
+  return createScheduleStore({
+    filePath: process.env.SCHEDULES_PATH || path.join(DATA_DIR, 'schedules.json'),
+  });
+}
+
+module.exports = {
+  parseScheduleAddArgs,
+  shortestInterval,
+  createScheduleStore,
+  createScheduler,
+  createScheduleStoreFromEnv,
+};
@@ -0,0 +1,181 @@
+const slackifyMarkdown = require('slackify-markdown');
+const { MESSAGE_TEXT_LIMIT } = require('./message-chunking');
+
+// Minimum time between chat.update calls while streaming (Slack allows ~50 updates/min)
+const STREAM_UPDATE_INTERVAL_MS = parseInt(process.env.STREAM_UPDATE_INTERVAL_MS, 10) || 1500;
+
+// Marker appended to partial answers so users can see the bot is still typing
+const STREAMING_CURSOR = ' ▍';
+
+// Helper function to check whether an HTTP response is a Server-Sent Events stream
+function isEventStream(headers) {
+  const contentType = headers?.['content-type'] || '';
+  return contentType.includes('text/event-stream');
+}
+
+// Helper function to read a whole Node.js stream into a string
+async function readStreamToString(stream) {
+  let body = '';
+  stream.setEncoding('utf8');
+  for await (const chunk of stream) {
+    body += chunk;
+  }
+  return body;
+}
+
+// Parse a single SSE event block into its (joined) data payload
+function parseEventBlock(block) {
+  const dataLines = [];
+  for (const line of block.split('\n')) {
+    if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).replace(/^ /, ''));
+    }
+  }
+  return dataLines.length > 0 ? dataLines.join('\n') : null;
+}
+
+// Read a Server-Sent Events stream, calling handleData with each event's data payload
+async function consumeEventStream(stream, handleData) {
+  let buffer = '';
+
+  stream.setEncoding('utf8');
+  for await (const chunk of stream) {
+    buffer += chunk.replace(/\r\n/g, '\n');
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const data = parseEventBlock(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      if (data !== null) handleData(data);
+    }
+  }
+
+  // Flush a trailing event that wasn't terminated by a blank line
+  const trailingData = parseEventBlock(buffer);
+  if (trailingData !== null) handleData(trailingData);
+}
+
+// Consume a Matt-GPT SSE stream, calling onDelta with the accumulated text as it grows.
+// Events are JSON objects: text deltas carry `delta`/`content`/`text`, and the final
+// event carries the usual /chat response fields (conversation_id, query_id, ...).
+async function consumeMattGPTStream(stream, onDelta) {
+  let responseText = '';
+  let finalData = {};
+
+  await consumeEventStream(stream, (data) => {
+    if (data === '[DONE]') return;
+
+    let event;
+    try {
+      event = JSON.parse(data);
+    } catch (parseError) {
+      // Plain-text SSE payloads are treated as raw text deltas
+      event = { delta: data };
+    }
+
+    if (event.error) {
+      throw new Error(`Matt-GPT API stream error: ${event.error.message || event.error}`);
+    }
+
+    const delta = event.delta ?? event.content ?? event.text;
+    if (typeof delta === 'string' && delta.length > 0) {
+      responseText += delta;
+      onDelta(responseText);
+    }
+
+    // Final/metadata events: keep every field except the delta itself
+    if (event.type === 'done' || event.response !== undefined || event.conversation_id) {
+      const { delta: _delta, content: _content, text: _text, type: _type, ...metadata } = event;
+      finalData = { ...finalData, ...metadata };
+    }
+  });
+
+  return {
+    ...finalData,
+    response: finalData.response ?? responseText,
+  };
+}
+
+// Convert partial markdown to Slack format without choking on half-written syntax
+function formatPartialMarkdown(text) {
+  let balancedText = text;
+
+  // An odd number of code fences means we're mid-code-block - close it so the rest doesn't leak
+  const fenceCount = (balancedText.match(/```/g) || []).length;
+  if (fenceCount % 2 === 1) {
+    balancedText += '\n```';
+  }
+
+  try {
+    return slackifyMarkdown(balancedText);
+  } catch (error) {
+    // Fall back to the raw text - the final update will be fully converted
+    return text;
+  }
+}
+
+// Create a throttled updater that progressively edits the thinking message with partial text
+function createStreamingUpdater(client, channel, ts, logger) {
+  let latestText = null;
+  let lastSentText = null;
+  let lastUpdateAt = 0;
+  let timer = null;
+  let inFlight = Promise.resolve();
+  let stopped = false;
+
+  const sendUpdate = () => {
+    timer = null;
+    if (stopped || latestText === lastSentText) return;
+
+    const text = latestText;
+    lastSentText = text;
+
+    // Partial updates only use the message text, so keep them under Slack's text limit
+    let partialText = formatPartialMarkdown(text);
+    if (partialText.length > MESSAGE_TEXT_LIMIT) {
+      partialText = partialText.substring(0, MESSAGE_TEXT_LIMIT) + '…';
+    }
+    lastUpdateAt = Date.now();
+
+    // Chain updates so they land in order and never overlap
+    inFlight = inFlight
+      .then(() => client.chat.update({
+        channel: channel,
+        ts: ts,
+        text: partialText + STREAMING_CURSOR,
+      }))
+      .catch((error) => {
+        logger.warn("⚠️ Failed to update streaming message:", error.message);
+      });
+  };
+
+  return {
+    update(text) {
+      if (stopped) return;
+      latestText = text;
+      if (timer) return;
+
+      const wait = Math.max(0, STREAM_UPDATE_INTERVAL_MS - (Date.now() - lastUpdateAt));
+      timer = setTimeout(sendUpdate, wait);
+    },
+
+    // Stop sending partial updates and wait for any in-flight update to land
+    async stop() {
+      stopped = true;
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      await inFlight;
+    },
+  };
+}
+
+module.exports = {
+  isEventStream,
+  readStreamToString,
+  consumeEventStream,
+  consumeMattGPTStream,
+  formatPartialMarkdown,
+  createStreamingUpdater,
+};
@@ -0,0 +1,214 @@
+// "What did I miss?" - summaries of a thread or of a channel's recent history. Messages are
+// fetched page by page, turned into a transcript with a reference per message ([m12]) and
+// summarized in one request, or map-reduce style when the transcript is too long: each chunk
+// is summarized on its own, then the partial notes are combined into one digest. The digest
+// cites message references, which are turned into links back to the messages.
+
+const { isHumanMessage } = require('./thread-context');
+
+// Summary windows: 30m, 6h, 2d, 1w
+const WINDOW_UNITS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+// Parse a window like "24h" or "3d" into milliseconds (null when it isn't one)
+function parseWindow(text) {
+  const match = /^(\d+)\s*([mhdw])$/i.exec((text || '').trim());
+  if (!match || Number(match[1]) === 0) return null;
+  return Number(match[1]) * WINDOW_UNITS[match[2].toLowerCase()];
+}
+
+// Format a window in its largest whole unit: 24h, 2d, 90m
+function formatWindow(ms) {
+  for (const unit of ['w', 'd', 'h']) {
+    if (ms % WINDOW_UNITS[unit] === 0) return `${ms / WINDOW_UNITS[unit]}${unit}`;
+  }
+  return `${Math.round(ms / WINDOW_UNITS.m)}m`;
+}
+
+// Parse `/mattgpt summarize` arguments, in any order: a window, --thread and a message link.
+// Anything else is returned in `unknown` so the caller can show the usage.
+function parseSummarizeArgs(argText) {
+  const args = { windowMs: null, post: false, link: null, unknown: [] };
+  for (const word of (argText || '').split(/\s+/).filter(Boolean)) {
+    if (word === '--thread') {
+      args.post = true;
+    } else if (/^<?https?:\/\//.test(word)) {
+      args.link = word;
+    } else if (parseWindow(word) && !args.windowMs) {
+      args.windowMs = parseWindow(word);
+    } else {
+      args.unknown.push(word);
+    }
+  }
+  return args;
+}
+
+// The mention keyword: "summarize this thread", "summarise the channel 3d", or just "summarize"
+// (the thread when asked in one, the channel otherwise). Returns { scope, windowMs } or null.
+const SUMMARIZE_MENTION = /^summari[sz]e(?:\s+(?:this|the))?(?:\s+(thread|channel))?(?:\s+(\d+\s*[mhdw]))?[\s.!?]*$/i;
+
+function parseSummarizeMention(text) {
+  const match = SUMMARIZE_MENTION.exec((text || '').trim());
+  if (!match) return null;
+  return { scope: match[1] ? match[1].toLowerCase() : null, windowMs: match[2] ? parseWindow(match[2]) : null };
+}
+
+// Page through a thread (conversations.replies) or a channel's history (conversations.history,
+// from oldest to latest), keeping human messages. Beyond maxMessages the newest ones are kept.
+// Resolves to { messages (oldest first), truncated }.
+async function fetchConversationMessages(client, { channel, threadTs = null, oldest = null, latest = null, maxMessages = 1000 }) {
+  const messages = [];
+  let cursor;
+  do {
+    const params = {
+      channel: channel,
+      limit: 200,
+      ...(oldest && { oldest: oldest }),
+      ...(latest && { latest: latest }),
+      ...(cursor && { cursor: cursor }),
+    };
+    const page = threadTs
+      ? await client.conversations.replies({ ...params, ts: threadTs })
+      : await client.conversations.history(params);
+
+    messages.push(...(page.messages || []).filter(isHumanMessage));
+    cursor = page.response_metadata?.next_cursor;
+    // History pages come newest first, so stopping here keeps the newest messages
+    if (!threadTs && messages.length >= maxMessages) break;
+  } while (cursor);
+
+  messages.sort((a, b) => parseFloat(a.ts) - parseFloat(b.ts));
+  const truncated = Boolean(cursor) || messages.length > maxMessages;
+  return { messages: messages.slice(-maxMessages), truncated };
+}
+
+// Helper function to format a message timestamp as "2026-01-31 14:05 UTC"
+function formatMessageTime(ts) {
+  return `${new Date(parseFloat(ts) * 1000).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+// Turn readable messages ({ ts, author, text }) into transcript lines; the line for
+// messages[i] starts with the reference [m<i+1>]
+function buildTranscript(messages) {
+  return messages.map((message, index) =>
+    `[m${index + 1}] ${formatMessageTime(message.ts)} ${message.author}: ${message.text.replace(/\s*\n\s*/g, ' ')}`
+  );
+}
+
+// Split lines into chunks of at most maxChars characters (a longer line is cut)
+function chunkLines(lines, maxChars) {
+  const chunks = [];
+  let current = [];
+  let currentLength = 0;
+  for (const rawLine of lines) {
+    const line = rawLine.length > maxChars ? rawLine.substring(0, maxChars - 1) + '…' : rawLine;
+    if (current.length > 0 && currentLength + line.length + 1 > maxChars) {
+      chunks.push(current);
+      current = [];
+      currentLength = 0;
+    }
+    current.push(line);
+    currentLength += line.length + 1;
+  }
+  if (current.length > 0) chunks.push(current);
+  return chunks;
+}
+
+const DIGEST_INSTRUCTIONS = [
+  "Write a digest for someone catching up: a two or three sentence overview, then short bullet lists",
+  "under the bold headings **Key points**, **Decisions**, **Action items** (with owners) and **Open questions**",
+  "(leave out empty sections). End every bullet with the references of the messages it comes from, like [m12].",
+  "Only use what the messages say.",
+].join(' ');
+
+// Helper function to build the prompt for a transcript (or notes) that fits one request
+const digestPrompt = (title, body) => `Summarize ${title}. ${DIGEST_INSTRUCTIONS}\n\n"""\n${body}\n"""`;
+
+// Map step: notes on one chunk of the transcript
+const chunkPrompt = (title, body, index, total) =>
+  `This is part ${index} of ${total} of ${title}. Summarize it as short bullet notes for a digest written later: ` +
+  `who said what, decisions, action items with owners and open questions. End every bullet with the references ` +
+  `of the messages it comes from, like [m12].\n\n"""\n${body}\n"""`;
+
+// Reduce step when the notes still don't fit one request: merge consecutive notes
+const mergePrompt = (title, body) =>
+  `Merge these notes on consecutive parts of ${title} into one list of short bullet notes, ` +
+  `keeping the message references like [m12].\n\n"""\n${body}\n"""`;
+
+// Summarize transcript lines with ask(prompt) => answer text. Short transcripts take one
+// request; longer ones are summarized chunk by chunk (onProgress(part, total) is called before
+// each) and the notes reduced to one digest. Resolves to { summary, requests, chunks }.
+// canContinue() is asked before every part after the first; when it says no, the notes so far
+// are returned as they are, with stoppedAfter set to the number of parts they cover.
+async function summarizeTranscript({ lines, title, ask, chunkChars = 12000, onProgress = null, canContinue = null }) {
+  const chunks = chunkLines(lines, chunkChars);
+  if (chunks.length <= 1) {
+    return { summary: await ask(digestPrompt(title, (chunks[0] || []).join("\n"))), requests: 1, chunks: 1 };
+  }
+
+  let requests = 0;
+  let notes = [];
+  for (const [index, chunk] of chunks.entries()) {
+    if (index > 0 && canContinue && !(await canContinue())) {
+      return { summary: notes.join("\n\n"), requests, chunks: chunks.length, stoppedAfter: index };
+    }
+    if (onProgress) await onProgress(index + 1, chunks.length);
+    notes.push(await ask(chunkPrompt(title, chunk.join("\n"), index + 1, chunks.length)));
+    requests++;
+  }
+
+  // Merge groups of notes until they fit in one request (or merging stops shrinking them)
+  while (notes.length > 1 && notes.join("\n\n").length > chunkChars) {
+    const groups = chunkLines(notes, chunkChars);
+    if (groups.length >= notes.length) break;
+    const merged = [];
+    for (const group of groups) {
+      merged.push(group.length === 1 ? group[0] : await ask(mergePrompt(title, group.join("\n\n"))));
+      requests += group.length === 1 ? 0 : 1;
+    }
+    notes = merged;
+  }
+
+  const summary = await ask(digestPrompt(`${title} from these notes on its consecutive parts`, notes.join("\n\n")));
+  return { summary, requests: requests + 1, chunks: chunks.length };
+}
+
+// Reference numbers cited in a digest, in order of first appearance ("[m3]", "[m4, m7]")
+const REFERENCE_GROUP = /(\s*)\[(m\d+(?:\s*,\s*m\d+)*)\]/g;
+
+function citedReferences(text) {
+  const numbers = new Set();
+  for (const [, , group] of text.matchAll(REFERENCE_GROUP)) {
+    for (const ref of group.split(',')) numbers.add(Number(ref.trim().slice(1)));
+  }
+  return [...numbers];
+}
+
+// Replace message references with Slack links (permalinks: number -> URL); references
+// without a link are dropped rather than shown as unexplained codes
+function linkReferences(text, permalinks) {
+  return text.replace(REFERENCE_GROUP, (match, space, group) => {
+    const links = group.split(',')
+      .map((ref) => Number(ref.trim().slice(1)))
+      .filter((number) => permalinks.has(number))
+      .map((number) => `<${permalinks.get(number)}|[${number}]>`);
+    return links.length > 0 ? `${space}${links.join(' ')}` : '';
+  });
+}
+
+module.exports = {
+  parseWindow,
+  formatWindow,
+  parseSummarizeArgs,
+  parseSummarizeMention,
+  fetchConversationMessages,
+  buildTranscript,
+  chunkLines,
+  summarizeTranscript,
+  citedReferences,
+  linkReferences,
+};
@@ -0,0 +1,158 @@
+// How long resolved user and channel names stay cached
+const NAME_CACHE_TTL_MS = 60 * 60 * 1000;
+
+// Subtypes of human messages (everything else is joins, bots, ...)
+const HUMAN_SUBTYPES = ['thread_broadcast', 'file_share'];
+
+// Helper function to check for a human message with text
+function isHumanMessage(msg) {
+  return !msg.bot_id && !msg.bot_profile && Boolean(msg.user) && Boolean(msg.text) &&
+    (!msg.subtype || HUMAN_SUBTYPES.includes(msg.subtype));
+}
+
+// Page through a thread (conversations.replies) and resolve to all of its messages, oldest
+// first. With latest, only messages before that ts are fetched (the parent always comes along).
+async function fetchThreadMessages(client, { channel, threadTs, latest = null }) {
+  const messages = [];
+  let cursor;
+  do {
+    const page = await client.conversations.replies({
+      channel: channel,
+      ts: threadTs,
+      limit: 200,
+      ...(latest && { latest: latest }),
+      ...(cursor && { cursor: cursor }),
+    });
+    messages.push(...(page.messages || []));
+    cursor = page.response_metadata?.next_cursor;
+  } while (cursor);
+  return messages;
+}
+
+// Create a cached lookup for user display names and channel names
+function createSlackDirectory() {
+  const userNames = new Map();
+  const channelNames = new Map();
+
+  // Helper function to read from a TTL cache, or fill it with the loader's result
+  const cached = async (cache, key, loader) => {
+    const entry = cache.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      return entry.value;
+    }
+
+    let value;
+    try {
+      value = await loader();
+    } catch (error) {
+      // Fall back to the raw ID (cached briefly) if the lookup fails
+      value = null;
+    }
+    cache.set(key, { value, expiresAt: Date.now() + (value ? NAME_CACHE_TTL_MS : 60000) });
+    return value;
+  };
+
+  return {
+    async getUserName(client, userId) {
+      const name = await cached(userNames, userId, async () => {
+        const result = await client.users.info({ user: userId });
+        const { profile = {}, real_name: realName, name: userName } = result.user;
+        return profile.display_name || profile.real_name || realName || userName;
+      });
+      return name || userId;
+    },
+
+    async getChannelName(client, channelId) {
+      const name = await cached(channelNames, channelId, async () => {
+        const result = await client.conversations.info({ channel: channelId });
+        return result.channel.name;
+      });
+      return name || channelId;
+    },
+  };
+}
+
+// Expand Slack's <@U..>, <#C..>, <!here> and <url|label> tokens into readable text
+async function expandSlackTokens(text, client, directory) {
+  if (!text) return text;
+
+  const tokens = [...new Set(text.match(/<[^>\s]+(?:\|[^>]*)?>/g) || [])];
+  const replacements = new Map();
+
+  for (const token of tokens) {
+    const [target, label] = token.slice(1, -1).split('|');
+
+    if (target.startsWith('@')) {
+      replacements.set(token, `@${label || await directory.getUserName(client, target.slice(1))}`);
+    } else if (target.startsWith('#')) {
+      replacements.set(token, `#${label || await directory.getChannelName(client, target.slice(1))}`);
+    } else if (target.startsWith('!subteam^')) {
+      replacements.set(token, label || '@group');
+    } else if (target.startsWith('!')) {
+      replacements.set(token, `@${target.slice(1)}`);
+    } else {
+      replacements.set(token, label && label !== target ? `${label} (${target})` : target);
+    }
+  }
+
+  return text.replace(/<[^>\s]+(?:\|[^>]*)?>/g, (token) => replacements.get(token) ?? token);
+}
+
+// Build the structured Slack context sent to Matt-GPT: who is asking, where, and what the
+// humans in the thread said before the current message (newest first until the budget runs out).
+// Messages from excludedUsers (people who opted out) are left out.
+async function buildSlackContext({ client, directory, channel, threadTs, currentTs, userId, charBudget, excludedUsers = new Set() }) {
+  const slackContext = {
+    user: { id: userId, name: await directory.getUserName(client, userId) },
+    channel: { id: channel, name: await directory.getChannelName(client, channel) },
+    thread_ts: threadTs || null,
+    thread_messages: [],
+    thread_messages_truncated: false,
+  };
+
+  if (!threadTs || !currentTs || threadTs === currentTs) {
+    return slackContext;
+  }
+
+  const threadMessages = await fetchThreadMessages(client, { channel, threadTs, latest: currentTs });
+
+  // Prior human messages only (no bots, nothing at or after the current message)
+  const priorMessages = threadMessages.filter(msg =>
+    isHumanMessage(msg) && parseFloat(msg.ts) < parseFloat(currentTs) && !excludedUsers.has(msg.user)
+  );
+
+  let remainingBudget = charBudget;
+  const selected = [];
+  for (const msg of [...priorMessages].reverse()) {
+    if (remainingBudget <= 0) {
+      slackContext.thread_messages_truncated = true;
+      break;
+    }
+
+    let text = await expandSlackTokens(msg.text, client, directory);
+    if (text.length > remainingBudget) {
+      text = text.substring(0, remainingBudget) + '…';
+      slackContext.thread_messages_truncated = true;
+    }
+    remainingBudget -= text.length;
+
+    selected.push({
+      user_id: msg.user,
+      user_name: await directory.getUserName(client, msg.user),
+      ts: msg.ts,
+      text: text,
+    });
+  }
+
+  slackContext.thread_messages = selected.reverse();
+  return slackContext;
+}
+
+module.exports = {
+  HUMAN_SUBTYPES,
+  isHumanMessage,
+  fetchThreadMessages,
+  createSlackDirectory,
+  expandSlackTokens,
+  buildSlackContext,
+};
@@ -0,0 +1,192 @@
+const path = require('path');
+const { DATA_DIR, readJsonFile, createSerializedWriter } = require('./json-file');
+
+// Keep a little over a year of daily usage so monthly and yearly lookups still work
+const RETENTION_DAYS = 400;
+
+// Helper function to read a non-negative number setting from the environment (0 = unlimited)
+function readNumber(name, defaultValue = 0) {
+  const value = parseFloat(process.env[name]);
+  return Number.isNaN(value) || value < 0 ? defaultValue : value;
+}
+
+// Helper function to turn the API's tokens_used into a number.
+// Accepts a plain number or an OpenAI-style usage object.
+function normalizeTokens(tokensUsed) {
+  if (typeof tokensUsed === 'number') return tokensUsed;
+  if (tokensUsed && typeof tokensUsed === 'object') {
+    if (typeof tokensUsed.total_tokens === 'number') return tokensUsed.total_tokens;
+    if (typeof tokensUsed.total === 'number') return tokensUsed.total;
+    return (tokensUsed.prompt_tokens || tokensUsed.input || 0) + (tokensUsed.completion_tokens || tokensUsed.output || 0);
+  }
+  return 0;
+}
+
+// Usage is bucketed by UTC day (YYYY-MM-DD) and month (YYYY-MM)
+function dayKey(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+function monthKey(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+}
+
+// Helper function to add tokens to a { key: { tokens, requests } } map
+function addTo(map, key, tokens) {
+  if (!key) return;
+  const entry = map[key] || (map[key] = { tokens: 0, requests: 0 });
+  entry.tokens += tokens;
+  entry.requests += 1;
+}
+
+// Usage ledger: records tokens per user, channel, conversation and day, and enforces
+// daily/monthly token budgets per user and globally
+function createUsageLedger({
+  filePath = path.join(DATA_DIR, 'usage.json'),
+  budgets = {},
+  costPer1kTokens = 0,
+} = {}) {
+  const write = createSerializedWriter(filePath);
+  let days = null;
+  let loaded = null;
+
+  // Load the file once, on first access (a failed load is tried again on the next access)
+  const ensureLoaded = () => {
+    if (!loaded) {
+      loaded = readJsonFile(filePath, { days: {} }).then((data) => {
+        days = data.days || {};
+        return days;
+      }).catch((error) => {
+        loaded = null;
+        throw error;
+      });
+    }
+    return loaded;
+  };
+
+  // Drop days older than the retention window
+  const prune = (now) => {
+    const cutoff = dayKey(new Date(now.getTime() - RETENTION_DAYS * 24 * 60 * 60 * 1000));
+    for (const day of Object.keys(days)) {
+      if (day < cutoff) delete days[day];
+    }
+  };
+
+  // Sum usage for a day or a month, optionally for one user
+  const sumUsage = (period, userId) => {
+    let tokens = 0;
+    let requests = 0;
+    for (const [day, usage] of Object.entries(days)) {
+      if (!day.startsWith(period)) continue;
+      const entry = userId ? usage.users[userId] : usage;
+      if (entry) {
+        tokens += entry.tokens || 0;
+        requests += entry.requests || 0;
+      }
+    }
+    return { tokens, requests };
+  };
+
+  const estimateCost = (tokens) => (costPer1kTokens > 0 ? (tokens / 1000) * costPer1kTokens : null);
+
+  return {
+    budgets,
+    costPer1kTokens,
+
+    async record({ userId, channel, conversationId, tokensUsed, date = new Date() }) {
+      await ensureLoaded();
+      const tokens = normalizeTokens(tokensUsed);
+      const day = dayKey(date);
+      const usage = days[day] || (days[day] = { tokens: 0, requests: 0, users: {}, channels: {}, conversations: {} });
+
+      usage.tokens += tokens;
+      usage.requests += 1;
+      addTo(usage.users, userId, tokens);
+      addTo(usage.channels, channel, tokens);
+      addTo(usage.conversations, conversationId, tokens);
+
+      prune(date);
+      await write({ days });
+      return tokens;
+    },
+
+    // Check the budgets before calling the API.
+    // Returns { allowed: true } or { allowed: false, budget, used, limit }.
+    async checkBudget(userId, date = new Date()) {
+      await ensureLoaded();
+      const checks = [
+        { budget: 'user_daily', limit: budgets.userDaily, used: () => sumUsage(dayKey(date), userId).tokens },
+        { budget: 'user_monthly', limit: budgets.userMonthly, used: () => sumUsage(monthKey(date), userId).tokens },
+        { budget: 'global_daily', limit: budgets.globalDaily, used: () => sumUsage(dayKey(date)).tokens },
+        { budget: 'global_monthly', limit: budgets.globalMonthly, used: () => sumUsage(monthKey(date)).tokens },
+      ];
+
+      for (const { budget, limit, used } of checks) {
+        if (!limit) continue;
+        const usedTokens = used();
+        if (usedTokens >= limit) {
+          return { allowed: false, budget, used: usedTokens, limit };
+        }
+      }
+      return { allowed: true };
+    },
+
+    // Usage summary for /mattgpt usage and the App Home tab
+    async getSummary(userId, date = new Date()) {
+      await ensureLoaded();
+      const today = dayKey(date);
+      const month = monthKey(date);
+
+      const topUsers = {};
+      for (const [day, usage] of Object.entries(days)) {
+        if (!day.startsWith(month)) continue;
+        for (const [user, entry] of Object.entries(usage.users)) {
+          topUsers[user] = (topUsers[user] || 0) + entry.tokens;
+        }
+      }
+
+      const userToday = sumUsage(today, userId);
+      const userMonth = sumUsage(month, userId);
+      const globalToday = sumUsage(today);
+      const globalMonth = sumUsage(month);
+
+      return {
+        today,
+        month,
+        user: {
+          today: { ...userToday, cost: estimateCost(userToday.tokens) },
+          month: { ...userMonth, cost: estimateCost(userMonth.tokens) },
+        },
+        global: {
+          today: { ...globalToday, cost: estimateCost(globalToday.tokens) },
+          month: { ...globalMonth, cost: estimateCost(globalMonth.tokens) },
+        },
+        topUsers: Object.entries(topUsers)
+          .sort(([, a], [, b]) => b - a)
+          .slice(0, 5)
+          .map(([user, tokens]) => ({ userId: user, tokens })),
+        budgets,
+      };
+    },
+  };
+}
+
+// Create the usage ledger from environment variables (budgets of 0 are unlimited)
+function createUsageLedgerFromEnv() {
+  return createUsageLedger({
+    filePath: process.env.USAGE_LEDGER_PATH || path.join(DATA_DIR, 'usage.json'),
+    budgets: {
+      userDaily: readNumber('BUDGET_USER_DAILY_TOKENS'),
+      userMonthly: readNumber('BUDGET_USER_MONTHLY_TOKENS'),
+      globalDaily: readNumber('BUDGET_GLOBAL_DAILY_TOKENS'),
+      globalMonthly: readNumber('BUDGET_GLOBAL_MONTHLY_TOKENS'),
+    },
+    costPer1kTokens: readNumber('USAGE_COST_PER_1K_TOKENS'),
+  });
+}
+
+module.exports = {
+  normalizeTokens,
+  createUsageLedger,
+  createUsageLedgerFromEnv,
+};
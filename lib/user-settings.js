@@ -0,0 +1,94 @@
+const path = require('path');
+const { DATA_DIR, readJsonFile, createSerializedWriter } = require('./json-file');
+
+// Allowed values for each personal setting (the first one is the default)
+const SETTING_CHOICES = {
+  replyMode: ['thread', 'ephemeral'],
+  includeThreadContext: [false, true],
+  verbosity: ['default', 'brief', 'detailed'],
+  // Keep my messages out of the thread context, shortcut threads and summaries sent to the API
+  contextOptOut: [false, true],
+};
+
+// Helper function to check a single setting value
+function isValidSetting(key, value) {
+  return Object.prototype.hasOwnProperty.call(SETTING_CHOICES, key) && SETTING_CHOICES[key].includes(value);
+}
+
+// Per-user preferences set from the App Home tab, persisted as JSON.
+// defaults fills in anything a user hasn't chosen (e.g. the INCLUDE_THREAD_CONTEXT setting).
+function createUserSettingsStore({
+  filePath = path.join(DATA_DIR, 'user-settings.json'),
+  defaults = {},
+} = {}) {
+  const write = createSerializedWriter(filePath);
+  const baseSettings = {
+    ...Object.fromEntries(Object.entries(SETTING_CHOICES).map(([key, choices]) => [key, choices[0]])),
+    ...defaults,
+  };
+  let users = null;
+  let loaded = null;
+
+  // Load the file once, on first access (a failed load is tried again on the next access)
+  const ensureLoaded = () => {
+    if (!loaded) {
+      loaded = readJsonFile(filePath, { users: {} }).then((data) => {
+        users = data.users || {};
+        return users;
+      }).catch((error) => {
+        loaded = null;
+        throw error;
+      });
+    }
+    return loaded;
+  };
+
+  return {
+    defaults: baseSettings,
+
+    // The user's settings merged over the defaults
+    async get(userId) {
+      await ensureLoaded();
+      return { ...baseSettings, ...users[userId]?.settings };
+    },
+
+    // Change one or more settings; unknown keys and values are rejected
+    async update(userId, changes) {
+      await ensureLoaded();
+      for (const [key, value] of Object.entries(changes)) {
+        if (!isValidSetting(key, value)) {
+          throw new Error(`Invalid setting ${key}=${JSON.stringify(value)}`);
+        }
+      }
+
+      users[userId] = {
+        settings: { ...users[userId]?.settings, ...changes },
+        updatedAt: new Date().toISOString(),
+      };
+      await write({ users });
+      return { ...baseSettings, ...users[userId].settings };
+    },
+
+    // IDs of the users who chose a value for a setting (e.g. everyone who opted out)
+    async usersWith(key, value) {
+      await ensureLoaded();
+      return new Set(Object.keys(users).filter((userId) => users[userId].settings?.[key] === value));
+    },
+  };
+}
+
+// Create the user settings store from environment variables
+function createUserSettingsStoreFromEnv() {
+  return createUserSettingsStore({
+    filePath: process.env.USER_SETTINGS_PATH || path.join(DATA_DIR, 'user-settings.json'),
+    defaults: {
+      includeThreadContext: process.env.INCLUDE_THREAD_CONTEXT === 'true',
+    },
+  });
+}
+
+module.exports = {
+  SETTING_CHOICES,
+  createUserSettingsStore,
+  createUserSettingsStoreFromEnv,
+};
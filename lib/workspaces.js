@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const { createChannelPolicyFromEnv } = require('./channel-policy');
+const { createBackendRegistryFromEnv } = require('./backends');
+const { createAnswerMetadataPolicyFromEnv } = require('./answer-metadata');
+const { createAccessPolicyFromEnv } = require('./access-control');
+
+// Resolve a workspace's env overrides. A value starting with "$" names another environment
+// variable, so secrets can stay out of the config file ("$ACME_MATT_GPT_TOKEN").
+function resolveOverrides(overrides = {}, env = process.env) {
+  const resolved = {};
+  for (const [key, value] of Object.entries(overrides)) {
+    if (typeof value === 'string' && value.startsWith('$')) {
+      const variable = value.slice(1);
+      if (env[variable] === undefined) {
+        throw new Error(`${key} refers to ${value}, but ${variable} is not set`);
+      }
+      resolved[key] = env[variable];
+    } else {
+      resolved[key] = String(value);
+    }
+  }
+  return resolved;
+}
+
+// Per-workspace configuration. Each workspace (Slack team_id) gets its own channel policy,
+// backend registry, answer metadata policy and access policy, built by the usual FromEnv factories from the
+// process environment with that workspace's overrides on top. Teams without overrides share the default workspace.
+// workspaces: { T123: { name?, env: { SLACK_CHANNELS, MATT_GPT_BEARER_TOKEN, ... } } }
+function createWorkspaceRegistry({ workspaces = {}, env = process.env, logger = null } = {}) {
+  const build = (teamId, config = {}) => {
+    let workspaceEnv;
+    try {
+      workspaceEnv = { ...env, ...resolveOverrides(config.env, env) };
+    } catch (error) {
+      throw new Error(`Workspace ${teamId}: ${error.message}`);
+    }
+    return {
+      teamId,
+      name: config.name || teamId || 'default',
+      env: workspaceEnv,
+      channelPolicy: createChannelPolicyFromEnv(workspaceEnv, { logger }),
+      backendRegistry: createBackendRegistryFromEnv(workspaceEnv),
+      answerMetadata: createAnswerMetadataPolicyFromEnv(workspaceEnv),
+      accessPolicy: createAccessPolicyFromEnv(workspaceEnv),
+    };
+  };
+
+  const defaultWorkspace = build(null);
+  const configured = new Map(
+    Object.entries(workspaces).map(([teamId, config]) => [teamId, build(teamId, config)])
+  );
+
+  return {
+    default: defaultWorkspace,
+    teamIds: [...configured.keys()],
+
+    // The workspace for a team_id (the default one when the team has no overrides)
+    get(teamId) {
+      return (teamId && configured.get(teamId)) || defaultWorkspace;
+    },
+
+    // Every workspace, default first
+    all() {
+      return [defaultWorkspace, ...configured.values()];
+    },
+  };
+}
+
+// Read the workspace overrides file (JSON); a missing file means no overrides
+function loadWorkspaceConfig(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Could not parse workspace config ${filePath}: ${error.message}`);
+  }
+}
+
+// Create the workspace registry from WORKSPACES_CONFIG_PATH (default workspaces.json next to app.js)
+function createWorkspaceRegistryFromEnv(env = process.env, { logger = null } = {}) {
+  const filePath = env.WORKSPACES_CONFIG_PATH || path.join(__dirname, '..', 'workspaces.json');
+  return createWorkspaceRegistry({ workspaces: loadWorkspaceConfig(filePath), env, logger });
+}
+
+module.exports = {
+  createWorkspaceRegistry,
+  loadWorkspaceConfig,
+  createWorkspaceRegistryFromEnv,
+};
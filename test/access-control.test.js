@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createAccessPolicy, createAccessPolicyFromEnv } = require('../lib/access-control');
+
+// Fake Slack client answering usergroups.users.list from a map of group -> members
+function createClient(groups) {
+  const lookups = [];
+  return {
+    lookups,
+    usergroups: {
+      users: {
+        list: async ({ usergroup }) => {
+          lookups.push(usergroup);
+          if (!groups[usergroup]) throw new Error('no_such_subteam');
+          return { users: groups[usergroup] };
+        },
+      },
+    },
+  };
+}
+
+describe('access control', () => {
+  it('lets everyone in without lists', async () => {
+    const policy = createAccessPolicy();
+
+    assert.deepEqual(await policy.check(createClient({}), 'U1'), { allowed: true, reason: null });
+    assert.equal(policy.hasRestrictions, false);
+    assert.equal(policy.describe(), 'everyone allowed, no admins');
+  });
+
+  it('checks blocklists before allowlists, with user groups and admins', async () => {
+    const client = createClient({ S_ENG: ['U1', 'U2', 'U3'], S_OPS: ['U9'] });
+    const policy = createAccessPolicyFromEnv({
+      ACCESS_ALLOW_USERGROUPS: 'S_ENG',
+      ACCESS_BLOCK_USERS: 'U2',
+      ADMIN_USERGROUPS: 'S_OPS',
+    });
+
+    assert.equal((await policy.check(client, 'U1')).allowed, true);
+    assert.deepEqual(await policy.check(client, 'U2'), { allowed: false, reason: 'blocked' });
+    assert.deepEqual(await policy.check(client, 'U4'), { allowed: false, reason: 'not_allowed' });
+    // Admins are always let in
+    assert.equal((await policy.check(client, 'U9')).allowed, true);
+    assert.equal(await policy.isAdmin(client, 'U9'), true);
+    assert.equal(await policy.isAdmin(client, 'U1'), false);
+    assert.equal(policy.describe(), 'allowed: 1 group, blocked: 1 user, admins: 1 group');
+
+    // Memberships are cached
+    assert.equal(client.lookups.filter((group) => group === 'S_ENG').length, 1);
+  });
+
+  it('lets nobody in through allowed or admin groups it cannot look up', async () => {
+    const policy = createAccessPolicy({ allowGroups: ['S_MISSING'], adminGroups: ['S_MISSING'] });
+
+    assert.deepEqual(await policy.check(createClient({}), 'U1'), { allowed: false, reason: 'not_allowed' });
+    assert.equal(await policy.isAdmin(createClient({}), 'U1'), false);
+  });
+
+  it('refuses everyone but admins while a blocked group cannot be looked up', async () => {
+    const client = createClient({ S_OPS: ['U9'] });
+    const policy = createAccessPolicy({ blockGroups: ['S_BANNED'], adminGroups: ['S_OPS'] });
+
+    assert.deepEqual(await policy.check(client, 'U1'), { allowed: false, reason: 'unverified' });
+    assert.equal((await policy.check(client, 'U9')).allowed, true);
+  });
+
+  it('looks a failed group up again after a minute', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'] });
+    const groups = {};
+    const client = createClient(groups);
+    const policy = createAccessPolicy({ blockGroups: ['S_BANNED'] });
+
+    assert.equal((await policy.check(client, 'U1')).reason, 'unverified');
+
+    groups.S_BANNED = ['U2'];
+    assert.equal((await policy.check(client, 'U1')).reason, 'unverified');
+    t.mock.timers.tick(60001);
+    assert.deepEqual(await policy.check(client, 'U1'), { allowed: true, reason: null });
+    assert.deepEqual(await policy.check(client, 'U2'), { allowed: false, reason: 'blocked' });
+  });
+});
@@ -0,0 +1,93 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  summarizeAnswer,
+  formatFooter,
+  decodeSources,
+  createAnswerMetadataBlocks,
+  toggleSourcesInBlocks,
+  createAnswerMetadataPolicyFromEnv,
+} = require('../lib/answer-metadata');
+
+describe('answer metadata', () => {
+  it('formats the footer from the response fields', () => {
+    const summary = summarizeAnswer({ context_items_used: 5, latency_ms: 2300, tokens_used: 1200, query_id: 'abcdef123456' });
+    assert.equal(formatFooter(summary), '📚 5 sources · 2.3s · 1.2k tokens · query `abcdef12`');
+
+    // OpenAI-compatible backends: usage objects and no context count
+    assert.equal(formatFooter(summarizeAnswer({ latency_ms: 850, tokens_used: { total_tokens: 950 } })), '850ms · 950 tokens');
+  });
+
+  it('says when an answer used no sources', () => {
+    assert.equal(formatFooter(summarizeAnswer({ context_items_used: 0, tokens_used: 2000 })), '💭 No sources - model only · 2k tokens');
+  });
+
+  it('reads sources from sources or context_items, skipping empty items and unsafe links', () => {
+    const { sources, sourceCount } = summarizeAnswer({
+      context_items: [
+        { name: 'Notes', link: 'javascript:alert(1)', content: 'line one\n  line two' },
+        { title: 'Plan', url: 'https://example.com/plan' },
+        {},
+        'not an object',
+      ],
+    });
+    assert.equal(sourceCount, 2);
+    assert.deepEqual(sources, [
+      { title: 'Notes', url: null, snippet: 'line one line two' },
+      { title: 'Plan', url: 'https://example.com/plan', snippet: '' },
+    ]);
+  });
+
+  it('adds the sources button only at the citations level', () => {
+    const summary = summarizeAnswer({ context_items_used: 1, sources: [{ title: 'Plan', snippet: 'Ship it' }] });
+
+    assert.deepEqual(createAnswerMetadataBlocks(summary, 'off'), []);
+    assert.deepEqual(createAnswerMetadataBlocks(summary, 'footer').map((block) => block.block_id), ['answer_metadata']);
+    assert.deepEqual(createAnswerMetadataBlocks(summary, 'citations').map((block) => block.block_id), ['answer_metadata', 'answer_sources']);
+    for (const block of createAnswerMetadataBlocks(summary, 'citations')) {
+      assert.ok(!block.block_id.startsWith('conv_'));
+    }
+  });
+
+  it('keeps the sources in the button value under the 2,000 character limit', () => {
+    const sources = Array.from({ length: 10 }, (_, index) => ({
+      title: `Source ${index}`,
+      url: `https://example.com/${index}`,
+      snippet: 'word '.repeat(100),
+    }));
+    const [, toggle] = createAnswerMetadataBlocks(summarizeAnswer({ sources }), 'citations');
+    const { value } = toggle.elements[0];
+
+    assert.ok(value.length <= 2000);
+    const decoded = decodeSources(value);
+    assert.equal(decoded.length, 10);
+    assert.equal(decoded[0].url, 'https://example.com/0');
+  });
+
+  it('expands and collapses the citations without touching the other blocks', () => {
+    const summary = summarizeAnswer({ sources: [{ title: 'A <b> & c', url: 'https://example.com/a', snippet: 'Snippet' }] });
+    const blocks = [
+      { type: 'section', block_id: 'conv_conv-1', text: { type: 'mrkdwn', text: 'Answer' } },
+      ...createAnswerMetadataBlocks(summary, 'citations'),
+      { type: 'actions', block_id: 'feedback_actions', elements: [] },
+    ];
+    const sources = decodeSources(blocks[2].elements[0].value);
+
+    const expanded = toggleSourcesInBlocks(blocks, sources, true);
+    assert.deepEqual(expanded.map((block) => block.block_id), ['conv_conv-1', 'answer_metadata', 'answer_sources_list', 'answer_sources', 'feedback_actions']);
+    assert.equal(expanded[2].text.text, '*1.* <https://example.com/a|A &lt;b&gt; &amp; c>\n> Snippet');
+
+    assert.deepEqual(toggleSourcesInBlocks(expanded, sources, false), blocks);
+  });
+
+  it('picks the level per channel', () => {
+    const policy = createAnswerMetadataPolicyFromEnv({ ANSWER_METADATA: 'footer', ANSWER_METADATA_CHANNELS: 'C1:off, C2:citations' });
+
+    assert.equal(policy.levelFor('C1'), 'off');
+    assert.equal(policy.levelFor('C2'), 'citations');
+    assert.equal(policy.levelFor('C3'), 'footer');
+    assert.equal(createAnswerMetadataPolicyFromEnv({}).levelFor('C1'), 'off');
+    assert.throws(() => createAnswerMetadataPolicyFromEnv({ ANSWER_METADATA: 'verbose' }), /Invalid ANSWER_METADATA 'verbose'/);
+    assert.throws(() => createAnswerMetadataPolicyFromEnv({ ANSWER_METADATA_CHANNELS: 'C1' }), /Invalid ANSWER_METADATA_CHANNELS level for C1/);
+  });
+});
@@ -0,0 +1,60 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAuditLog } = require('../lib/audit-log');
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('audit log', () => {
+  let dataDir;
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'matt-gpt-audit-'));
+  });
+
+  after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('appends entries and lists the newest first', async () => {
+    const auditLog = createAuditLog({ filePath: path.join(dataDir, 'recent.jsonl'), logger: silentLogger });
+    await Promise.all([
+      auditLog.record({ event: 'question', user: 'U1', question: 'first' }),
+      auditLog.record({ event: 'answer', user: 'U1' }),
+      auditLog.record({ event: 'question', user: 'U2', question: 'second' }),
+    ]);
+
+    const recent = await auditLog.recent({ limit: 5, filter: (entry) => entry.event === 'question' });
+    assert.deepEqual(recent.map((entry) => entry.question), ['second', 'first']);
+    assert.ok(Date.parse(recent[0].time) > 0);
+  });
+
+  it('purges entries past the retention period, or everything about a user', async () => {
+    const filePath = path.join(dataDir, 'purge.jsonl');
+    const now = Date.now();
+    fs.writeFileSync(filePath, [
+      { time: new Date(now - 40 * DAY_MS).toISOString(), event: 'question', user: 'U1' },
+      { time: new Date(now - 10 * DAY_MS).toISOString(), event: 'question', user: 'U2' },
+      { time: new Date(now - DAY_MS).toISOString(), event: 'question', user: 'U1' },
+    ].map((entry) => JSON.stringify(entry)).join('\n') + '\n{"time": "cut sh');
+    const auditLog = createAuditLog({ filePath, retentionDays: 30, logger: silentLogger });
+
+    assert.deepEqual(await auditLog.purge({ now }), { removed: 1, kept: 2 });
+    assert.deepEqual(await auditLog.purge({ user: 'U1' }), { removed: 1, kept: 1 });
+    await auditLog.record({ event: 'admin', user: 'U9', action: 'purge' });
+
+    const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+    assert.deepEqual(lines.map((entry) => entry.user), ['U2', 'U9']);
+  });
+
+  it('writes nothing when turned off', async () => {
+    const filePath = path.join(dataDir, 'off.jsonl');
+    const auditLog = createAuditLog({ filePath, enabled: false, logger: silentLogger });
+    await auditLog.record({ event: 'question', user: 'U1' });
+
+    assert.equal(fs.existsSync(filePath), false);
+  });
+});
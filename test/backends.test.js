@@ -0,0 +1,42 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBackendRegistry, createBackendRegistryFromEnv } = require('../lib/backends');
+
+describe('backend registry', () => {
+  it('only has Matt-GPT unless an OpenAI-compatible endpoint is configured', () => {
+    const registry = createBackendRegistryFromEnv({ MATT_GPT_API_URL: 'http://matt-gpt.internal' });
+
+    assert.deepEqual(registry.names, ['matt-gpt']);
+    assert.equal(registry.defaultName, 'matt-gpt');
+    assert.equal(registry.get().name, 'matt-gpt');
+    assert.equal(registry.has('openai'), false);
+  });
+
+  it('adds the OpenAI-compatible backend and can make it the default', () => {
+    const registry = createBackendRegistryFromEnv({
+      OPENAI_COMPAT_BASE_URL: 'http://localhost:11434/v1/',
+      OPENAI_COMPAT_MODEL: 'llama3',
+      DEFAULT_BACKEND: 'openai',
+    });
+
+    assert.deepEqual(registry.names, ['matt-gpt', 'openai']);
+    const openai = registry.get();
+    assert.equal(openai.name, 'openai');
+    assert.equal(openai.label, 'OpenAI-compatible (llama3)');
+    assert.equal(openai.apiUrl, 'http://localhost:11434/v1');
+    assert.equal(openai.stateless, true);
+    assert.equal(registry.get('matt-gpt').stateless, false);
+  });
+
+  it('refuses unknown backends', () => {
+    assert.throws(() => createBackendRegistryFromEnv({ DEFAULT_BACKEND: 'openai' }), /Unknown default backend 'openai' \(configured: matt-gpt\)/);
+    assert.throws(() => createBackendRegistry([{ name: 'matt-gpt' }], 'matt-gpt').get('local'), /Unknown backend 'local'/);
+  });
+
+  it('reports missing configuration in words the user can act on', () => {
+    const registry = createBackendRegistryFromEnv({ OPENAI_COMPAT_BASE_URL: 'http://localhost:11434/v1' });
+
+    assert.match(registry.get('matt-gpt').checkConfiguration(), /set MATT_GPT_BEARER_TOKEN/);
+    assert.match(registry.get('openai').checkConfiguration(), /set OPENAI_COMPAT_MODEL/);
+  });
+});
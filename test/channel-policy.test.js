@@ -0,0 +1,112 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseChannelList, createChannelPolicy, createChannelPolicyFromEnv } = require('../lib/channel-policy');
+
+// Fake Slack client whose conversations.info fails (missing scope, transient error, ...)
+const failingClient = {
+  conversations: {
+    info: async () => { throw new Error('missing_scope'); },
+  },
+};
+
+// Logger that keeps the warnings it was given
+function createLogger() {
+  const warnings = [];
+  return { warnings, warn: (...args) => warnings.push(args.join(' ')) };
+}
+
+// Fake Slack client that reports channel types and counts its lookups
+function createClient(types) {
+  const client = {
+    lookups: 0,
+    conversations: {
+      info: async ({ channel }) => {
+        client.lookups++;
+        return { channel: { id: channel, ...types[channel] } };
+      },
+    },
+  };
+  return client;
+}
+
+describe('channel policy', () => {
+  it('parses channel modes and backends', () => {
+    assert.deepEqual([...parseChannelList(' C1, C2:all ,G3:mention:openai,C4:openai')], [
+      ['C1', { mode: 'mention', backend: null }],
+      ['C2', { mode: 'all', backend: null }],
+      ['G3', { mode: 'mention', backend: 'openai' }],
+      ['C4', { mode: 'mention', backend: 'openai' }],
+    ]);
+    assert.throws(() => parseChannelList('C1:openai:local'), /Invalid option 'local' for channel C1/);
+  });
+
+  it('answers in any channel without a channel list, and only in listed ones with it', async () => {
+    const client = createClient({ C1: {}, C2: {} });
+
+    assert.deepEqual(await createChannelPolicy().resolve(client, 'C2'), { allowed: true, mode: 'mention', channelType: 'public', backend: null });
+
+    const policy = createChannelPolicy({ channels: parseChannelList('C1:all:openai') });
+    assert.deepEqual(await policy.resolve(client, 'C1'), { allowed: true, mode: 'all', channelType: 'public', backend: 'openai' });
+    assert.equal((await policy.resolve(client, 'C2')).allowed, false);
+    assert.equal(policy.getBackendName('C1'), 'openai');
+    assert.deepEqual(policy.backendNames, ['openai']);
+  });
+
+  it('answers DMs and group DMs only when enabled, unless a group DM is listed', async () => {
+    const client = createClient({ D1: { is_im: true }, G1: { is_mpim: true }, G2: { is_mpim: true } });
+
+    const closed = createChannelPolicy({ channels: parseChannelList('G2') });
+    assert.equal((await closed.resolve(client, 'D1')).allowed, false);
+    assert.equal((await closed.resolve(client, 'G1')).allowed, false);
+    assert.equal((await closed.resolve(client, 'G2')).allowed, true);
+
+    const open = createChannelPolicy({ allowDMs: true, allowGroupDMs: true });
+    assert.deepEqual(await open.resolve(client, 'D1'), { allowed: true, mode: 'all', channelType: 'im', backend: null });
+    assert.deepEqual(await open.resolve(client, 'G1'), { allowed: true, mode: 'mention', channelType: 'mpim', backend: null });
+  });
+
+  it('looks up each channel type once', async () => {
+    const client = createClient({ C1: { is_private: true } });
+    const policy = createChannelPolicy();
+
+    assert.equal((await policy.resolve(client, 'C1')).channelType, 'private');
+    assert.equal((await policy.resolve(client, 'C1')).channelType, 'private');
+    assert.equal(client.lookups, 1);
+  });
+
+  it('still honors the legacy SLACK_CHANNEL_ID', () => {
+    const policy = createChannelPolicyFromEnv({ SLACK_CHANNELS: 'C1:all', SLACK_CHANNEL_ID: 'C2', ALLOW_DMS: 'true' });
+
+    assert.deepEqual(policy.allowedChannels, ['C1', 'C2']);
+    assert.equal(policy.allowDMs, true);
+    assert.equal(policy.allowGroupDMs, false);
+    assert.equal(policy.describe(), '<#C1> (all), <#C2> (mention); DMs enabled; group DMs disabled');
+  });
+
+  it('answers everywhere when the channel lookup fails and no channel list is configured', async () => {
+    const logger = createLogger();
+    const policy = createChannelPolicy({ logger });
+
+    const result = await policy.resolve(failingClient, 'C1');
+    assert.equal(result.allowed, true);
+    assert.equal(result.channelType, 'unknown');
+    assert.match(logger.warnings[0], /Could not look up channel type for C1: missing_scope/);
+  });
+
+  it('only answers in listed channels when the channel lookup fails', async () => {
+    const policy = createChannelPolicy({ channels: parseChannelList('C1:all') });
+
+    assert.deepEqual(
+      { ...(await policy.resolve(failingClient, 'C1')), error: undefined },
+      { allowed: true, mode: 'all', channelType: 'unknown', backend: null, error: undefined }
+    );
+    assert.equal((await policy.resolve(failingClient, 'C2')).allowed, false);
+  });
+
+  it('uses the event channel type without calling Slack', async () => {
+    const policy = createChannelPolicy({ channels: parseChannelList('C1'), allowDMs: true });
+
+    assert.deepEqual(await policy.resolve(failingClient, 'D1', 'im'), { allowed: true, mode: 'all', channelType: 'im', backend: null });
+    assert.equal((await policy.resolve(failingClient, 'C2', 'channel')).allowed, false);
+  });
+});
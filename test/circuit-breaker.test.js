@@ -0,0 +1,147 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRetryAfter, classifyError, createCircuitBreaker } = require('../lib/circuit-breaker');
+
+const silentLogger = { info() {}, warn() {}, error() {} };
+
+// Helper function to build an axios-style error with an HTTP response
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers };
+  return error;
+}
+
+describe('circuit breaker', () => {
+  describe('parseRetryAfter', () => {
+    it('reads seconds and HTTP dates', () => {
+      const now = Date.parse('2024-08-01T12:00:00Z');
+
+      assert.equal(parseRetryAfter('3', now), 3000);
+      assert.equal(parseRetryAfter('Thu, 01 Aug 2024 12:00:10 GMT', now), 10000);
+      assert.equal(parseRetryAfter('Thu, 01 Aug 2024 11:00:00 GMT', now), 0);
+    });
+
+    it('returns null for missing or unreadable values', () => {
+      assert.equal(parseRetryAfter(undefined), null);
+      assert.equal(parseRetryAfter(''), null);
+      assert.equal(parseRetryAfter('soon'), null);
+    });
+  });
+
+  describe('classifyError', () => {
+    it('retries rate limits, server errors and network failures', () => {
+      assert.deepEqual(classifyError(httpError(429, { 'retry-after': '2' })), { retryable: true, status: 429, retryAfterMs: 2000 });
+      assert.equal(classifyError(httpError(503)).retryable, true);
+      assert.equal(classifyError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })).retryable, true);
+    });
+
+    it('does not retry client errors or programming errors', () => {
+      assert.equal(classifyError(httpError(401)).retryable, false);
+      assert.equal(classifyError(httpError(422)).retryable, false);
+      assert.equal(classifyError(new TypeError('x is not a function')).retryable, false);
+    });
+  });
+
+  describe('createCircuitBreaker', () => {
+    const createBreaker = (options = {}) => createCircuitBreaker({
+      name: 'Matt-GPT', failureThreshold: 3, resetTimeoutMs: 1000, logger: silentLogger, ...options,
+    });
+
+    it('opens after the failure threshold and fails fast until the timeout', () => {
+      const breaker = createBreaker();
+
+      breaker.recordFailure(new Error('boom'));
+      breaker.recordFailure(new Error('boom'));
+      assert.equal(breaker.state, 'closed');
+      assert.deepEqual(breaker.check(), { allowed: true });
+
+      breaker.recordFailure(new Error('boom'));
+      assert.equal(breaker.state, 'open');
+
+      const { allowed, retryAfterMs } = breaker.check();
+      assert.equal(allowed, false);
+      assert.ok(retryAfterMs > 0 && retryAfterMs <= 1000);
+    });
+
+    it('resets the failure count after a success', () => {
+      const breaker = createBreaker();
+
+      breaker.recordFailure(new Error('boom'));
+      breaker.recordFailure(new Error('boom'));
+      breaker.recordSuccess();
+      breaker.recordFailure(new Error('boom'));
+      breaker.recordFailure(new Error('boom'));
+
+      assert.equal(breaker.state, 'closed');
+    });
+
+    it('lets one trial request through when half open', () => {
+      const breaker = createBreaker();
+      for (let i = 0; i < 3; i++) breaker.recordFailure(new Error('boom'));
+      const afterTimeout = Date.now() + 1001;
+
+      assert.deepEqual(breaker.check(afterTimeout), { allowed: true });
+      assert.equal(breaker.state, 'half_open');
+      // There's no wait time to report while the trial decides what happens next
+      assert.deepEqual(breaker.check(afterTimeout), { allowed: false, retryAfterMs: null });
+    });
+
+    it('closes again when the trial request succeeds', () => {
+      const breaker = createBreaker();
+      for (let i = 0; i < 3; i++) breaker.recordFailure(new Error('boom'));
+      breaker.check(Date.now() + 1001);
+
+      breaker.recordSuccess();
+
+      assert.equal(breaker.state, 'closed');
+      assert.deepEqual(breaker.check(), { allowed: true });
+      assert.deepEqual(breaker.check(), { allowed: true });
+    });
+
+    it('reopens for another full timeout when the trial request fails', () => {
+      const breaker = createBreaker();
+      for (let i = 0; i < 3; i++) breaker.recordFailure(new Error('boom'));
+      breaker.check(Date.now() + 1001);
+
+      breaker.recordFailure(new Error('still down'));
+
+      assert.equal(breaker.state, 'open');
+      assert.equal(breaker.check().allowed, false);
+      assert.equal(breaker.getStatus().last_failure.message, 'still down');
+    });
+
+    it('frees the trial slot after a neutral result', () => {
+      const breaker = createBreaker();
+      for (let i = 0; i < 3; i++) breaker.recordFailure(new Error('boom'));
+      const afterTimeout = Date.now() + 1001;
+      breaker.check(afterTimeout);
+
+      breaker.recordNeutral();
+
+      assert.equal(breaker.state, 'half_open');
+      assert.deepEqual(breaker.check(afterTimeout), { allowed: true });
+    });
+
+    it('goes half open early when a health check passes', async () => {
+      const breaker = createBreaker({ resetTimeoutMs: 60000, healthCheck: async () => ({ healthy: true }) });
+      for (let i = 0; i < 3; i++) breaker.recordFailure(new Error('boom'));
+
+      await breaker.probe();
+      breaker.stop();
+
+      assert.equal(breaker.state, 'half_open');
+      assert.equal(breaker.getStatus().last_health_check.healthy, true);
+    });
+
+    it('stays open when a health check fails', async () => {
+      const breaker = createBreaker({ resetTimeoutMs: 60000, healthCheck: async () => ({ healthy: false }) });
+      for (let i = 0; i < 3; i++) breaker.recordFailure(new Error('boom'));
+
+      await breaker.probe();
+      breaker.stop();
+
+      assert.equal(breaker.state, 'open');
+      assert.ok(breaker.getStatus().retry_after_ms > 0);
+    });
+  });
+});
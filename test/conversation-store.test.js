@@ -0,0 +1,37 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileConversationStore } = require('../lib/conversation-store');
+
+describe('file conversation store', () => {
+  let dataDir;
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'matt-gpt-conversations-'));
+  });
+
+  after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('keeps thread records across store instances', async () => {
+    const filePath = path.join(dataDir, 'conversations.json');
+    await createFileConversationStore(filePath).save('C1', '1.000100', { conversationId: 'conv-1' });
+
+    const record = await createFileConversationStore(filePath).get('C1', '1.000100');
+    assert.equal(record.conversationId, 'conv-1');
+  });
+
+  it('loads the file again after a failed load', async () => {
+    const filePath = path.join(dataDir, 'broken.json');
+    fs.writeFileSync(filePath, '{ not json');
+    const store = createFileConversationStore(filePath);
+
+    await assert.rejects(store.get('C1', '1.000100'), SyntaxError);
+
+    fs.writeFileSync(filePath, JSON.stringify({ 'C1:1.000100': { conversationId: 'conv-recovered' } }));
+    assert.equal((await store.get('C1', '1.000100')).conversationId, 'conv-recovered');
+  });
+});
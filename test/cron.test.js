@@ -0,0 +1,41 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, isValidTimezone, nextCronRun } = require('../lib/cron');
+
+describe('cron expressions', () => {
+  it('parses fields with names, ranges, steps and shortcuts', () => {
+    const cron = parseCron('*/15 9-17 * JAN,jul mon-fri');
+    assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+    assert.deepEqual([...cron.hours], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+    assert.deepEqual([...cron.months], [1, 7]);
+    assert.deepEqual([...cron.weekdays], [1, 2, 3, 4, 5]);
+
+    assert.deepEqual([...parseCron('0 0 * * 7').weekdays], [0]);
+    assert.equal(parseCron('@daily').expression, '@daily');
+    assert.deepEqual([...parseCron('@daily').hours], [0]);
+
+    assert.throws(() => parseCron('0 9 * *'), /five fields/);
+    assert.throws(() => parseCron('60 * * * *'), /Invalid minute '60'/);
+    assert.throws(() => parseCron('0 9 * * FUN'), /Invalid day of week 'FUN'/);
+    assert.throws(() => parseCron('0 17-9 * * *'), /Invalid range/);
+  });
+
+  it('finds the next run on the wall clock of a timezone', () => {
+    const cron = parseCron('0 9 * * MON');
+    // Monday 9am in Berlin is 8:00 UTC in winter and 7:00 UTC in summer
+    assert.equal(nextCronRun(cron, { after: new Date('2026-01-01T00:00:00Z'), timezone: 'Europe/Berlin' }).toISOString(), '2026-01-05T08:00:00.000Z');
+    assert.equal(nextCronRun(cron, { after: new Date('2026-07-01T00:00:00Z'), timezone: 'Europe/Berlin' }).toISOString(), '2026-07-06T07:00:00.000Z');
+    // Strictly after: a run at exactly `after` is the next week's
+    assert.equal(nextCronRun(cron, { after: new Date('2026-01-05T08:00:00Z'), timezone: 'Europe/Berlin' }).toISOString(), '2026-01-12T08:00:00.000Z');
+  });
+
+  it('skips times that do not exist and dates that never come', () => {
+    // 2:30am on 29 March 2026 is skipped in Berlin when the clocks go forward
+    assert.equal(nextCronRun(parseCron('30 2 * * *'), { after: new Date('2026-03-28T12:00:00Z'), timezone: 'Europe/Berlin' }).toISOString(), '2026-03-30T00:30:00.000Z');
+    assert.equal(nextCronRun(parseCron('0 0 29 2 *'), { after: new Date('2026-03-01T00:00:00Z') }).toISOString(), '2028-02-29T00:00:00.000Z');
+    assert.equal(nextCronRun(parseCron('0 0 31 2 *')), null);
+
+    assert.ok(isValidTimezone('America/New_York'));
+    assert.ok(!isValidTimezone('Mars/Olympus_Mons'));
+  });
+});
@@ -0,0 +1,32 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { eventDedupKeys, createEventDeduplicator } = require('../lib/event-dedup');
+
+describe('event deduplication', () => {
+  it('keys events by event_id and by type, channel and timestamp', () => {
+    const body = { event_id: 'Ev1', event: { type: 'app_mention', channel: 'C1', ts: '1.1', event_ts: '1.1' } };
+
+    assert.deepEqual(eventDedupKeys(body), ['event:Ev1', 'ts:app_mention:C1:1.1']);
+    assert.deepEqual(eventDedupKeys({ command: '/mattgpt' }), []);
+  });
+
+  it('reports redeliveries as duplicates', () => {
+    const deduplicator = createEventDeduplicator();
+    const mention = { event_id: 'Ev1', event: { type: 'app_mention', channel: 'C1', event_ts: '1.1' } };
+
+    assert.equal(deduplicator.checkAndRemember(eventDedupKeys(mention)), false);
+    assert.equal(deduplicator.checkAndRemember(eventDedupKeys(mention)), true);
+    // Same message under another event_id
+    assert.equal(deduplicator.checkAndRemember(eventDedupKeys({ ...mention, event_id: 'Ev2' })), true);
+    // The message event for the same message is a different event
+    assert.equal(deduplicator.checkAndRemember(eventDedupKeys({ event_id: 'Ev3', event: { ...mention.event, type: 'message' } })), false);
+  });
+
+  it('forgets keys after the TTL', async () => {
+    const deduplicator = createEventDeduplicator({ ttlMs: 10 });
+
+    deduplicator.checkAndRemember(['event:Ev1']);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    assert.equal(deduplicator.checkAndRemember(['event:Ev1']), false);
+  });
+});
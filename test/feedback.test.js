@@ -0,0 +1,88 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const silentLogger = { info() {}, warn() {} };
+
+let feedback;
+
+describe('feedback', () => {
+  let dataDir;
+  let logPath;
+
+  // Helper function to read the local feedback log
+  const readLog = () => fs.readFileSync(logPath, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'matt-gpt-feedback-'));
+    logPath = path.join(dataDir, 'feedback.jsonl');
+    // The log path is read when the module loads
+    process.env.FEEDBACK_LOG_PATH = logPath;
+    feedback = require('../lib/feedback');
+  });
+
+  after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe('createFeedbackActionsBlock', () => {
+    it('offers thumbs and Regenerate with everything the handlers need', () => {
+      const block = feedback.createFeedbackActionsBlock({ queryId: 'q-1', backend: 'matt-gpt', conversationId: 'conv-1', questionTs: '1.000200', threadTs: '1.000100' });
+
+      assert.equal(block.block_id, 'feedback_actions');
+      assert.deepEqual(block.elements.map((button) => button.action_id), ['feedback_thumbs_up', 'feedback_thumbs_down', 'feedback_regenerate']);
+      assert.deepEqual(feedback.parseFeedbackValue(block.elements[0].value), {
+        query_id: 'q-1', backend: 'matt-gpt', conversation_id: 'conv-1', question_ts: '1.000200', thread_ts: '1.000100',
+      });
+    });
+
+    it('leaves out the buttons it has nothing for', () => {
+      const withoutQuestion = feedback.createFeedbackActionsBlock({ queryId: 'q-1', conversationId: 'conv-1' });
+      assert.deepEqual(withoutQuestion.elements.map((button) => button.action_id), ['feedback_thumbs_up', 'feedback_thumbs_down']);
+
+      const withoutQuery = feedback.createFeedbackActionsBlock({ questionTs: '1.000200', threadTs: '1.000100' });
+      assert.deepEqual(withoutQuery.elements.map((button) => button.action_id), ['feedback_regenerate']);
+
+      assert.equal(feedback.createFeedbackActionsBlock({}), null);
+    });
+  });
+
+  it('reads button values and submitted modals, tolerating missing fields', () => {
+    assert.deepEqual(feedback.parseFeedbackValue('not json'), {});
+
+    const modal = feedback.createNegativeFeedbackModal({ query_id: 'q-1' });
+    assert.equal(modal.callback_id, feedback.FEEDBACK_MODAL_CALLBACK_ID);
+    assert.deepEqual(JSON.parse(modal.private_metadata), { query_id: 'q-1' });
+
+    assert.deepEqual(feedback.readNegativeFeedbackModal({
+      state: { values: { reason: { value: { selected_option: { value: 'too_long' } } }, comment: { value: { value: 'Shorter please' } } } },
+    }), { reason: 'too_long', comment: 'Shorter please' });
+    assert.deepEqual(feedback.readNegativeFeedbackModal({}), { reason: null, comment: null });
+  });
+
+  describe('recordFeedback', () => {
+    it('sends feedback to a backend that takes it', async () => {
+      const sent = [];
+      const backend = { label: 'Matt-GPT', sendFeedback: async (entry) => { sent.push(entry); } };
+
+      const result = await feedback.recordFeedback({ query_id: 'q-api', rating: 'positive' }, backend, silentLogger);
+
+      assert.deepEqual(result, { destination: 'api' });
+      assert.equal(sent[0].query_id, 'q-api');
+      assert.ok(sent[0].recorded_at);
+      assert.equal(fs.existsSync(logPath), false);
+    });
+
+    it('logs locally when the backend has no feedback endpoint or it fails', async () => {
+      const failing = { label: 'Matt-GPT', sendFeedback: async () => { throw Object.assign(new Error('Not Found'), { response: { status: 404 } }); } };
+
+      assert.deepEqual(await feedback.recordFeedback({ query_id: 'q-failed', rating: 'negative' }, failing, silentLogger), { destination: 'local' });
+      assert.deepEqual(await feedback.recordFeedback({ query_id: 'q-openai', rating: 'positive' }, { label: 'OpenAI-compatible' }, silentLogger), { destination: 'local' });
+      assert.deepEqual(await feedback.recordFeedback({ query_id: 'q-none', rating: 'positive' }, null, silentLogger), { destination: 'local' });
+
+      assert.deepEqual(readLog().map((entry) => entry.query_id), ['q-failed', 'q-openai', 'q-none']);
+    });
+  });
+});
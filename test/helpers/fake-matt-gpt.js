@@ -0,0 +1,81 @@
+const http = require('http');
+
+const DEFAULT_RESPONSE = {
+  status: 200,
+  body: {
+    response: 'Hello from Matt-GPT',
+    conversation_id: 'conv-new',
+    query_id: 'query-1',
+    tokens_used: 42,
+    latency_ms: 5,
+  },
+};
+
+// Helper function to send events a little apart, the way a model writes its answer
+async function streamEvents(res, events) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  for (const event of events) {
+    res.write(`data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  res.end();
+}
+
+// Stub Matt-GPT API: records POST /chat requests and replies with queued responses
+// ({ status, body, headers }), falling back to a successful answer when the queue is empty.
+// A queued response with events ({ events: [...] }) is sent as a server-sent event stream
+// instead, one event at a time.
+function createFakeMattGPT() {
+  const requests = [];
+  const queue = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      if (req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ status: 'ok' }));
+        return;
+      }
+
+      requests.push({ path: req.url, headers: req.headers, body: raw ? JSON.parse(raw) : {} });
+      const { status, body, headers = {}, events } = queue.shift() || DEFAULT_RESPONSE;
+      if (events) {
+        streamEvents(res, events);
+        return;
+      }
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(body));
+    });
+  });
+
+  return {
+    requests,
+
+    // Queue the next responses, e.g. respondWith({ status: 500, body: { detail: 'boom' } })
+    respondWith(...responses) {
+      queue.push(...responses);
+    },
+
+    reset() {
+      requests.length = 0;
+      queue.length = 0;
+    },
+
+    listen() {
+      return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+      });
+    },
+
+    close() {
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_RESPONSE,
+  createFakeMattGPT,
+};
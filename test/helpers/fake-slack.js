@@ -0,0 +1,130 @@
+const http = require('http');
+
+// Read a Web API request body (form-encoded or JSON) into an object.
+// WebClient JSON-encodes nested values like blocks, so those are parsed back.
+function parseBody(req, raw) {
+  if ((req.headers['content-type'] || '').includes('application/json')) {
+    return raw ? JSON.parse(raw) : {};
+  }
+
+  const params = {};
+  for (const [key, value] of new URLSearchParams(raw)) {
+    params[key] = /^[[{]/.test(value) ? JSON.parse(value) : value;
+  }
+  return params;
+}
+
+// conversations.replies handler that answers the way Slack does: the thread's parent always
+// comes first, followed by the replies between oldest and latest, in pages of `limit` messages
+function threadReplies(thread) {
+  const [parent, ...replies] = thread;
+  return (params) => {
+    const inclusive = params.inclusive === true || params.inclusive === 'true';
+    const inWindow = replies.filter((msg) => {
+      const ts = parseFloat(msg.ts);
+      const afterOldest = !params.oldest || (inclusive ? ts >= parseFloat(params.oldest) : ts > parseFloat(params.oldest));
+      const beforeLatest = !params.latest || (inclusive ? ts <= parseFloat(params.latest) : ts < parseFloat(params.latest));
+      return afterOldest && beforeLatest;
+    });
+
+    const messages = [parent, ...inWindow];
+    const start = Number(params.cursor) || 0;
+    const end = start + (Number(params.limit) || 1000);
+    return {
+      messages: messages.slice(start, end),
+      has_more: end < messages.length,
+      response_metadata: { next_cursor: end < messages.length ? String(end) : '' },
+    };
+  };
+}
+
+// Fake Slack Web API: records every call and answers with canned responses.
+// Override a method's response with handlers[method] = (params) => result.
+// It also serves file downloads: files[name] = { body, contentType } is served at fileUrl(name).
+function createFakeSlack({ botUserId = 'UBOT', botId = 'BBOT', teamId = 'T1' } = {}) {
+  const calls = [];
+  const handlers = {};
+  const files = {};
+  const downloads = [];
+  let nextTs = 1700000000;
+
+  const defaultHandlers = {
+    'auth.test': () => ({ user_id: botUserId, bot_id: botId, team_id: teamId, user: 'matt-gpt' }),
+    'chat.postMessage': (params) => ({ channel: params.channel, ts: `${++nextTs}.000100`, message: { text: params.text } }),
+    'chat.update': (params) => ({ channel: params.channel, ts: params.ts }),
+    'chat.postEphemeral': () => ({ message_ts: `${++nextTs}.000100` }),
+    'chat.getPermalink': (params) => ({ permalink: `https://test.slack.com/archives/${params.channel}/p${params.message_ts.replace('.', '')}` }),
+    'conversations.info': (params) => ({ channel: { id: params.channel, name: 'general', is_channel: true } }),
+    'conversations.history': () => ({ messages: [] }),
+    'conversations.replies': () => ({ messages: [] }),
+    'usergroups.users.list': () => ({ users: [] }),
+    'users.info': (params) => ({ user: { id: params.user, name: params.user, profile: { display_name: params.user } } }),
+    'views.publish': (params) => ({ view: { id: 'V1', ...params.view } }),
+    'views.open': (params) => ({ view: { id: 'V2', ...params.view } }),
+  };
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      if (req.url.startsWith('/files/')) {
+        const name = decodeURIComponent(req.url.slice('/files/'.length));
+        downloads.push({ name, token: (req.headers.authorization || '').replace(/^Bearer /, '') });
+        const file = files[name];
+        res.writeHead(file ? 200 : 404, { 'Content-Type': file?.contentType || 'text/plain' });
+        res.end(file?.body);
+        return;
+      }
+
+      const method = req.url.replace(/^\/api\//, '').split('?')[0];
+      const params = parseBody(req, raw);
+      // The bot token a call was made with (one per workspace in OAuth mode)
+      const token = (req.headers.authorization || '').replace(/^Bearer /, '') || params.token;
+      calls.push({ method, params, token });
+
+      const handler = handlers[method] || defaultHandlers[method] || (() => ({}));
+      const result = handler(params);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, ...result }));
+    });
+  });
+
+  return {
+    calls,
+    handlers,
+    files,
+    downloads,
+
+    // url_private of a file in files
+    fileUrl(name) {
+      return `http://127.0.0.1:${server.address().port}/files/${encodeURIComponent(name)}`;
+    },
+
+    // Calls to one Web API method, e.g. callsTo('chat.update')
+    callsTo(method) {
+      return calls.filter((call) => call.method === method).map((call) => call.params);
+    },
+
+    reset() {
+      calls.length = 0;
+      downloads.length = 0;
+      for (const method of Object.keys(handlers)) delete handlers[method];
+      for (const name of Object.keys(files)) delete files[name];
+    },
+
+    listen() {
+      return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}/api/`));
+      });
+    },
+
+    close() {
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+module.exports = {
+  createFakeSlack,
+  threadReplies,
+};
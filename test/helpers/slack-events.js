@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const http = require('http');
+
+let eventCounter = 0;
+
+// POST a body to the app's /slack/events endpoint with a valid Slack signature
+function postSigned(port, body, contentType, signingSecret, extraHeaders = {}) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = 'v0=' + crypto.createHmac('sha256', signingSecret).update(`v0:${timestamp}:${body}`).digest('hex');
+
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      path: '/slack/events',
+      method: 'POST',
+      headers: {
+        'Content-Type': contentType,
+        'X-Slack-Signature': signature,
+        'X-Slack-Request-Timestamp': timestamp,
+        ...extraHeaders,
+      },
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// POST a signed Events API payload. Pass eventId and retryNum to imitate Slack redelivering
+// an event (same event_id, X-Slack-Retry-Num header).
+function sendEvent(port, event, { signingSecret = process.env.SLACK_SIGNING_SECRET, teamId = 'T1', eventId, retryNum } = {}) {
+  const body = JSON.stringify({
+    token: 'verification-token',
+    team_id: teamId,
+    api_app_id: 'A1',
+    type: 'event_callback',
+    event_id: eventId || `Ev${Date.now()}${++eventCounter}`,
+    event_time: Math.floor(Date.now() / 1000),
+    event,
+  });
+  const retryHeaders = retryNum ? { 'X-Slack-Retry-Num': String(retryNum), 'X-Slack-Retry-Reason': 'http_timeout' } : {};
+  return postSigned(port, body, 'application/json', signingSecret, retryHeaders);
+}
+
+// POST a signed interactivity payload (block_actions, view_submission, ...) the way Slack
+// does: form-encoded with the JSON in a `payload` field
+function sendInteraction(port, payload, { signingSecret = process.env.SLACK_SIGNING_SECRET } = {}) {
+  const body = new URLSearchParams({
+    payload: JSON.stringify({
+      token: 'verification-token',
+      team: { id: 'T1' },
+      api_app_id: 'A1',
+      ...payload,
+    }),
+  }).toString();
+  return postSigned(port, body, 'application/x-www-form-urlencoded', signingSecret);
+}
+
+// POST a signed slash command. respond() goes to responseUrl - point it at the fake Slack
+// server (e.g. `${SLACK_API_URL}response`) to record the replies as calls to 'response'.
+function sendCommand(port, { command = '/mattgpt', text = '', user, channel, responseUrl, teamId = 'T1' }, { signingSecret = process.env.SLACK_SIGNING_SECRET } = {}) {
+  const body = new URLSearchParams({
+    token: 'verification-token',
+    team_id: teamId,
+    channel_id: channel,
+    user_id: user,
+    command,
+    text,
+    response_url: responseUrl,
+    trigger_id: 'trigger',
+  }).toString();
+  return postSigned(port, body, 'application/x-www-form-urlencoded', signingSecret);
+}
+
+// Poll until check() returns a truthy value (or fail after timeoutMs)
+async function waitFor(check, { timeoutMs = 3000, intervalMs = 10 } = {}) {
+  const startedAt = Date.now();
+  while (Date.now() - startedAt < timeoutMs) {
+    const result = check();
+    if (result) return result;
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+  throw new Error(`Condition not met within ${timeoutMs}ms`);
+}
+
+// Give the app a moment to (not) act on an event that should be ignored
+function settle(ms = 200) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  sendEvent,
+  sendInteraction,
+  sendCommand,
+  waitFor,
+  settle,
+};
@@ -0,0 +1,109 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { installationKey, createFileInstallationStore, createSqliteInstallationStore, createInstallationStore } = require('../lib/installation-store');
+
+// better-sqlite3 is an optional dependency - the SQLite tests skip where it isn't installed
+let sqliteAvailable = true;
+try {
+  require('better-sqlite3');
+} catch (error) {
+  sqliteAvailable = false;
+}
+
+// Minimal Bolt Installation objects
+const teamInstallation = {
+  team: { id: 'T1', name: 'Acme' },
+  enterprise: undefined,
+  isEnterpriseInstall: false,
+  bot: { token: 'xoxb-acme', userId: 'UBOT1' },
+};
+
+const orgInstallation = {
+  team: undefined,
+  enterprise: { id: 'E1', name: 'Acme Corp' },
+  isEnterpriseInstall: true,
+  bot: { token: 'xoxb-org', userId: 'UBOT2' },
+};
+
+describe('installation store', () => {
+  let dataDir;
+  let filePath;
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'matt-gpt-installations-'));
+    filePath = path.join(dataDir, 'installations.json');
+  });
+
+  after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('keys org-wide installs by enterprise and the rest by team', () => {
+    assert.equal(installationKey({ teamId: 'T1', enterpriseId: 'E1', isEnterpriseInstall: false }), 'team:T1');
+    assert.equal(installationKey({ teamId: 'T1', enterpriseId: 'E1', isEnterpriseInstall: true }), 'enterprise:E1');
+    assert.throws(() => installationKey({}), /no team ID/);
+  });
+
+  it('stores installations and reloads them from disk', async () => {
+    const store = createFileInstallationStore(filePath);
+    await store.storeInstallation(teamInstallation);
+    await store.storeInstallation(orgInstallation);
+
+    const reloaded = createFileInstallationStore(filePath);
+    const fetched = await reloaded.fetchInstallation({ teamId: 'T1', isEnterpriseInstall: false });
+    assert.equal(fetched.bot.token, 'xoxb-acme');
+
+    // Any workspace of the org resolves to the org-wide install
+    const org = await reloaded.fetchInstallation({ teamId: 'T9', enterpriseId: 'E1', isEnterpriseInstall: true });
+    assert.equal(org.bot.token, 'xoxb-org');
+  });
+
+  it('lists installations without their tokens', async () => {
+    const installations = await createFileInstallationStore(filePath).listInstallations();
+
+    assert.deepEqual(installations.map(({ teamId, enterpriseId }) => [teamId, enterpriseId]), [['T1', null], [null, 'E1']]);
+    assert.ok(!JSON.stringify(installations).includes('xoxb-'));
+  });
+
+  it('deletes installations and fails to fetch missing ones', async () => {
+    const store = createFileInstallationStore(filePath);
+    await store.deleteInstallation({ teamId: 'T1', isEnterpriseInstall: false });
+
+    await assert.rejects(store.fetchInstallation({ teamId: 'T1', isEnterpriseInstall: false }), /No installation found for team:T1/);
+    assert.equal((await createFileInstallationStore(filePath).listInstallations()).length, 1);
+  });
+
+  it('loads the file again after a failed load', async () => {
+    const brokenPath = path.join(dataDir, 'broken.json');
+    fs.writeFileSync(brokenPath, '{ not json');
+    const store = createFileInstallationStore(brokenPath);
+
+    await assert.rejects(store.fetchInstallation({ teamId: 'T1', isEnterpriseInstall: false }), SyntaxError);
+
+    fs.writeFileSync(brokenPath, JSON.stringify({ 'team:T1': { installation: teamInstallation } }));
+    assert.equal((await store.fetchInstallation({ teamId: 'T1', isEnterpriseInstall: false })).bot.token, 'xoxb-acme');
+  });
+
+  it('stores, lists and deletes installations in SQLite', { skip: !sqliteAvailable && 'better-sqlite3 is not installed' }, async () => {
+    const dbPath = path.join(dataDir, 'installations.db');
+    const store = createSqliteInstallationStore(dbPath);
+    await store.storeInstallation(teamInstallation);
+    await store.storeInstallation(orgInstallation);
+
+    const reloaded = createSqliteInstallationStore(dbPath);
+    assert.equal((await reloaded.fetchInstallation({ teamId: 'T1', isEnterpriseInstall: false })).bot.token, 'xoxb-acme');
+    assert.equal((await reloaded.fetchInstallation({ teamId: 'T9', enterpriseId: 'E1', isEnterpriseInstall: true })).bot.token, 'xoxb-org');
+    assert.ok(!JSON.stringify(await reloaded.listInstallations()).includes('xoxb-'));
+
+    await reloaded.deleteInstallation({ teamId: 'T1', isEnterpriseInstall: false });
+    await assert.rejects(reloaded.fetchInstallation({ teamId: 'T1', isEnterpriseInstall: false }), /No installation found for team:T1/);
+    assert.equal((await reloaded.listInstallations()).length, 1);
+  });
+
+  it('rejects unknown store types', () => {
+    assert.throws(() => createInstallationStore('redis'), /Unknown INSTALLATION_STORE type: redis/);
+  });
+});
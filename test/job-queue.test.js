@@ -0,0 +1,112 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJobQueue } = require('../lib/job-queue');
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+// Helper function to read the jobs saved in the queue file
+const savedJobs = (filePath) => JSON.parse(fs.readFileSync(filePath, 'utf8')).jobs;
+
+describe('job queue', () => {
+  let dataDir;
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'matt-gpt-jobs-'));
+  });
+
+  after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('saves jobs until the worker finishes, passing the in-memory handles along', async () => {
+    const filePath = path.join(dataDir, 'finish.json');
+    let release;
+    const calls = [];
+    const queue = createJobQueue({
+      filePath,
+      logger: silentLogger,
+      worker: (job, handles) => {
+        calls.push({ data: job.data, handles, attempts: job.attempts });
+        return new Promise((resolve) => { release = resolve; });
+      },
+    });
+
+    const { job, finished } = await queue.enqueue({ question: 'hi' }, { client: 'live-client' });
+    assert.deepEqual(savedJobs(filePath).map(({ id }) => id), [job.id]);
+
+    await queue.update(job.id, { thinkingTs: '1.2' });
+    assert.deepEqual(savedJobs(filePath)[0].data, { question: 'hi', thinkingTs: '1.2' });
+    assert.equal(queue.running, 1);
+
+    release();
+    await finished;
+    assert.deepEqual(calls, [{ data: { question: 'hi', thinkingTs: '1.2' }, handles: { client: 'live-client' }, attempts: 1 }]);
+    assert.deepEqual(savedJobs(filePath), []);
+  });
+
+  it('hands jobs left by a previous process back for resuming', async () => {
+    const filePath = path.join(dataDir, 'resume.json');
+    fs.writeFileSync(filePath, JSON.stringify({
+      jobs: [{ id: 'old', status: 'running', attempts: 1, createdAt: '2026-01-01T00:00:00.000Z', startedAt: null, data: { question: 'left behind' } }],
+    }));
+
+    const resumed = [];
+    const queue = createJobQueue({ filePath, logger: silentLogger, worker: async (job, handles) => resumed.push({ job, handles }) });
+
+    const [leftover] = await queue.load();
+    assert.equal(leftover.id, 'old');
+
+    await queue.resume(leftover);
+    assert.equal(resumed[0].job.attempts, 2);
+    assert.equal(resumed[0].handles, null);
+    assert.deepEqual(await queue.load(), []);
+    assert.deepEqual(savedJobs(filePath), []);
+  });
+
+  it('loads the file again after a failed load', async () => {
+    const filePath = path.join(dataDir, 'broken.json');
+    fs.writeFileSync(filePath, '{ not json');
+    const queue = createJobQueue({ filePath, logger: silentLogger, worker: async () => {} });
+
+    await assert.rejects(queue.load(), SyntaxError);
+
+    fs.writeFileSync(filePath, JSON.stringify({
+      jobs: [{ id: 'old', status: 'queued', attempts: 0, createdAt: '2026-01-01T00:00:00.000Z', startedAt: null, data: {} }],
+    }));
+    assert.deepEqual((await queue.load()).map(({ id }) => id), ['old']);
+  });
+
+  it('keeps failed jobs out of the file', async () => {
+    const filePath = path.join(dataDir, 'failure.json');
+    const queue = createJobQueue({ filePath, logger: silentLogger, worker: async () => { throw new Error('boom'); } });
+
+    const { finished } = await queue.enqueue({ question: 'fails' });
+    await finished;
+    assert.deepEqual(savedJobs(filePath), []);
+  });
+
+  it('waits for running jobs on close and only saves jobs enqueued afterwards', async () => {
+    const filePath = path.join(dataDir, 'close.json');
+    const started = [];
+    const queue = createJobQueue({
+      filePath,
+      logger: silentLogger,
+      worker: async (job) => {
+        started.push(job.data.question);
+        await new Promise((resolve) => setTimeout(resolve, job.data.ms));
+      },
+    });
+
+    await queue.enqueue({ question: 'quick', ms: 20 });
+    await queue.enqueue({ question: 'slow', ms: 5000 });
+
+    assert.equal(await queue.close({ timeoutMs: 100 }), 1);
+    await queue.enqueue({ question: 'late', ms: 0 });
+
+    assert.deepEqual(started, ['quick', 'slow']);
+    assert.deepEqual(savedJobs(filePath).map(({ data, status }) => [data.question, status]), [['slow', 'running'], ['late', 'queued']]);
+  });
+});
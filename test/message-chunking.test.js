@@ -0,0 +1,99 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { splitMarkdownIntoChunks, groupChunksIntoMessages } = require('../lib/message-chunking');
+
+describe('message chunking', () => {
+  describe('splitMarkdownIntoChunks', () => {
+    it('returns no chunks for empty text', () => {
+      assert.deepEqual(splitMarkdownIntoChunks(''), []);
+      assert.deepEqual(splitMarkdownIntoChunks(undefined), []);
+    });
+
+    it('keeps text that fits in one chunk as is', () => {
+      assert.deepEqual(splitMarkdownIntoChunks('first\n\nsecond', 20), ['first\n\nsecond']);
+    });
+
+    it('packs a chunk that is exactly the limit long', () => {
+      // 'aaaa' + '\n\n' + 'bbbb' is exactly 10 characters
+      assert.deepEqual(splitMarkdownIntoChunks('aaaa\n\nbbbb', 10), ['aaaa\n\nbbbb']);
+      assert.deepEqual(splitMarkdownIntoChunks('aaaa\n\nbbbbb', 10), ['aaaa', 'bbbbb']);
+    });
+
+    it('breaks on paragraph boundaries', () => {
+      const text = ['one '.repeat(5).trim(), 'two '.repeat(5).trim(), 'three '.repeat(5).trim()].join('\n\n');
+      const chunks = splitMarkdownIntoChunks(text, 45);
+
+      assert.deepEqual(chunks, [
+        'one one one one one\n\ntwo two two two two',
+        'three three three three three',
+      ]);
+    });
+
+    it('splits a long line on the last space before the limit', () => {
+      const chunks = splitMarkdownIntoChunks('alpha beta gamma delta', 11);
+
+      assert.deepEqual(chunks, ['alpha beta', 'gamma delta']);
+    });
+
+    it('hard-splits a long word with no spaces', () => {
+      const chunks = splitMarkdownIntoChunks('x'.repeat(25), 10);
+
+      assert.deepEqual(chunks, ['x'.repeat(10), 'x'.repeat(10), 'x'.repeat(5)]);
+    });
+
+    it('keeps a code block that contains blank lines together', () => {
+      const code = '```\nconst a = 1;\n\nconst b = 2;\n```';
+      const chunks = splitMarkdownIntoChunks(`Intro\n\n${code}\n\nOutro`, 100);
+
+      assert.deepEqual(chunks, [`Intro\n\n${code}\n\nOutro`]);
+    });
+
+    it('re-fences every piece of an oversized code block', () => {
+      const lines = Array.from({ length: 10 }, (_, index) => `line ${index}`);
+      const chunks = splitMarkdownIntoChunks(`\`\`\`js\n${lines.join('\n')}\n\`\`\``, 40);
+
+      assert.ok(chunks.length > 1);
+      for (const chunk of chunks) {
+        assert.ok(chunk.length <= 40, `chunk is ${chunk.length} characters`);
+        assert.match(chunk, /^```js\n/);
+        assert.match(chunk, /\n```$/);
+      }
+      const innerLines = chunks.flatMap((chunk) => chunk.split('\n').slice(1, -1));
+      assert.deepEqual(innerLines, lines);
+    });
+
+    it('keeps every chunk within the limit', () => {
+      const text = Array.from({ length: 50 }, (_, index) => `Paragraph ${index} ${'word '.repeat(index)}`).join('\n\n');
+      const chunks = splitMarkdownIntoChunks(text, 120);
+
+      for (const chunk of chunks) {
+        assert.ok(chunk.length <= 120, `chunk is ${chunk.length} characters`);
+      }
+    });
+  });
+
+  describe('groupChunksIntoMessages', () => {
+    it('starts a new message when the block limit is reached', () => {
+      const groups = groupChunksIntoMessages(['a', 'b', 'c', 'd', 'e'], 2, 1000);
+
+      assert.deepEqual(groups, [['a', 'b'], ['c', 'd'], ['e']]);
+    });
+
+    it('starts a new message when the text limit would be passed', () => {
+      // 'aaaa' + 2 separator characters + 'bbbb' = 10 fits, the next chunk doesn't
+      const groups = groupChunksIntoMessages(['aaaa', 'bbbb', 'cccc'], 50, 10);
+
+      assert.deepEqual(groups, [['aaaa', 'bbbb'], ['cccc']]);
+    });
+
+    it('puts a chunk longer than the text limit in a message of its own', () => {
+      const groups = groupChunksIntoMessages(['a', 'x'.repeat(20), 'b'], 50, 10);
+
+      assert.deepEqual(groups, [['a'], ['x'.repeat(20)], ['b']]);
+    });
+
+    it('returns no messages for no chunks', () => {
+      assert.deepEqual(groupChunksIntoMessages([]), []);
+    });
+  });
+});
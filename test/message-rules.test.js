@@ -0,0 +1,74 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMessageRules, loadMessageRules } = require('../lib/message-rules');
+
+describe('message rules', () => {
+  it('skips "side note" asides by default', () => {
+    const rules = createMessageRules();
+
+    assert.ok(rules.findSkipRule('C1', 'Side note: the build is green'));
+    assert.ok(rules.findSkipRule('C1', '*sidenote* ignore me'));
+    assert.equal(rules.findSkipRule('C1', 'What is a side note?'), null);
+  });
+
+  it('supports prefix, keyword and regex rules', () => {
+    const rules = createMessageRules({
+      skip: [{ prefix: 'fyi' }, { regex: '^\\(ot\\)' }],
+      triggers: ['gpt', { regex: 'matt-?gpt\\?$' }],
+    });
+
+    assert.ok(rules.findSkipRule('C1', 'FYI the office is closed'));
+    assert.ok(rules.findSkipRule('C1', '(OT) lunch?'));
+    assert.ok(rules.findTrigger('C1', 'ask gpt about this'));
+    assert.equal(rules.findTrigger('C1', 'I asked chatgpt'), null);
+    assert.equal(rules.findTrigger('C1', 'is this for mattgpt?').description, 'regex /matt-?gpt\\?$/');
+  });
+
+  it('lets a channel replace a global list', () => {
+    const rules = createMessageRules({
+      triggers: ['hey bot'],
+      reactions: [':robot_face:'],
+      channels: { CQUIET: { triggers: [] } },
+    });
+
+    assert.ok(rules.findTrigger('C1', 'hey bot, help'));
+    assert.equal(rules.findTrigger('CQUIET', 'hey bot, help'), null);
+    // Lists the channel doesn't set still come from the global rules
+    assert.equal(rules.isTriggerReaction('CQUIET', 'robot_face'), true);
+    assert.equal(rules.isTriggerReaction('C1', 'tada'), false);
+  });
+
+  it('rejects invalid rules', () => {
+    assert.throws(() => createMessageRules({ skip: [{ regex: '(' }] }), /Invalid regex rule/);
+    assert.throws(() => createMessageRules({ triggers: [{ word: 'hi' }] }), /Invalid rule/);
+  });
+
+  describe('loadMessageRules', () => {
+    let dataDir;
+
+    before(() => {
+      dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'matt-gpt-rules-'));
+    });
+
+    after(() => {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('falls back to the defaults when the file does not exist', () => {
+      const rules = loadMessageRules(path.join(dataDir, 'missing.json'));
+
+      assert.equal(rules.source, 'defaults');
+      assert.ok(rules.findSkipRule('C1', 'side note: hi'));
+    });
+
+    it('fails on a file that is not valid JSON', () => {
+      const filePath = path.join(dataDir, 'broken.json');
+      fs.writeFileSync(filePath, '{ "skip": [');
+
+      assert.throws(() => loadMessageRules(filePath), /Could not parse message rules file/);
+    });
+  });
+});
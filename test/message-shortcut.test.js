@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildAskModal, readAskModal, composeShortcutQuestion } = require('../lib/message-shortcut');
+
+describe('ask-about-message shortcut', () => {
+  it('round-trips the message location through the modal', () => {
+    const view = buildAskModal({ channel: 'C1', messageTs: '1.2', threadTs: null, userId: 'U1', text: 'hello', replyMode: 'ephemeral' });
+
+    // Top-level messages without replies get no "whole thread" option
+    assert.equal(view.blocks.find((block) => block.block_id === 'include_thread'), undefined);
+    assert.equal(view.blocks.find((block) => block.block_id === 'reply_mode').element.initial_option.value, 'ephemeral');
+
+    const submission = readAskModal({
+      ...view,
+      state: {
+        values: {
+          question: { value: { value: '  What does this mean?  ' } },
+          reply_mode: { value: { selected_option: { value: 'ephemeral' } } },
+        },
+      },
+    });
+    assert.deepEqual(submission, {
+      question: 'What does this mean?',
+      includeThread: false,
+      replyMode: 'ephemeral',
+      channel: 'C1',
+      messageTs: '1.2',
+      threadTs: null,
+    });
+  });
+
+  it('quotes a single message after the question', () => {
+    const text = composeShortcutQuestion({
+      question: 'Summarize this',
+      messages: [{ ts: '1.1', author: '@alice', text: 'Long update' }],
+      selectedTs: '1.1',
+      charBudget: 4000,
+    });
+
+    assert.equal(text, 'Summarize this\n\nThe Slack message I\'m asking about, from @alice:\n"""\nLong update\n"""');
+  });
+
+  it('keeps the selected message when the thread is over budget', () => {
+    const text = composeShortcutQuestion({
+      question: 'Why?',
+      messages: [
+        { ts: '1.1', author: '@alice', text: 'the selected message' },
+        { ts: '1.2', author: '@bob', text: 'x'.repeat(100) },
+        { ts: '1.3', author: '@carol', text: 'latest reply' },
+      ],
+      selectedTs: '1.1',
+      charBudget: 60,
+    });
+
+    assert.match(text, /some earlier messages left out/);
+    assert.match(text, /→ @alice: the selected message\n@carol: latest reply/);
+    assert.doesNotMatch(text, /@bob/);
+  });
+});
@@ -0,0 +1,127 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { threadReplies } = require('./helpers/fake-slack');
+const { buildThreadHistory, createOpenAICompatibleBackend } = require('../lib/backends/openai-compatible');
+
+// Fake Slack client serving one thread the way conversations.replies does (parent first, paged)
+function createClient(thread) {
+  const replies = threadReplies(thread);
+  return { conversations: { replies: async (params) => replies(params) } };
+}
+
+describe('OpenAI-compatible backend', () => {
+  it('rebuilds the chat history from the newest turns of a long thread', async () => {
+    const thread = [{ ts: '1000.000100', user: 'U1', text: '<@UBOT> first question' }];
+    for (let index = 1; index <= 300; index++) {
+      thread.push(index % 2
+        ? { ts: `${1000 + index}.000100`, bot_id: 'BBOT', text: `answer ${index}`, blocks: [{ type: 'section', block_id: 'conv_x' }] }
+        : { ts: `${1000 + index}.000100`, user: 'U1', subtype: index === 300 ? 'thread_broadcast' : undefined, text: `question ${index}` });
+    }
+    thread.push({ ts: '1301.000100', user: 'U1', text: 'the current question' });
+
+    const history = await buildThreadHistory({ client: createClient(thread), channel: 'C1', threadTs: '1000.000100', currentTs: '1301.000100' }, 30);
+
+    assert.deepEqual(history, [
+      { role: 'assistant', content: 'answer 299' },
+      { role: 'user', content: 'question 300' },
+    ]);
+  });
+
+  it('leaves messages from excluded users out of the history', async () => {
+    const thread = [
+      { ts: '1000.000100', user: 'U1', text: '<@UBOT> where are the launch notes?' },
+      { ts: '1001.000100', bot_id: 'BBOT', text: 'In the wiki', blocks: [{ type: 'section', block_id: 'conv_x' }] },
+      { ts: '1002.000100', user: 'U5', text: 'an aside I keep to myself' },
+      { ts: '1003.000100', user: 'U1', text: 'which page?' },
+    ];
+
+    const history = await buildThreadHistory({
+      client: createClient(thread), channel: 'C1', threadTs: '1000.000100', currentTs: '1003.000100', excludedUsers: new Set(['U5']),
+    }, 1000);
+
+    assert.deepEqual(history, [
+      { role: 'user', content: 'where are the launch notes?' },
+      { role: 'assistant', content: 'In the wiki' },
+    ]);
+  });
+
+  describe('chat', () => {
+    const silentLogger = { info() {}, warn() {} };
+    const requests = [];
+    let server;
+    let baseUrl;
+
+    // Stub /chat/completions endpoint that records requests and answers with one completion
+    before(async () => {
+      server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', (chunk) => { raw += chunk; });
+        req.on('end', () => {
+          requests.push({ path: req.url, headers: req.headers, body: JSON.parse(raw) });
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({
+            id: 'chatcmpl-1',
+            choices: [{ message: { role: 'assistant', content: 'It moved to Friday.' } }],
+            usage: { prompt_tokens: 30, completion_tokens: 5, total_tokens: 35 },
+          }));
+        });
+      });
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+    });
+
+    after(async () => {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it('sends the system prompt, thread history and files, and answers in the Matt-GPT shape', async () => {
+      const backend = createOpenAICompatibleBackend({ baseUrl, apiKey: 'sk-test', model: 'llama3', systemPrompt: 'You are Matt-GPT.' });
+      const thread = [
+        { ts: '1000.000100', user: 'U1', text: '<@UBOT> when is the launch?' },
+        { ts: '1001.000100', bot_id: 'BBOT', text: 'On Thursday', blocks: [{ type: 'section', block_id: 'conv_conv-1' }] },
+      ];
+
+      const result = await backend.chat({
+        message: 'and now?',
+        context: {
+          conversation_id: 'conv-1',
+          preferences: { verbosity: 'brief' },
+          attachments: [{ type: 'text', name: 'notes.txt', text: 'Launch moves to Friday' }],
+          slack: { client: createClient(thread), channel: 'C1', threadTs: '1000.000100', currentTs: '1002.000100' },
+        },
+        logger: silentLogger,
+        traceId: 'trace-1',
+      });
+
+      const [request] = requests;
+      assert.equal(request.path, '/v1/chat/completions');
+      assert.equal(request.headers.authorization, 'Bearer sk-test');
+      assert.equal(request.headers['x-trace-id'], 'trace-1');
+      assert.deepEqual(request.body, {
+        model: 'llama3',
+        messages: [
+          { role: 'system', content: 'You are Matt-GPT.\n\nKeep your answer brief: a few sentences at most.' },
+          { role: 'user', content: 'when is the launch?' },
+          { role: 'assistant', content: 'On Thursday' },
+          { role: 'user', content: 'and now?\n\n--- Attached file: notes.txt ---\nLaunch moves to Friday' },
+        ],
+      });
+
+      assert.equal(result.response, 'It moved to Friday.');
+      assert.equal(result.conversation_id, 'conv-1');
+      assert.equal(result.query_id, 'chatcmpl-1');
+      assert.deepEqual(result.tokens_used, { prompt_tokens: 30, completion_tokens: 5, total_tokens: 35 });
+    });
+
+    it('tags a new conversation with a generated ID', async () => {
+      const backend = createOpenAICompatibleBackend({ baseUrl, model: 'llama3' });
+
+      const result = await backend.chat({ message: 'hi', logger: silentLogger });
+
+      assert.match(result.conversation_id, /^[0-9a-f-]{36}$/);
+      assert.deepEqual(requests.at(-1).body.messages, [{ role: 'user', content: 'hi' }]);
+      assert.equal(requests.at(-1).headers.authorization, undefined);
+    });
+  });
+});
@@ -0,0 +1,46 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPauseSwitch } = require('../lib/pause-switch');
+
+describe('pause switch', () => {
+  let dataDir;
+  let fileCount = 0;
+  const nextFilePath = () => path.join(dataDir, `pause-${++fileCount}.json`);
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'matt-gpt-pause-'));
+  });
+
+  after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('pauses and resumes a workspace across instances', async () => {
+    const filePath = nextFilePath();
+    await createPauseSwitch({ filePath }).pause('T1', { by: 'UADMIN', reason: 'maintenance' });
+
+    const reloaded = createPauseSwitch({ filePath });
+    assert.equal((await reloaded.get('T1')).reason, 'maintenance');
+    assert.equal(await reloaded.get('T2'), null);
+    assert.equal(await reloaded.resume('T1'), true);
+    assert.equal(await reloaded.resume('T1'), false);
+    assert.equal(await createPauseSwitch({ filePath }).get('T1'), null);
+  });
+
+  it('keeps every pause made while the file is still loading', async () => {
+    const filePath = nextFilePath();
+    const pauseSwitch = createPauseSwitch({ filePath });
+
+    await Promise.all([
+      pauseSwitch.pause('T1', { by: 'UADMIN' }),
+      pauseSwitch.pause('T2', { by: 'UADMIN' }),
+    ]);
+
+    const reloaded = createPauseSwitch({ filePath });
+    assert.equal((await reloaded.get('T1')).by, 'UADMIN');
+    assert.equal((await reloaded.get('T2')).by, 'UADMIN');
+  });
+});
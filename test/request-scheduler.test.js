@@ -0,0 +1,177 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTokenBucketLimiter, createRequestScheduler } = require('../lib/request-scheduler');
+
+// Helper function to create a promise that is resolved from outside
+function deferred() {
+  let resolve;
+  const promise = new Promise((res) => { resolve = res; });
+  return { promise, resolve };
+}
+
+// A task's slot is released just after its result is handed back
+const slotsReleased = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('request scheduler', () => {
+  describe('createTokenBucketLimiter', () => {
+    it('allows a burst of perMinute requests, then asks to wait for a refill', () => {
+      const limiter = createTokenBucketLimiter(2);
+      const now = 1000000;
+
+      limiter.consume('U1', now);
+      assert.equal(limiter.retryAfterMs('U1', now), 0);
+      limiter.consume('U1', now);
+
+      // Two tokens per minute: one token refills every 30 seconds
+      assert.equal(limiter.retryAfterMs('U1', now), 30000);
+      assert.equal(limiter.retryAfterMs('U1', now + 10000), 20000);
+      assert.equal(limiter.retryAfterMs('U1', now + 30000), 0);
+    });
+
+    it('keeps a separate bucket per key', () => {
+      const limiter = createTokenBucketLimiter(1);
+      const now = 1000000;
+
+      limiter.consume('U1', now);
+
+      assert.ok(limiter.retryAfterMs('U1', now) > 0);
+      assert.equal(limiter.retryAfterMs('U2', now), 0);
+    });
+
+    it('is disabled with a limit of 0', () => {
+      const limiter = createTokenBucketLimiter(0);
+
+      for (let i = 0; i < 10; i++) limiter.consume('U1');
+
+      assert.equal(limiter.enabled, false);
+      assert.equal(limiter.retryAfterMs('U1'), 0);
+    });
+  });
+
+  describe('admit', () => {
+    it('limits each user before the channel', () => {
+      const scheduler = createRequestScheduler({ userPerMinute: 1, channelPerMinute: 2 });
+
+      assert.deepEqual(scheduler.admit({ userId: 'U1', channel: 'C1' }), { allowed: true });
+
+      const rejected = scheduler.admit({ userId: 'U1', channel: 'C1' });
+      assert.equal(rejected.allowed, false);
+      assert.equal(rejected.reason, 'user');
+      assert.ok(rejected.retryAfterMs > 0);
+    });
+
+    it('limits a busy channel across users', () => {
+      const scheduler = createRequestScheduler({ userPerMinute: 5, channelPerMinute: 2 });
+
+      assert.equal(scheduler.admit({ userId: 'U1', channel: 'C1' }).allowed, true);
+      assert.equal(scheduler.admit({ userId: 'U2', channel: 'C1' }).allowed, true);
+
+      assert.equal(scheduler.admit({ userId: 'U3', channel: 'C1' }).reason, 'channel');
+      assert.equal(scheduler.admit({ userId: 'U3', channel: 'C2' }).allowed, true);
+    });
+
+    it('does not use up the user token when the channel is limited', () => {
+      const scheduler = createRequestScheduler({ userPerMinute: 1, channelPerMinute: 1 });
+      scheduler.admit({ userId: 'U1', channel: 'C1' });
+
+      assert.equal(scheduler.admit({ userId: 'U2', channel: 'C1' }).reason, 'channel');
+      assert.equal(scheduler.admit({ userId: 'U2', channel: 'C2' }).allowed, true);
+    });
+
+    it('turns requests away when the queue is full', async () => {
+      const scheduler = createRequestScheduler({ userPerMinute: 0, channelPerMinute: 0, maxConcurrent: 1, maxQueueLength: 1 });
+      const gate = deferred();
+      const running = scheduler.run(() => gate.promise);
+      const queued = scheduler.run(async () => {});
+
+      assert.deepEqual(scheduler.admit({ userId: 'U1', channel: 'C1' }), { allowed: false, reason: 'queue_full', retryAfterMs: 0 });
+
+      gate.resolve();
+      await Promise.all([running, queued]);
+      assert.deepEqual(scheduler.admit({ userId: 'U1', channel: 'C1' }), { allowed: true });
+    });
+  });
+
+  describe('run', () => {
+    it('runs at most maxConcurrent tasks at a time', async () => {
+      const scheduler = createRequestScheduler({ maxConcurrent: 2 });
+      const gates = [deferred(), deferred(), deferred()];
+      let active = 0;
+      let maxActive = 0;
+
+      const results = gates.map((gate, index) => scheduler.run(async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await gate.promise;
+        active--;
+        return index;
+      }));
+
+      assert.equal(scheduler.running, 2);
+      assert.equal(scheduler.queued, 1);
+
+      gates.forEach((gate) => gate.resolve());
+      assert.deepEqual(await Promise.all(results), [0, 1, 2]);
+      assert.equal(maxActive, 2);
+      await slotsReleased();
+      assert.equal(scheduler.running, 0);
+    });
+
+    it('starts queued tasks in the order they arrived', async () => {
+      const scheduler = createRequestScheduler({ maxConcurrent: 1 });
+      const gate = deferred();
+      const started = [];
+
+      const first = scheduler.run(() => gate.promise);
+      const rest = ['U1', 'U2', 'U1', 'U3'].map((user) => scheduler.run(async () => {
+        started.push(user);
+      }));
+
+      gate.resolve();
+      await Promise.all([first, ...rest]);
+      assert.deepEqual(started, ['U1', 'U2', 'U1', 'U3']);
+    });
+
+    it('tells waiting requests their place in line as it changes', async () => {
+      const scheduler = createRequestScheduler({ maxConcurrent: 1 });
+      const gates = [deferred(), deferred()];
+      const positions = { second: [], third: [] };
+
+      const first = scheduler.run(() => gates[0].promise);
+      const second = scheduler.run(() => gates[1].promise, { onQueuePosition: (n) => positions.second.push(n) });
+      const third = scheduler.run(async () => {}, { onQueuePosition: (n) => positions.third.push(n) });
+
+      gates[0].resolve();
+      await first;
+      gates[1].resolve();
+      await Promise.all([second, third]);
+
+      assert.deepEqual(positions.second, [1]);
+      assert.deepEqual(positions.third, [2, 1]);
+    });
+
+    it('frees the slot when a task fails', async () => {
+      const scheduler = createRequestScheduler({ maxConcurrent: 1 });
+
+      const failing = scheduler.run(async () => { throw new Error('boom'); });
+      const next = scheduler.run(async () => 'ran');
+
+      await assert.rejects(failing, /boom/);
+      assert.equal(await next, 'ran');
+      await slotsReleased();
+      assert.equal(scheduler.running, 0);
+    });
+
+    it('runs everything at once with no concurrency limit', async () => {
+      const scheduler = createRequestScheduler({ maxConcurrent: 0 });
+      const gate = deferred();
+
+      const tasks = [1, 2, 3].map(() => scheduler.run(() => gate.promise));
+
+      assert.equal(scheduler.running, 3);
+      assert.equal(scheduler.queued, 0);
+      gate.resolve();
+      await Promise.all(tasks);
+    });
+  });
+});
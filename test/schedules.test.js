@@ -0,0 +1,79 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseCron } = require('../lib/cron');
+const { parseScheduleAddArgs, shortestInterval, createScheduleStore, createScheduler } = require('../lib/schedules');
+
+const silentLogger = { info() {}, warn() {}, error() {}, debug() {} };
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('schedules', () => {
+  let dataDir;
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'matt-gpt-schedules-'));
+  });
+
+  after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('parses the cron, timezone and prompt of /mattgpt schedule add', () => {
+    assert.deepEqual(parseScheduleAddArgs('0 9 * * MON --tz Europe/Berlin Plan the week'), { cron: '0 9 * * MON', timezone: 'Europe/Berlin', prompt: 'Plan the week' });
+    assert.deepEqual(parseScheduleAddArgs('"30 8 * * 1-5" Standup notes?'), { cron: '30 8 * * 1-5', timezone: null, prompt: 'Standup notes?' });
+    assert.deepEqual(parseScheduleAddArgs('@daily summarize 24h'), { cron: '@daily', timezone: null, prompt: 'summarize 24h' });
+    assert.deepEqual(parseScheduleAddArgs('0 9 * * MON'), { error: 'missing' });
+
+    assert.equal(shortestInterval(parseCron('*/30 * * * *')), HOUR_MS / 2);
+    assert.equal(shortestInterval(parseCron('0 9 * * *'), { timezone: 'Europe/Berlin' }), 24 * HOUR_MS);
+  });
+
+  it('persists schedules across store instances', async () => {
+    const filePath = path.join(dataDir, 'store.json');
+    const store = createScheduleStore({ filePath });
+    const saved = await store.add({ channel: 'C1', createdBy: 'U1', cron: '@daily', timezone: 'UTC', prompt: 'hi', nextRunAt: null });
+    assert.match(saved.id, /^[0-9a-f]{8}$/);
+    await store.add({ channel: 'C2', createdBy: 'U1', cron: '@daily', timezone: 'UTC', prompt: 'hello', nextRunAt: null });
+
+    const reloaded = createScheduleStore({ filePath });
+    assert.deepEqual((await reloaded.list((schedule) => schedule.channel === 'C1')).map((schedule) => schedule.id), [saved.id]);
+    assert.equal(await reloaded.remove(saved.id), true);
+    assert.equal(await reloaded.remove(saved.id), false);
+    assert.equal((await createScheduleStore({ filePath }).list()).length, 1);
+  });
+
+  it('keeps every schedule added while the file is still loading', async () => {
+    const filePath = path.join(dataDir, 'concurrent-store.json');
+    const store = createScheduleStore({ filePath });
+
+    await Promise.all([
+      store.add({ channel: 'C1', createdBy: 'U1', cron: '@daily', timezone: 'UTC', prompt: 'hi', nextRunAt: null }),
+      store.add({ channel: 'C2', createdBy: 'U2', cron: '@daily', timezone: 'UTC', prompt: 'hello', nextRunAt: null }),
+    ]);
+
+    assert.equal((await createScheduleStore({ filePath }).list()).length, 2);
+  });
+
+  it('runs due schedules once, moves them on and skips runs missed long ago', async () => {
+    const store = createScheduleStore({ filePath: path.join(dataDir, 'scheduler.json') });
+    const now = Date.parse('2026-05-04T09:00:30Z');
+    const due = await store.add({ cron: '0 9 * * *', timezone: 'UTC', prompt: 'due', nextRunAt: '2026-05-04T09:00:00.000Z' });
+    const missed = await store.add({ cron: '0 9 * * *', timezone: 'UTC', prompt: 'missed', nextRunAt: '2026-05-03T09:00:00.000Z' });
+    await store.add({ cron: '0 9 * * *', timezone: 'UTC', prompt: 'later', nextRunAt: '2026-05-05T09:00:00.000Z' });
+
+    const ran = [];
+    const scheduler = createScheduler({ store, run: async (schedule) => ran.push(schedule.prompt), logger: silentLogger, catchUpMs: HOUR_MS });
+    assert.equal(await scheduler.tick(now), 2);
+    assert.deepEqual(ran, ['due']);
+    assert.equal((await store.get(due.id)).nextRunAt, '2026-05-05T09:00:00.000Z');
+    assert.equal((await store.get(due.id)).lastRunAt, new Date(now).toISOString());
+    assert.equal((await store.get(missed.id)).nextRunAt, '2026-05-05T09:00:00.000Z');
+    assert.equal((await store.get(missed.id)).lastRunAt, null);
+
+    // Nothing is due again until tomorrow
+    assert.equal(await scheduler.tick(now + 1000), 0);
+    assert.deepEqual(ran, ['due']);
+  });
+});
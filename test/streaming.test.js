@@ -0,0 +1,173 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { settle } = require('./helpers/slack-events');
+
+let streaming;
+
+// Helper function to turn string chunks into a byte stream, split exactly where given
+function streamOf(chunks) {
+  return Readable.from(chunks.map((chunk) => Buffer.from(chunk)));
+}
+
+describe('streaming', () => {
+  before(() => {
+    // The update interval is read when the module loads - keep the throttling tests quick
+    process.env.STREAM_UPDATE_INTERVAL_MS = '50';
+    streaming = require('../lib/streaming');
+  });
+
+  describe('consumeEventStream', () => {
+    it('reassembles events split across chunks', async () => {
+      const events = [];
+      await streaming.consumeEventStream(streamOf(['data: hel', 'lo\n', '\ndata: world\n\n']), (data) => events.push(data));
+
+      assert.deepEqual(events, ['hello', 'world']);
+    });
+
+    it('handles CRLF line endings, multi-line data and comments', async () => {
+      const events = [];
+      await streaming.consumeEventStream(
+        streamOf([': keep-alive\r\n\r\nevent: message\r\ndata: line one\r\ndata: line two\r\n\r\n']),
+        (data) => events.push(data),
+      );
+
+      assert.deepEqual(events, ['line one\nline two']);
+    });
+
+    it('flushes a trailing event without a blank line', async () => {
+      const events = [];
+      await streaming.consumeEventStream(streamOf(['data: first\n\ndata: last']), (data) => events.push(data));
+
+      assert.deepEqual(events, ['first', 'last']);
+    });
+
+    it('keeps multi-byte characters split across chunks intact', async () => {
+      const bytes = Buffer.from('data: héllo\n\n');
+      const events = [];
+      // Split in the middle of the two-byte é
+      await streaming.consumeEventStream(Readable.from([bytes.subarray(0, 8), bytes.subarray(8)]), (data) => events.push(data));
+
+      assert.deepEqual(events, ['héllo']);
+    });
+  });
+
+  describe('consumeMattGPTStream', () => {
+    it('accumulates deltas and keeps the final metadata', async () => {
+      const seen = [];
+      const result = await streaming.consumeMattGPTStream(streamOf([
+        'data: {"delta":"Hello"}\n\n',
+        'data: {"content":", "}\n\n',
+        'data: {"text":"world"}\n\n',
+        'data: {"type":"done","conversation_id":"conv-1","query_id":"q-1","tokens_used":12}\n\n',
+        'data: [DONE]\n\n',
+      ]), (text) => seen.push(text));
+
+      assert.deepEqual(seen, ['Hello', 'Hello, ', 'Hello, world']);
+      assert.deepEqual(result, { conversation_id: 'conv-1', query_id: 'q-1', tokens_used: 12, response: 'Hello, world' });
+    });
+
+    it('prefers the final response over the accumulated deltas', async () => {
+      const result = await streaming.consumeMattGPTStream(streamOf([
+        'data: {"delta":"draft"}\n\n',
+        'data: {"response":"Final answer","conversation_id":"conv-1"}\n\n',
+      ]), () => {});
+
+      assert.equal(result.response, 'Final answer');
+    });
+
+    it('treats non-JSON payloads as text', async () => {
+      const result = await streaming.consumeMattGPTStream(streamOf(['data: plain\n\n', 'data:  text\n\n']), () => {});
+
+      assert.equal(result.response, 'plain text');
+    });
+
+    it('rejects when the stream reports an error', async () => {
+      await assert.rejects(
+        streaming.consumeMattGPTStream(streamOf(['data: {"delta":"Hi"}\n\n', 'data: {"error":{"message":"model overloaded"}}\n\n']), () => {}),
+        /Matt-GPT API stream error: model overloaded/,
+      );
+    });
+  });
+
+  describe('isEventStream', () => {
+    it('checks the content type', () => {
+      assert.equal(streaming.isEventStream({ 'content-type': 'text/event-stream; charset=utf-8' }), true);
+      assert.equal(streaming.isEventStream({ 'content-type': 'application/json' }), false);
+      assert.equal(streaming.isEventStream(undefined), false);
+    });
+  });
+
+  describe('formatPartialMarkdown', () => {
+    it('closes an unfinished code block', () => {
+      const formatted = streaming.formatPartialMarkdown('Here you go:\n\n```js\nconst a = 1;');
+
+      assert.match(formatted, /```\n?const a = 1;\n```/);
+    });
+
+    it('converts finished markdown to Slack formatting', () => {
+      assert.match(streaming.formatPartialMarkdown('**bold**'), /\*bold\*/);
+    });
+  });
+
+  describe('createStreamingUpdater', () => {
+    const silentLogger = { warn() {} };
+    // Partial text as sent, without the streaming cursor
+    const sentTexts = (client) => client.updates.map((update) => update.text.replace(/\s*▍$/, ''));
+    const createClient = () => {
+      const updates = [];
+      return { updates, chat: { update: async (params) => { updates.push(params); } } };
+    };
+
+    it('throttles updates and only sends the latest text', async () => {
+      const client = createClient();
+      const updater = streaming.createStreamingUpdater(client, 'C1', '1.000100', silentLogger);
+
+      updater.update('a');
+      await settle(10);
+      updater.update('ab');
+      updater.update('abc');
+      await settle(100);
+      await updater.stop();
+
+      assert.deepEqual(sentTexts(client), ['a', 'abc']);
+      assert.match(client.updates[0].text, /▍$/);
+      assert.equal(client.updates[0].channel, 'C1');
+      assert.equal(client.updates[0].ts, '1.000100');
+    });
+
+    it('drops pending updates once stopped', async () => {
+      const client = createClient();
+      const updater = streaming.createStreamingUpdater(client, 'C1', '1.000100', silentLogger);
+
+      updater.update('a');
+      await settle(10);
+      updater.update('ab');
+      await updater.stop();
+      updater.update('abc');
+      await settle(100);
+
+      assert.deepEqual(sentTexts(client), ['a']);
+    });
+
+    it('keeps going when an update fails', async () => {
+      const warnings = [];
+      const client = createClient();
+      let calls = 0;
+      client.chat.update = async (params) => {
+        if (++calls === 1) throw new Error('ratelimited');
+        client.updates.push(params);
+      };
+      const updater = streaming.createStreamingUpdater(client, 'C1', '1.000100', { warn: (...args) => warnings.push(args.join(' ')) });
+
+      updater.update('a');
+      await settle(10);
+      updater.update('ab');
+      await settle(100);
+      await updater.stop();
+
+      assert.deepEqual(sentTexts(client), ['ab']);
+      assert.match(warnings[0], /ratelimited/);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseWindow,
+  formatWindow,
+  parseSummarizeArgs,
+  parseSummarizeMention,
+  fetchConversationMessages,
+  buildTranscript,
+  summarizeTranscript,
+  citedReferences,
+  linkReferences,
+} = require('../lib/summarize');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('summaries', () => {
+  it('parses and formats windows', () => {
+    assert.equal(parseWindow('24h'), 24 * HOUR);
+    assert.equal(parseWindow('2D'), 48 * HOUR);
+    assert.equal(parseWindow('0h'), null);
+    assert.equal(parseWindow('soon'), null);
+    assert.equal(formatWindow(48 * HOUR), '2d');
+    assert.equal(formatWindow(36 * HOUR), '36h');
+    assert.equal(formatWindow(90 * 60 * 1000), '90m');
+  });
+
+  it('parses command arguments in any order', () => {
+    assert.deepEqual(parseSummarizeArgs('--thread 3d'), { windowMs: 72 * HOUR, post: true, link: null, unknown: [] });
+    assert.deepEqual(parseSummarizeArgs('<https://acme.slack.com/archives/C1/p1712345678123456>'), {
+      windowMs: null, post: false, link: '<https://acme.slack.com/archives/C1/p1712345678123456>', unknown: [],
+    });
+    assert.deepEqual(parseSummarizeArgs('everything please').unknown, ['everything', 'please']);
+  });
+
+  it('recognizes the mention keyword', () => {
+    assert.deepEqual(parseSummarizeMention('summarize this thread'), { scope: 'thread', windowMs: null });
+    assert.deepEqual(parseSummarizeMention('Summarise the channel 6h!'), { scope: 'channel', windowMs: 6 * HOUR });
+    assert.deepEqual(parseSummarizeMention('summarize'), { scope: null, windowMs: null });
+    assert.equal(parseSummarizeMention('summarize the attached report for me'), null);
+    assert.equal(parseSummarizeMention('can you summarize this thread'), null);
+  });
+
+  it('pages through channel history and keeps the newest human messages', async () => {
+    const calls = [];
+    const pages = {
+      first: { messages: [{ ts: '5.0', user: 'U1', text: 'five' }, { ts: '4.0', bot_id: 'B1', text: 'bot' }, { ts: '3.0', user: 'U2', text: 'three' }], response_metadata: { next_cursor: 'second' } },
+      second: { messages: [{ ts: '2.0', user: 'U1', text: 'two', subtype: 'thread_broadcast' }, { ts: '1.0', user: 'U1', text: 'joined', subtype: 'channel_join' }] },
+    };
+    const client = {
+      conversations: {
+        history: async (params) => {
+          calls.push(params);
+          return pages[params.cursor || 'first'];
+        },
+      },
+    };
+
+    const all = await fetchConversationMessages(client, { channel: 'C1', oldest: '0.5' });
+    assert.deepEqual(all.messages.map((msg) => msg.text), ['two', 'three', 'five']);
+    assert.equal(all.truncated, false);
+    assert.deepEqual(calls.map(({ cursor, oldest }) => [cursor, oldest]), [[undefined, '0.5'], ['second', '0.5']]);
+
+    const newest = await fetchConversationMessages(client, { channel: 'C1', maxMessages: 1 });
+    assert.deepEqual(newest.messages.map((msg) => msg.text), ['five']);
+    assert.equal(newest.truncated, true);
+  });
+
+  it('numbers transcript lines and summarizes short transcripts in one request', async () => {
+    const lines = buildTranscript([
+      { ts: '1767225600.000100', author: '@ana', text: 'Ship on Friday?\nOr Monday?' },
+      { ts: '1767225660.000100', author: '@ben', text: 'Friday' },
+    ]);
+    assert.deepEqual(lines, ['[m1] 2026-01-01 00:00 UTC @ana: Ship on Friday? Or Monday?', '[m2] 2026-01-01 00:01 UTC @ben: Friday']);
+
+    const prompts = [];
+    const result = await summarizeTranscript({ lines, title: 'a Slack thread', ask: async (prompt) => { prompts.push(prompt); return 'digest'; } });
+    assert.deepEqual(result, { summary: 'digest', requests: 1, chunks: 1 });
+    assert.match(prompts[0], /^Summarize a Slack thread\. .*\[m12\]/);
+    assert.ok(prompts[0].includes(lines.join("\n")));
+  });
+
+  it('summarizes long transcripts chunk by chunk and reduces the notes', async () => {
+    const lines = Array.from({ length: 12 }, (_, index) => `[m${index + 1}] @ana: ${'x'.repeat(80)}`);
+    const prompts = [];
+    const progress = [];
+    const result = await summarizeTranscript({
+      lines,
+      title: 'a Slack thread',
+      chunkChars: 300,
+      ask: async (prompt) => {
+        prompts.push(prompt);
+        return `notes ${prompts.length} ${'y'.repeat(100)}`;
+      },
+      onProgress: (part, total) => progress.push(`${part}/${total}`),
+    });
+
+    assert.equal(result.chunks, 4);
+    assert.deepEqual(progress, ['1/4', '2/4', '3/4', '4/4']);
+    assert.match(prompts[0], /^This is part 1 of 4 of a Slack thread/);
+    // Four notes of ~110 characters don't fit 300 characters, so they're merged first
+    assert.ok(prompts.some((prompt) => prompt.startsWith('Merge these notes')));
+    assert.match(prompts.at(-1), /^Summarize a Slack thread from these notes/);
+    assert.equal(result.requests, prompts.length);
+    assert.equal(result.summary, `notes ${prompts.length} ${'y'.repeat(100)}`);
+  });
+
+  it('returns the notes so far when it may not continue', async () => {
+    const lines = Array.from({ length: 12 }, (_, index) => `[m${index + 1}] @ana: ${'x'.repeat(80)}`);
+    const prompts = [];
+    const result = await summarizeTranscript({
+      lines,
+      title: 'a Slack thread',
+      chunkChars: 300,
+      ask: async (prompt) => {
+        prompts.push(prompt);
+        return `notes ${prompts.length}`;
+      },
+      canContinue: async () => prompts.length < 2,
+    });
+
+    assert.deepEqual(result, { summary: 'notes 1\n\nnotes 2', requests: 2, chunks: 4, stoppedAfter: 2 });
+    assert.equal(prompts.length, 2);
+  });
+
+  it('links cited messages and drops references it cannot link', () => {
+    const text = '• Friday [m2]\n• Owners [m1, m3]\n• Unknown [m9]';
+    assert.deepEqual(citedReferences(text), [2, 1, 3, 9]);
+
+    const permalinks = new Map([[1, 'https://x/1'], [2, 'https://x/2']]);
+    assert.equal(linkReferences(text, permalinks), '• Friday <https://x/2|[2]>\n• Owners <https://x/1|[1]>\n• Unknown');
+  });
+});
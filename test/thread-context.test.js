@@ -0,0 +1,140 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { threadReplies } = require('./helpers/fake-slack');
+const { createSlackDirectory, expandSlackTokens, fetchThreadMessages, buildSlackContext } = require('../lib/thread-context');
+
+// Fake Slack client serving one thread the way conversations.replies does (parent first, paged)
+function createClient(thread) {
+  const calls = [];
+  const replies = threadReplies(thread);
+  return {
+    calls,
+    conversations: {
+      replies: async (params) => {
+        calls.push(params);
+        return replies(params);
+      },
+      info: async ({ channel }) => ({ channel: { id: channel, name: 'general' } }),
+    },
+    users: {
+      info: async ({ user }) => ({ user: { id: user, name: user.toLowerCase(), profile: {} } }),
+    },
+  };
+}
+
+// A thread with a parent and `count` human replies, one second apart
+function createThread(count) {
+  const ts = (index) => `${1000 + index}.000100`;
+  return [
+    { ts: ts(0), user: 'U1', text: 'parent' },
+    ...Array.from({ length: count }, (_, index) => ({ ts: ts(index + 1), user: 'U2', text: `reply ${index + 1}`, thread_ts: ts(0) })),
+  ];
+}
+
+describe('thread context', () => {
+  it('expands mentions, channels, groups and links into readable text', async () => {
+    const client = createClient([]);
+    const text = 'Hi <@U1> and <@U2|ana>, see <#C1> and <#C2|random>. <!here> <!subteam^S1|@launch-team> <https://example.com|the plan> <https://example.com>';
+
+    assert.equal(
+      await expandSlackTokens(text, client, createSlackDirectory()),
+      'Hi @u1 and @ana, see #general and #random. @here @launch-team the plan (https://example.com) https://example.com'
+    );
+  });
+
+  it('looks names up once and falls back to the ID when a lookup fails', async () => {
+    let lookups = 0;
+    const client = {
+      users: {
+        info: async ({ user }) => {
+          lookups++;
+          if (user === 'UGONE') throw new Error('user_not_found');
+          return { user: { id: user, name: 'ana', real_name: 'Ana Lopez', profile: { display_name: '' } } };
+        },
+      },
+    };
+    const directory = createSlackDirectory();
+
+    assert.equal(await directory.getUserName(client, 'U1'), 'Ana Lopez');
+    assert.equal(await directory.getUserName(client, 'U1'), 'Ana Lopez');
+    assert.equal(await directory.getUserName(client, 'UGONE'), 'UGONE');
+    assert.equal(lookups, 2);
+  });
+
+  it('only says who is asking and where for a top-level question', async () => {
+    const client = createClient([]);
+
+    const context = await buildSlackContext({
+      client,
+      directory: createSlackDirectory(),
+      channel: 'C1',
+      threadTs: null,
+      currentTs: '1.000100',
+      userId: 'U1',
+      charBudget: 1000,
+    });
+
+    assert.deepEqual(context, {
+      user: { id: 'U1', name: 'u1' },
+      channel: { id: 'C1', name: 'general' },
+      thread_ts: null,
+      thread_messages: [],
+      thread_messages_truncated: false,
+    });
+    assert.equal(client.calls.length, 0);
+  });
+
+  it('pages through long threads', async () => {
+    const client = createClient(createThread(450));
+
+    const messages = await fetchThreadMessages(client, { channel: 'C1', threadTs: '1000.000100' });
+    assert.equal(messages.length, 451);
+    assert.equal(messages.at(-1).text, 'reply 450');
+    assert.equal(client.calls.length, 3);
+    assert.equal(client.calls[1].cursor, '200');
+  });
+
+  it('keeps the newest messages before the current one in long threads', async () => {
+    const thread = createThread(450);
+    const client = createClient(thread);
+
+    const context = await buildSlackContext({
+      client,
+      directory: createSlackDirectory(),
+      channel: 'C1',
+      threadTs: thread[0].ts,
+      currentTs: thread.at(-1).ts,
+      userId: 'U1',
+      charBudget: 50,
+    });
+
+    assert.equal(context.thread_messages_truncated, true);
+    assert.equal(context.thread_messages.at(-1).text, 'reply 449');
+    assert.equal(context.thread_messages.at(-1).user_name, 'u2');
+  });
+
+  it('keeps broadcast replies and file shares but leaves out bots, joins and opted-out people', async () => {
+    const client = createClient([
+      { ts: '1.000100', user: 'U1', text: 'parent' },
+      { ts: '2.000100', user: 'U2', subtype: 'thread_broadcast', text: 'also sent to the channel' },
+      { ts: '3.000100', user: 'U3', subtype: 'file_share', text: 'here is the log' },
+      { ts: '4.000100', user: 'U4', subtype: 'channel_join', text: 'joined' },
+      { ts: '5.000100', bot_id: 'B1', text: 'a bot' },
+      { ts: '6.000100', user: 'U5', text: 'keep me out' },
+      { ts: '7.000100', user: 'U1', text: 'the question' },
+    ]);
+
+    const context = await buildSlackContext({
+      client,
+      directory: createSlackDirectory(),
+      channel: 'C1',
+      threadTs: '1.000100',
+      currentTs: '7.000100',
+      userId: 'U1',
+      charBudget: 1000,
+      excludedUsers: new Set(['U5']),
+    });
+
+    assert.deepEqual(context.thread_messages.map((msg) => msg.text), ['parent', 'also sent to the channel', 'here is the log']);
+  });
+});
@@ -0,0 +1,115 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normalizeTokens, createUsageLedger } = require('../lib/usage-ledger');
+
+describe('usage ledger', () => {
+  let dataDir;
+  let fileCount = 0;
+  const nextFilePath = () => path.join(dataDir, `usage-${++fileCount}.json`);
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'matt-gpt-usage-'));
+  });
+
+  after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe('normalizeTokens', () => {
+    it('reads plain numbers and usage objects', () => {
+      assert.equal(normalizeTokens(42), 42);
+      assert.equal(normalizeTokens({ total_tokens: 30, prompt_tokens: 10, completion_tokens: 20 }), 30);
+      assert.equal(normalizeTokens({ prompt_tokens: 10, completion_tokens: 5 }), 15);
+      assert.equal(normalizeTokens({ input: 7, output: 3 }), 10);
+      assert.equal(normalizeTokens(undefined), 0);
+    });
+  });
+
+  it('adds up usage per user for the day and the month', async () => {
+    const ledger = createUsageLedger({ filePath: nextFilePath() });
+
+    await ledger.record({ userId: 'U1', channel: 'C1', tokensUsed: 100, date: new Date('2024-08-01T10:00:00Z') });
+    await ledger.record({ userId: 'U1', channel: 'C1', tokensUsed: 50, date: new Date('2024-08-02T10:00:00Z') });
+    await ledger.record({ userId: 'U2', channel: 'C1', tokensUsed: 300, date: new Date('2024-08-02T11:00:00Z') });
+    await ledger.record({ userId: 'U1', channel: 'C1', tokensUsed: 1000, date: new Date('2024-07-31T23:59:00Z') });
+
+    const summary = await ledger.getSummary('U1', new Date('2024-08-02T12:00:00Z'));
+
+    assert.deepEqual(summary.user.today, { tokens: 50, requests: 1, cost: null });
+    assert.deepEqual(summary.user.month, { tokens: 150, requests: 2, cost: null });
+    assert.deepEqual(summary.global.today, { tokens: 350, requests: 2, cost: null });
+    assert.deepEqual(summary.topUsers, [{ userId: 'U2', tokens: 300 }, { userId: 'U1', tokens: 150 }]);
+  });
+
+  it('estimates cost when a price is configured', async () => {
+    const ledger = createUsageLedger({ filePath: nextFilePath(), costPer1kTokens: 0.5 });
+    const date = new Date('2024-08-01T10:00:00Z');
+
+    await ledger.record({ userId: 'U1', tokensUsed: 2000, date });
+
+    assert.equal((await ledger.getSummary('U1', date)).user.today.cost, 1);
+  });
+
+  it('blocks a user who has used up their daily budget', async () => {
+    const ledger = createUsageLedger({ filePath: nextFilePath(), budgets: { userDaily: 100 } });
+    const date = new Date('2024-08-01T10:00:00Z');
+
+    await ledger.record({ userId: 'U1', tokensUsed: 99, date });
+    assert.deepEqual(await ledger.checkBudget('U1', date), { allowed: true });
+
+    await ledger.record({ userId: 'U1', tokensUsed: 1, date });
+    assert.deepEqual(await ledger.checkBudget('U1', date), { allowed: false, budget: 'user_daily', used: 100, limit: 100 });
+    assert.deepEqual(await ledger.checkBudget('U2', date), { allowed: true });
+    assert.deepEqual(await ledger.checkBudget('U1', new Date('2024-08-02T00:00:00Z')), { allowed: true });
+  });
+
+  it('blocks everyone once the global monthly budget is used up', async () => {
+    const ledger = createUsageLedger({ filePath: nextFilePath(), budgets: { globalMonthly: 500 } });
+
+    await ledger.record({ userId: 'U1', tokensUsed: 300, date: new Date('2024-08-01T10:00:00Z') });
+    await ledger.record({ userId: 'U2', tokensUsed: 200, date: new Date('2024-08-15T10:00:00Z') });
+
+    const check = await ledger.checkBudget('U3', new Date('2024-08-20T10:00:00Z'));
+    assert.equal(check.allowed, false);
+    assert.equal(check.budget, 'global_monthly');
+    assert.deepEqual(await ledger.checkBudget('U3', new Date('2024-09-01T00:00:00Z')), { allowed: true });
+  });
+
+  it('keeps usage across ledger instances', async () => {
+    const filePath = nextFilePath();
+    const date = new Date('2024-08-01T10:00:00Z');
+    await createUsageLedger({ filePath }).record({ userId: 'U1', conversationId: 'conv-1', tokensUsed: 25, date });
+
+    const summary = await createUsageLedger({ filePath }).getSummary('U1', date);
+
+    assert.equal(summary.user.today.tokens, 25);
+  });
+
+  it('keeps every record made while the file is still loading', async () => {
+    const filePath = nextFilePath();
+    const ledger = createUsageLedger({ filePath });
+    const date = new Date('2024-08-01T10:00:00Z');
+
+    await Promise.all([
+      ledger.record({ userId: 'U1', tokensUsed: 10, date }),
+      ledger.record({ userId: 'U2', tokensUsed: 20, date }),
+    ]);
+
+    assert.equal((await ledger.getSummary('U1', date)).global.today.tokens, 30);
+    assert.equal((await createUsageLedger({ filePath }).getSummary('U1', date)).global.today.tokens, 30);
+  });
+
+  it('drops days older than the retention window', async () => {
+    const filePath = nextFilePath();
+    const ledger = createUsageLedger({ filePath });
+
+    await ledger.record({ userId: 'U1', tokensUsed: 10, date: new Date('2023-01-01T10:00:00Z') });
+    await ledger.record({ userId: 'U1', tokensUsed: 20, date: new Date('2024-08-01T10:00:00Z') });
+
+    const { days } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    assert.deepEqual(Object.keys(days), ['2024-08-01']);
+  });
+});
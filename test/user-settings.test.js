@@ -0,0 +1,64 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createUserSettingsStore } = require('../lib/user-settings');
+
+describe('user settings store', () => {
+  let dataDir;
+  let filePath;
+
+  before(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'matt-gpt-settings-'));
+    filePath = path.join(dataDir, 'user-settings.json');
+  });
+
+  after(() => {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('returns the defaults for users without settings', async () => {
+    const store = createUserSettingsStore({ filePath, defaults: { includeThreadContext: true } });
+
+    assert.deepEqual(await store.get('U1'), { replyMode: 'thread', includeThreadContext: true, verbosity: 'default', contextOptOut: false });
+  });
+
+  it('persists changes across store instances', async () => {
+    await createUserSettingsStore({ filePath }).update('U1', { replyMode: 'ephemeral', verbosity: 'brief' });
+
+    const reloaded = createUserSettingsStore({ filePath });
+    assert.deepEqual(await reloaded.get('U1'), { replyMode: 'ephemeral', includeThreadContext: false, verbosity: 'brief', contextOptOut: false });
+    assert.equal((await reloaded.get('U2')).replyMode, 'thread');
+  });
+
+  it('rejects unknown settings and values', async () => {
+    const store = createUserSettingsStore({ filePath });
+
+    await assert.rejects(store.update('U1', { verbosity: 'chatty' }), /Invalid setting verbosity/);
+    await assert.rejects(store.update('U1', { theme: 'dark' }), /Invalid setting theme/);
+    assert.equal((await store.get('U1')).verbosity, 'brief');
+  });
+
+  it('lists the users who chose a setting', async () => {
+    const store = createUserSettingsStore({ filePath });
+    await store.update('U5', { contextOptOut: true });
+    await store.update('U6', { contextOptOut: false });
+
+    assert.deepEqual([...await store.usersWith('contextOptOut', true)], ['U5']);
+  });
+
+  it('keeps every change made while the file is still loading', async () => {
+    const concurrentPath = path.join(dataDir, 'concurrent-settings.json');
+    const store = createUserSettingsStore({ filePath: concurrentPath });
+
+    await Promise.all([
+      store.update('U1', { replyMode: 'ephemeral' }),
+      store.update('U2', { verbosity: 'brief' }),
+    ]);
+
+    const reloaded = createUserSettingsStore({ filePath: concurrentPath });
+    assert.equal((await reloaded.get('U1')).replyMode, 'ephemeral');
+    assert.equal((await reloaded.get('U2')).verbosity, 'brief');
+  });
+});
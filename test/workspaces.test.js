@@ -0,0 +1,70 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWorkspaceRegistry, loadWorkspaceConfig } = require('../lib/workspaces');
+
+describe('workspace registry', () => {
+  const env = {
+    SLACK_CHANNELS: 'C_DEFAULT',
+    MATT_GPT_API_URL: 'http://matt-gpt.test',
+    ACME_TOKEN: 'acme-secret',
+  };
+
+  it('applies per-workspace overrides on top of the environment', () => {
+    const workspaces = createWorkspaceRegistry({
+      env,
+      workspaces: { T_ACME: { name: 'Acme', env: { SLACK_CHANNELS: 'C_ACME:always', ALLOW_DMS: 'true' } } },
+    });
+
+    const acme = workspaces.get('T_ACME');
+    assert.equal(acme.name, 'Acme');
+    assert.deepEqual(acme.channelPolicy.allowedChannels, ['C_ACME']);
+    assert.equal(acme.channelPolicy.allowDMs, true);
+    assert.equal(acme.env.MATT_GPT_API_URL, 'http://matt-gpt.test');
+    assert.deepEqual(workspaces.teamIds, ['T_ACME']);
+  });
+
+  it('resolves $VARIABLE references and rejects unset ones', () => {
+    const workspaces = createWorkspaceRegistry({
+      env,
+      workspaces: { T_ACME: { env: { MATT_GPT_BEARER_TOKEN: '$ACME_TOKEN' } } },
+    });
+    assert.equal(workspaces.get('T_ACME').env.MATT_GPT_BEARER_TOKEN, 'acme-secret');
+
+    assert.throws(
+      () => createWorkspaceRegistry({ env, workspaces: { T_ACME: { env: { MATT_GPT_BEARER_TOKEN: '$MISSING' } } } }),
+      /Workspace T_ACME: MATT_GPT_BEARER_TOKEN refers to \$MISSING/
+    );
+  });
+
+  it('falls back to the default workspace for unknown teams', () => {
+    const workspaces = createWorkspaceRegistry({ env, workspaces: { T_ACME: { env: {} } } });
+
+    assert.equal(workspaces.get('T_OTHER'), workspaces.default);
+    assert.equal(workspaces.get(undefined), workspaces.default);
+    assert.deepEqual(workspaces.default.channelPolicy.allowedChannels, ['C_DEFAULT']);
+    assert.equal(workspaces.all().length, 2);
+  });
+
+  describe('config file', () => {
+    let dataDir;
+
+    before(() => {
+      dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'matt-gpt-workspaces-'));
+    });
+
+    after(() => {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it('treats a missing file as no overrides and rejects broken JSON', () => {
+      assert.deepEqual(loadWorkspaceConfig(path.join(dataDir, 'missing.json')), {});
+
+      const brokenPath = path.join(dataDir, 'broken.json');
+      fs.writeFileSync(brokenPath, '{ "T1": ');
+      assert.throws(() => loadWorkspaceConfig(brokenPath), /Could not parse workspace config/);
+    });
+  });
+});